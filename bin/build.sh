@@ -19,4 +19,9 @@ cp -v node_modules/leaflet.markercluster/dist/leaflet.markercluster-src.js \
 	node_modules/leaflet.markercluster/dist/MarkerCluster.Default.css \
 	lib/external/leaflet.markercluster/
 
+mkdir -p lib/external/maplibre-gl
+cp -v node_modules/maplibre-gl/dist/maplibre-gl.js \
+	node_modules/maplibre-gl/dist/maplibre-gl.css \
+	lib/external/maplibre-gl/
+
 node_modules/.bin/rollup --config rollup.config.js
@@ -37,6 +37,11 @@ class DataModule extends RL\Module {
 			'wgKartographerNearby' => $this->canUseNearby(),
 			'wgKartographerNearbyClustering' => $config->get( 'KartographerNearbyClustering' ),
 			'wgKartographerNearbyOnMobile' => $config->get( 'KartographerNearbyOnMobile' ),
+			'wgKartographerMapframeLocateControl' => $config->get( 'KartographerMapframeLocateControl' ),
+			'wgKartographerTileLayers' => $config->get( 'KartographerTileLayers' ),
+			'wgKartographerVectorStyle' => $config->get( 'KartographerVectorStyle' ),
+			'wgKartographerOfflineMaps' => $config->get( 'KartographerOfflineMaps' ),
+			'wgKartographerExternalDataCacheTTL' => $config->get( 'KartographerExternalDataCacheTTL' ),
 			'wgKartographerWikivoyageNearby' => $config->get( 'KartographerWikivoyageNearby' ),
 		] );
 	}
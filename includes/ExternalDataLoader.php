@@ -48,7 +48,10 @@ class ExternalDataLoader {
 			if ( !isset( $data->type ) || !isset( $data->service ) ||
 				!isset( $data->url ) ||
 				$data->type !== 'ExternalData' ||
-				!$data->url
+				!$data->url ||
+				// Tabular data is turned into features by the client, and the data of other
+				// hosts is loaded and escaped by the browser, see data.js
+				in_array( $data->service, [ 'tabular', 'url' ], true )
 			) {
 				continue;
 			}
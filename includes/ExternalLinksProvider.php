@@ -38,6 +38,16 @@ class ExternalLinksProvider {
 		$data = $status->getValue();
 		$usedTypes = [];
 
+		$routingUrl = $context->getConfig()->get( 'KartographerRoutingUrl' );
+		if ( $routingUrl ) {
+			// The wiki's own route planner comes first
+			array_unshift( $data->services, (object)[
+				'id' => 'local-routing',
+				'featured' => true,
+				'links' => [ (object)[ 'type' => 'directions', 'url' => $routingUrl ] ],
+			] );
+		}
+
 		foreach ( $data->services as $service ) {
 			$service->name = $context->msg( 'kartographer-link-' . $service->id )->plain();
 
@@ -5,6 +5,7 @@ namespace Kartographer;
 use FormatJson;
 use JsonConfig\JCMapDataContent;
 use JsonConfig\JCSingleton;
+use JsonConfig\JCTabularContent;
 use JsonSchema\Validator;
 use LogicException;
 use MediaWiki\MediaWikiServices;
@@ -32,6 +33,9 @@ class SimpleStyleParser {
 	/** @var string */
 	private $mapService;
 
+	/** @var string[] */
+	private $urlAllowlist;
+
 	/**
 	 * @param Parser $parser
 	 * @param PPFrame|null $frame
@@ -51,9 +55,9 @@ class SimpleStyleParser {
 		$this->parser = $parser instanceof Parser ? new MediaWikiWikitextParser( $parser ) : $parser;
 		$this->options = $options;
 		// @fixme: More precise config?
-		$this->mapService = MediaWikiServices::getInstance()
-			->getMainConfig()
-			->get( 'KartographerMapServer' );
+		$config = MediaWikiServices::getInstance()->getMainConfig();
+		$this->mapService = $config->get( 'KartographerMapServer' );
+		$this->urlAllowlist = $config->get( 'KartographerExternalDataUrlAllowlist' );
 	}
 
 	/**
@@ -274,13 +278,33 @@ class SimpleStyleParser {
 				) {
 					return Status::newFatal( 'kartographer-error-title', $object->title );
 				}
-				$query = [
-					'format' => 'json',
-					'formatversion' => '2',
-					'action' => 'jsondata',
-					'title' => $jct->getText(),
-				];
-				$ret->url = wfExpandUrl( wfAppendQuery( wfScript( 'api' ), $query ) );
+				$ret->url = $this->getJsonDataUrl( $jct->getText() );
+				break;
+
+			case 'tabular':
+				$jct = JCSingleton::parseTitle( $object->title, NS_DATA );
+				if ( !$jct || JCSingleton::getContentClass( $jct->getConfig()->model ) !==
+							  JCTabularContent::class
+				) {
+					return Status::newFatal( 'kartographer-error-tabular', $object->title );
+				}
+				$ret->url = $this->getJsonDataUrl( $jct->getText() );
+				if ( isset( $object->properties ) ) {
+					$ret->properties = $object->properties;
+				}
+				break;
+
+			case 'url':
+				$url = wfParseUrl( $object->url ?? '' );
+				if ( !$url || $url['scheme'] !== 'https' ||
+					!in_array( $url['host'], $this->urlAllowlist, true )
+				) {
+					return Status::newFatal( 'kartographer-error-url', $object->url ?? '' );
+				}
+				$ret->url = $object->url;
+				if ( isset( $object->properties ) ) {
+					$ret->properties = $object->properties;
+				}
 				break;
 
 			default:
@@ -291,6 +315,20 @@ class SimpleStyleParser {
 		return Status::newGood();
 	}
 
+	/**
+	 * @param string $title Page in the Data namespace, without the namespace
+	 * @return string URL of the content of the page in the jsondata API
+	 */
+	private function getJsonDataUrl( string $title ): string {
+		$query = [
+			'format' => 'json',
+			'formatversion' => '2',
+			'action' => 'jsondata',
+			'title' => $title,
+		];
+		return wfExpandUrl( wfAppendQuery( wfScript( 'api' ), $query ) );
+	}
+
 	/**
 	 * HACK: this function supports JsonConfig-style localization that doesn't pass validation
 	 *
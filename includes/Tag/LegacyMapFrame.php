@@ -121,6 +121,15 @@ class LegacyMapFrame extends LegacyTagHandler {
 			$attrs['data-lang'] = $this->specifiedLangCode;
 		}
 
+		if ( $this->cluster ) {
+			$attrs['data-cluster'] = 'true';
+		}
+
+		$rendering = $this->getRenderingJson();
+		if ( $rendering !== null ) {
+			$attrs['data-rendering'] = $rendering;
+		}
+
 		if ( $this->showGroups ) {
 			$attrs['data-overlays'] = FormatJson::encode( $this->showGroups, false,
 				FormatJson::ALL_OK );
@@ -50,6 +50,8 @@ class LegacyMapLink extends LegacyTagHandler {
 			'specifiedLangCode' => $this->specifiedLangCode,
 			'cssClass' => $this->cssClass,
 			'showGroups' => $this->showGroups,
+			'cluster' => $this->cluster,
+			'rendering' => $this->getRenderingJson(),
 			'markerProperties' => $this->markerProperties
 		], $this->config );
 
@@ -75,6 +75,12 @@ abstract class LegacyTagHandler {
 	/** @var string[] List of group identifiers to show */
 	protected $showGroups = [];
 
+	/** @var bool Whether to cluster the point features of each group */
+	protected $cluster = false;
+
+	/** @var array|null How to draw the data group of this tag, unless as points */
+	private $rendering = null;
+
 	/** @var int|null */
 	protected $counter = null;
 
@@ -200,6 +206,8 @@ abstract class LegacyTagHandler {
 		}
 
 		$this->zoom = $this->getInt( 'zoom', null );
+		$this->cluster = $this->getText( 'cluster', null ) !== null;
+		$this->parseRendering();
 		$regexp = '/^(' . implode( '|', $this->config->get( 'KartographerStyles' ) ) . ')$/';
 		$this->mapStyle = $this->getText( 'mapstyle', $this->config->get( 'KartographerDfltStyle' ), $regexp );
 
@@ -220,6 +228,64 @@ abstract class LegacyTagHandler {
 		}
 	}
 
+	/**
+	 * Parses the rendering="…" attribute, and the rendering-… attributes that configure it. See
+	 * Kartographer.Box.Rendering in JavaScript.
+	 */
+	private function parseRendering(): void {
+		$mode = $this->getText( 'rendering', null, '/^(points|heatmap|choropleth)$/' );
+		if ( $mode === null || $mode === 'points' ) {
+			return;
+		}
+
+		$this->rendering = [ 'mode' => $mode ];
+		$property = $this->getText( 'rendering-property', $mode === 'choropleth' ? false : null, '/\S/' );
+		if ( $property !== null ) {
+			$this->rendering['property'] = $property;
+		}
+
+		$breaks = $this->getList( 'rendering-breaks', '-?[0-9]*\.?[0-9]+', null );
+		// Breaks are between the colors, so they need colors of their own
+		$colors = $this->getList(
+			'rendering-colors',
+			'#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?',
+			$breaks ? false : null
+		);
+		if ( $colors !== null ) {
+			if ( count( $colors ) < 2 ) {
+				$this->status->fatal( 'kartographer-error-bad_attr', 'rendering-colors' );
+			}
+			$this->rendering['colors'] = $colors;
+		}
+		if ( $breaks !== null && $colors !== null ) {
+			$breaks = array_map( static function ( $value ) {
+				// Integers stay integers, JSON would show 1000.0 for a float
+				return $value + 0;
+			}, $breaks );
+			$valid = count( $breaks ) === count( $colors ) - 1;
+			for ( $i = 1; $i < count( $breaks ); $i++ ) {
+				// Ascending
+				$valid = $valid && $breaks[$i] > $breaks[$i - 1];
+			}
+			if ( !$valid ) {
+				$this->status->fatal( 'kartographer-error-bad_attr', 'rendering-breaks' );
+			}
+			$this->rendering['breaks'] = $breaks;
+		}
+	}
+
+	/**
+	 * @return string|null JSON of how to draw the data group of this tag, by group id
+	 */
+	protected function getRenderingJson(): ?string {
+		if ( !$this->rendering || $this->groupId === null ) {
+			return null;
+		}
+		// An object even when the group id is numeric
+		return FormatJson::encode( (object)[ $this->groupId => $this->rendering ], false,
+			FormatJson::ALL_OK );
+	}
+
 	/**
 	 * When overridden in a descendant class, returns tag HTML
 	 * @param bool $isPreview
@@ -278,6 +344,21 @@ abstract class LegacyTagHandler {
 		return $value;
 	}
 
+	/**
+	 * @param string $name Attribute name
+	 * @param string $itemRegexp Regular expression of the items of the comma-separated list
+	 * @param false|null $default Null, or false to trigger error if absent
+	 * @return string[]|null
+	 */
+	private function getList( $name, $itemRegexp, $default ): ?array {
+		$value = $this->getText( $name, $default, "/^$itemRegexp(\\s*,\\s*$itemRegexp)*$/" );
+		if ( $value !== null ) {
+			$value = preg_split( '/\s*,\s*/', $value );
+		}
+
+		return $value;
+	}
+
 	/**
 	 * Returns value of a named tag attribute with optional validation
 	 *
@@ -45,6 +45,14 @@ trait MapLinkTrait {
 			$attrs['data-lang'] = (string)$options['specifiedLangCode'];
 		}
 
+		if ( !empty( $options['cluster'] ) ) {
+			$attrs['data-cluster'] = 'true';
+		}
+
+		if ( !empty( $options['rendering'] ) ) {
+			$attrs['data-rendering'] = $options['rendering'];
+		}
+
 		$style = $this->extractMarkerCss( $configService, $options['markerProperties'] );
 
 		if ( $style ) {
@@ -13,7 +13,22 @@ var util = require( 'ext.kartographer.util' ),
 	OpenFullScreenControl = require( './openfullscreen_control.js' ),
 	dataLayerOpts = require( './dataLayerOpts.js' ),
 	ScaleControl = require( './scale_control.js' ),
+	LocateControl = require( './locate_control.js' ),
+	LayersControl = require( './layers_control.js' ),
+	DataErrorControl = require( './data_error_control.js' ),
+	LegendControl = require( './legend_control.js' ),
+	TileLayers = require( './tilelayers.js' ),
+	VectorLayer = require( './vector_layer.js' ),
+	OfflineStore = require( './offline.js' ),
+	OfflineTileLayer = require( './offline_tilelayer.js' ),
 	DataManagerFactory = require( './data.js' ),
+	FeatureSelector = require( './selector.js' ),
+	MarkerCluster = require( './cluster.js' ),
+	Rendering = require( './rendering.js' ),
+	// Features without bounds are shown at least at this zoom level
+	FEATURE_ZOOM = 14,
+	// Id of the base layer from wgKartographerMapServer, next to the ones in TileLayers
+	WIKIMEDIA_LAYER = 'wikimedia',
 	scale, urlFormat,
 	worldLatLng = new L.LatLngBounds( [ -90, -180 ], [ 90, 180 ] ),
 	KartographerMap;
@@ -114,7 +129,56 @@ function getValidBounds( layer ) {
 }
 
 /**
- * @param {string} url ExternalData "page" URL
+ * @return {boolean} Whether an editor previews the page, and should see details of errors
+ */
+function isPreview() {
+	return mw.config.get( 'wgAction' ) === 'submit' ||
+		// eslint-disable-next-line no-jquery/no-class-state
+		$( document.documentElement ).hasClass( 've-active' );
+}
+
+/**
+ * @private
+ * @return {Error} Like the error of loading data that is cancelled
+ */
+function createAbortError() {
+	var err = new Error( 'Aborted' );
+	err.name = 'AbortError';
+	return err;
+}
+
+/**
+ * @private
+ * @param {Kartographer.Data.Group[]} groups With a `groupId`
+ * @param {Kartographer.Data.Group[]} saved See {@link Kartographer.Box.OfflineStore#getGroups}
+ * @return {Kartographer.Data.Group[]} The groups, with the saved ones of the data groups that
+ *  failed to load, if these were saved
+ */
+function useSavedGroups( groups, saved ) {
+	var replaced = {},
+		result = [];
+
+	groups.forEach( function ( group ) {
+		var id = group.groupId;
+		if ( replaced[ id ] === undefined ) {
+			var failed = groups.some( function ( other ) {
+					return other.groupId === id && other.failed;
+				} ),
+				copies = !failed ? [] : saved.filter( function ( copy ) {
+					return copy.groupId === id;
+				} );
+			replaced[ id ] = copies.length > 0;
+			result = result.concat( copies );
+		}
+		if ( !replaced[ id ] ) {
+			result.push( group );
+		}
+	} );
+	return result;
+}
+
+/**
+ * @param {string} url ExternalData "page" or "tabular" URL
  * @return {string} Attribution string
  */
 function buildAttribution( url ) {
@@ -134,6 +198,27 @@ function buildAttribution( url ) {
 	);
 }
 
+/**
+ * @param {string} url ExternalData "url" URL
+ * @return {string} Attribution string
+ */
+function buildUrlAttribution( url ) {
+	var uri = new mw.Uri( url );
+	var link = mw.html.element(
+		'a',
+		{
+			target: '_blank',
+			href: url
+		},
+		uri.path.split( '/' ).pop() || uri.host
+	);
+	return mw.msg(
+		'kartographer-attribution-externaldata',
+		uri.host,
+		[ link ]
+	);
+}
+
 KartographerMap = L.Map.extend( {
 	/**
 	 * Create a map within options.container
@@ -157,7 +242,19 @@ KartographerMap = L.Map.extend( {
 	 *   from becoming static when the screen is too small.
 	 * @param {Array|L.LatLng|string} [options.center] **Initial map center.**
 	 * @param {number|string} [options.zoom] **Initial map zoom.**
+	 * @param {boolean} [options.locateControl] Whether to show the
+	 *   {@link Kartographer.Box.LocateControl}. _Defaults to true for full screen maps, and to
+	 *   `mw.config.get( 'wgKartographerMapframeLocateControl' )` otherwise._
+	 * @param {string} [options.baseLayer] Id of the base layer to show instead of the Wikimedia
+	 *  one, see {@link Kartographer.Box.TileLayers}
+	 * @param {string|boolean} [options.vectorStyle] URL of the style for vector tiles, or false
+	 *  to only use raster tiles, see #loadVectorLayer. _Defaults to
+	 *  `mw.config.get( 'wgKartographerVectorStyle' )`._
 	 * @param {string} [options.lang] Language for map labels
+	 * @param {boolean} [options.cluster=false] Whether to cluster the point features of each
+	 *  data group, see {@link Kartographer.Box.MarkerCluster}
+	 * @param {Object.<string,Object>} [options.rendering] How to draw the data groups, by group
+	 *  id, see {@link Kartographer.Box.Rendering#normalize}
 	 * @param {string} [options.style] Map style. _Defaults to
 	 *  `mw.config.get( 'wgKartographerDfltStyle' )`._
 	 * @param {Kartographer.Box.MapClass} [options.parentMap] Parent map
@@ -267,6 +364,14 @@ KartographerMap = L.Map.extend( {
 		 */
 		this.dataLayers = [];
 
+		/**
+		 * @property {AbortController|null} abortController Cancels loading data when the map is
+		 *  removed. Null in browsers that can't.
+		 * @private
+		 */
+		// eslint-disable-next-line compat/compat
+		this.abortController = window.AbortController ? new AbortController() : null;
+
 		/* Add base layer */
 
 		/**
@@ -276,11 +381,11 @@ KartographerMap = L.Map.extend( {
 		this.layerUrl = mapServer + ( style ? '/' + style : '' ) + urlFormat;
 
 		/**
-		 * @property {L.TileLayer} wikimediaLayer Reference to `Wikimedia`
-		 *   tile layer.
+		 * @property {Kartographer.Box.OfflineTileLayer|Kartographer.Box.VectorLayer} wikimediaLayer
+		 *   Reference to `Wikimedia` tile layer. Raster tiles, until #loadVectorLayer replaces them.
 		 * @protected
 		 */
-		this.wikimediaLayer = L.tileLayer(
+		this.wikimediaLayer = new OfflineTileLayer(
 			this.getLayerUrl(),
 			{
 				maxZoom: 19,
@@ -288,6 +393,36 @@ KartographerMap = L.Map.extend( {
 			}
 		).addTo( this );
 
+		/**
+		 * @property {Object.<string,L.TileLayer>} tileLayers The base layers and overlays the
+		 *  map offers, by id. See {@link #addBaseLayer} and {@link #addOverlay}.
+		 */
+		this.tileLayers = {};
+		this.tileLayers[ WIKIMEDIA_LAYER ] = this.wikimediaLayer;
+		/**
+		 * @property {Object.<string,boolean>} overlayIds Which of the #tileLayers are overlays
+		 * @private
+		 */
+		this.overlayIds = {};
+
+		/**
+		 * @property {string} baseLayerId Id of the base layer that is shown
+		 */
+		this.baseLayerId = WIKIMEDIA_LAYER;
+		this.on( 'baselayerchange', function ( e ) {
+			map.baseLayerId = map.getTileLayerId( e.layer ) || map.baseLayerId;
+		} );
+
+		var vectorStyle = options.vectorStyle !== undefined ?
+			options.vectorStyle :
+			mw.config.get( 'wgKartographerVectorStyle' );
+		if ( vectorStyle && VectorLayer.isSupported() ) {
+			this.loadVectorLayer(
+				vectorStyle.replace( '{style}', style ),
+				mapServer + ( style ? '/' + style : '' ) + '/{z}/{x}/{y}.pbf'
+			);
+		}
+
 		/* Add map controls */
 
 		/**
@@ -340,8 +475,9 @@ KartographerMap = L.Map.extend( {
 			// Workaround to make interactive elements (especially geoshapes) reachable via tab
 			for ( var id in map.dataLayers ) {
 				map.dataLayers[ id ].eachLayer( function ( shape ) {
-					var el = shape.getElement();
-					if ( el.nodeName === 'path' &&
+					// Clustered markers are in a group without an element
+					var el = shape.getElement && shape.getElement();
+					if ( el && el.nodeName === 'path' &&
 						// FIXME: Should use .classList.contains() when we can drop IE11 support
 						/\bleaflet-interactive\b/.test( el.getAttribute( 'class' ) )
 					) {
@@ -371,7 +507,16 @@ KartographerMap = L.Map.extend( {
 			return;
 		}
 
-		this.addDataGroups( options.dataGroups ).then( function () {
+		// The library is only loaded for maps that cluster
+		var loading = !this.options.cluster ? this.addDataGroups( options.dataGroups ) :
+			mw.loader.using( 'ext.kartographer.lib.leaflet.markercluster' ).then( null, function () {
+				// Show the markers without clustering
+				return $.Deferred().resolve();
+			} ).then( function () {
+				return map.addDataGroups( options.dataGroups );
+			} );
+
+		loading.then( function () {
 			if ( typeof options.data === 'object' ) {
 				map.addDataLayer( options.data ).then( function () {
 					ready();
@@ -379,7 +524,11 @@ KartographerMap = L.Map.extend( {
 			} else {
 				ready();
 			}
-		}, function () {
+		}, function ( err ) {
+			if ( err && err.name === 'AbortError' ) {
+				// The map was removed
+				return;
+			}
 			// T25787
 			ready();
 			mw.log.error( 'Unable to add datalayers to map.' );
@@ -436,7 +585,9 @@ KartographerMap = L.Map.extend( {
 	/**
 	 * Gets and adds known data groups as layers onto the map.
 	 *
-	 * The data is loaded from the server if not found in memory.
+	 * The data is loaded from the server if not found in memory. Data groups that the server
+	 * can't give are taken from the {@link Kartographer.Box.OfflineStore}, if they were saved.
+	 * Groups that fail to load are listed in the {@link #dataErrorControl}.
 	 *
 	 * @param {string[]} dataGroups
 	 * @return {jQuery.Promise}
@@ -450,24 +601,122 @@ KartographerMap = L.Map.extend( {
 
 		var title = mw.config.get( 'wgPageName' );
 		var revid = mw.config.get( 'wgRevisionId' );
-		return DataManagerFactory().loadGroups( dataGroups, title, revid ).then( function ( groups ) {
-			groups.forEach( function ( group ) {
-				if ( group.failed ) {
-					mw.log.warn( 'Layer not found or contains no data: ' + group.failureReason );
-					return;
-				}
+		return DataManagerFactory( {
+			signal: this.abortController && this.abortController.signal
+		} ).loadGroups( dataGroups, title, revid ).then( function ( groups ) {
+			var failed = groups.some( function ( group ) {
+				return group.failed;
+			} );
+			return !failed ? groups : OfflineStore.getGroups( title, dataGroups ).then( function ( saved ) {
+				return saved ? useSavedGroups( groups, saved ) : groups;
+			} );
+		}, function ( err ) {
+			if ( err && err.name === 'AbortError' ) {
+				return $.Deferred().reject( err );
+			}
+			// Maybe the reader is offline, and saved the map before
+			return OfflineStore.getGroups( title, dataGroups ).then( function ( saved ) {
+				return saved || $.Deferred().reject( err );
+			} );
+		} ).then( function ( groups ) {
+			// Cancelled ExternalData only fails its group, not the loading
+			if ( map.isAborted() ) {
+				return $.Deferred().reject( createAbortError() );
+			}
+			map.addGroups( groups );
+		}, function ( err ) {
+			if ( map.isAborted() ) {
+				return $.Deferred().reject( createAbortError() );
+			}
+			map.addGroups( dataGroups.map( function ( id ) {
+				return {
+					groupId: id,
+					failed: true,
+					failureReason: err,
+					getGeoJSON: function () {
+						return null;
+					}
+				};
+			} ) );
+			return $.Deferred().reject( err );
+		} );
+	},
+
+	/**
+	 * Load a data group that failed to load again, and add it to the map.
+	 *
+	 * @param {Kartographer.Data.Group} group Failed group, see
+	 *  {@link Kartographer.Box.DataErrorControl}
+	 * @return {jQuery.Promise}
+	 */
+	retryDataGroup: function ( group ) {
+		var map = this;
 
-				var layerOptions = {};
-				var geoJSON = group.getGeoJSON();
-				if ( geoJSON.service === 'page' ) {
-					var attribution = buildAttribution( geoJSON.url );
-					layerOptions.name = attribution;
-					layerOptions.attribution = attribution;
-				} else if ( group.name ) {
-					layerOptions.name = group.name;
+		return DataManagerFactory( {
+			signal: this.abortController && this.abortController.signal
+		} ).retryGroup(
+			group,
+			mw.config.get( 'wgPageName' ),
+			mw.config.get( 'wgRevisionId' )
+		).then( function ( groups ) {
+			if ( !map.isAborted() ) {
+				map.addGroups( groups );
+			}
+		}, function ( err ) {
+			if ( !map.isAborted() ) {
+				group.failureReason = err;
+				map.addGroups( [ group ] );
+			}
+		} );
+	},
+
+	/**
+	 * @return {boolean} Whether the map was removed, and loading data for it cancelled
+	 * @private
+	 */
+	isAborted: function () {
+		return !!( this.abortController && this.abortController.signal.aborted );
+	},
+
+	/**
+	 * Add loaded groups as layers, and list the failed ones in the
+	 * {@link #dataErrorControl}.
+	 *
+	 * @param {Kartographer.Data.Group[]} groups
+	 * @private
+	 */
+	addGroups: function ( groups ) {
+		var map = this;
+
+		groups.forEach( function ( group ) {
+			if ( group.failed ) {
+				mw.log.warn( 'Layer not found or contains no data: ' + group.failureReason );
+				if ( !map.dataErrorControl ) {
+					/**
+					 * @property {Kartographer.Box.DataErrorControl|undefined} [dataErrorControl=undefined]
+					 *  Reference to the control listing the data groups that failed to load.
+					 */
+					map.dataErrorControl = new DataErrorControl( { details: isPreview() } ).addTo( map );
 				}
-				map.addGeoJSONLayer( geoJSON, layerOptions );
-			} );
+				map.dataErrorControl.addGroup( group );
+				return;
+			}
+
+			var layerOptions = {};
+			var geoJSON = group.getGeoJSON();
+			if ( geoJSON.service === 'page' || geoJSON.service === 'tabular' || geoJSON.service === 'url' ) {
+				var attribution = geoJSON.service === 'url' ?
+					buildUrlAttribution( geoJSON.url ) :
+					buildAttribution( geoJSON.url );
+				layerOptions.name = attribution;
+				layerOptions.attribution = attribution;
+			} else if ( group.name ) {
+				layerOptions.name = group.name;
+			}
+			if ( map.options.rendering && map.options.rendering[ group.groupId ] ) {
+				layerOptions.rendering = map.options.rendering[ group.groupId ];
+			}
+			map.addGeoJSONLayer( geoJSON, layerOptions );
 		} );
 	},
 
@@ -477,6 +726,9 @@ KartographerMap = L.Map.extend( {
 	 *
 	 * @param {Object} geoJSON Features
 	 * @param {Object} [options] Layer options
+	 * @param {Object|string} [options.rendering] How to draw the features, see
+	 *  {@link Kartographer.Box.Rendering#normalize}. Heatmaps and choropleths are explained in
+	 *  the {@link #legendControl}.
 	 */
 	addGeoJSONLayer: function ( geoJSON, options ) {
 		if ( typeof geoJSON === 'string' ) {
@@ -488,13 +740,27 @@ KartographerMap = L.Map.extend( {
 		}
 
 		try {
-			var layer = L.mapbox.featureLayer( geoJSON, $.extend( {}, dataLayerOpts, options ) ).addTo( this );
+			var layer = Rendering.createLayer( geoJSON, $.extend( {}, dataLayerOpts, options ) );
+			if ( this.options.cluster && MarkerCluster.isSupported() ) {
+				MarkerCluster.clusterMarkers( layer );
+			}
+			layer.addTo( this );
 			layer.getAttribution = function () {
 				return this.options.attribution;
 			};
 			this.attributionControl.addAttribution( layer.getAttribution() );
 			this.dataLayers.push( layer );
 			layer.isDataGroup = true;
+			if ( layer.rendering.mode !== 'points' ) {
+				if ( !this.legendControl ) {
+					/**
+					 * @property {Kartographer.Box.LegendControl|undefined} [legendControl=undefined]
+					 *  Reference to the legend of the data groups drawn as heatmaps or choropleths.
+					 */
+					this.legendControl = new LegendControl().addTo( this );
+				}
+				this.legendControl.addLayer( layer );
+			}
 		} catch ( e ) {
 			mw.log.warn( e );
 		}
@@ -506,8 +772,10 @@ KartographerMap = L.Map.extend( {
 	 * **Uses Resource Loader module: {@link Kartographer.Dialog ext.kartographer.dialog}**
 	 *
 	 * @param {Object} [position] Map `center` and `zoom`.
+	 * @param {string} [selector] Feature to show, with its popup open, see
+	 *  {@link Kartographer.Box.FeatureSelector}
 	 */
-	openFullScreen: function ( position ) {
+	openFullScreen: function ( position, selector ) {
 		this.doWhenReady( function () {
 
 			var map = this.options.link ? this : this.fullScreenMap;
@@ -519,6 +787,10 @@ KartographerMap = L.Map.extend( {
 					center: position.center,
 					zoom: position.zoom,
 					lang: this.lang,
+					baseLayer: this.baseLayerId,
+					vectorStyle: this.options.vectorStyle,
+					cluster: this.options.cluster,
+					rendering: this.options.rendering,
 					featureType: this.featureType,
 					fullscreen: true,
 					captionText: this.captionText,
@@ -542,12 +814,61 @@ KartographerMap = L.Map.extend( {
 
 			mw.loader.using( 'ext.kartographer.dialog' ).then( function () {
 				map.doWhenReady( function () {
-					require( 'ext.kartographer.dialog' ).render( map );
+					require( 'ext.kartographer.dialog' ).render( map ).then( function () {
+						if ( selector ) {
+							map.focusFeature( selector );
+						}
+					} );
 				} );
 			} );
 		}, this );
 	},
 
+	/**
+	 * Shows a data group or feature of the map, and opens the popup of a feature.
+	 *
+	 * @param {string} selector See {@link Kartographer.Box.FeatureSelector}
+	 * @return {boolean} False if there is no such group or feature
+	 */
+	focusFeature: function ( selector ) {
+		var layer = FeatureSelector.find( this.dataLayers, selector );
+
+		if ( !layer ) {
+			return false;
+		}
+		if ( layer.getLatLng ) {
+			this.setView( layer.getLatLng(), Math.max( this.getZoom(), FEATURE_ZOOM ) );
+		} else if ( layer.getBounds && layer.getBounds().isValid() ) {
+			this.fitBounds( layer.getBounds() );
+		}
+		if ( layer.getPopup && layer.getPopup() ) {
+			layer.openPopup();
+		}
+		return true;
+	},
+
+	/**
+	 * Gets the selector of the feature with an open popup.
+	 *
+	 * @return {string|null} See {@link Kartographer.Box.FeatureSelector}
+	 */
+	getFeatureSelector: function () {
+		var openLayer = null;
+
+		function visit( layer ) {
+			if ( layer.eachLayer && !layer.feature ) {
+				layer.eachLayer( visit );
+			} else if ( !openLayer && layer.isPopupOpen && layer.isPopupOpen() ) {
+				openLayer = layer;
+			}
+		}
+
+		this.dataLayers.forEach( function ( dataLayer ) {
+			dataLayer.eachLayer( visit );
+		} );
+		return openLayer ? FeatureSelector.getSelector( this.dataLayers, openLayer ) : null;
+	},
+
 	/**
 	 * Closes full screen dialog.
 	 *
@@ -594,16 +915,19 @@ KartographerMap = L.Map.extend( {
 
 	/**
 	 * Formats the full screen route of the map, such as:
-	 *   `/map/:maptagId(/:zoom/:longitude/:latitude)`
+	 *   `/map/:maptagId(/:zoom/:longitude/:latitude)(/:selector)`
 	 *
-	 * The hash will contain the portion between parenthesis if and only if
-	 * one of these 3 values differs from the initial setting.
+	 * The hash will contain the position if and only if one of these 3 values
+	 * differs from the initial setting, and the selector of a feature if its popup
+	 * is open, see {@link #getFeatureSelector}.
 	 *
 	 * @return {string} The route to open the map in full screen mode.
 	 */
 	getHash: function () {
+		var selector = this.getFeatureSelector();
+
 		if ( !this._initialPosition ) {
-			return this.fullScreenRoute;
+			return this.fullScreenRoute + ( selector ? '/' + selector : '' );
 		}
 
 		var hash = this.fullScreenRoute,
@@ -626,6 +950,9 @@ KartographerMap = L.Map.extend( {
 		if ( newHash !== initialHash ) {
 			hash += '/' + newHash;
 		}
+		if ( selector ) {
+			hash += '/' + selector;
+		}
 
 		return hash;
 	},
@@ -706,7 +1033,7 @@ KartographerMap = L.Map.extend( {
 	/**
 	 * Get the URL to be passed to L.TileLayer
 	 *
-	 * @private
+	 * @protected
 	 * @return {string}
 	 */
 	getLayerUrl: function () {
@@ -716,17 +1043,176 @@ KartographerMap = L.Map.extend( {
 	/**
 	 * Change the map's language.
 	 *
-	 * This will cause the map to be rerendered if the language is different.
+	 * This will cause the map to be rerendered if the language is different. Vector tiles are
+	 * not loaded again, only their labels change.
 	 *
 	 * @param {string} lang New language code
 	 */
 	setLang: function ( lang ) {
 		if ( this.lang !== lang ) {
 			this.lang = lang;
-			this.wikimediaLayer.setUrl( this.getLayerUrl() );
+			if ( this.wikimediaLayer instanceof VectorLayer ) {
+				this.wikimediaLayer.setLang( lang );
+			} else {
+				this.wikimediaLayer.setUrl( this.getLayerUrl() );
+			}
 		}
 	},
 
+	/**
+	 * Replace the raster tiles of the Wikimedia base layer with vector tiles, once the
+	 * renderer and the style are loaded. The raster tiles stay when either fails to load.
+	 *
+	 * **Uses Resource Loader module: `ext.kartographer.lib.maplibre`**
+	 *
+	 * @private
+	 * @param {string} styleUrl URL of a style in the Mapbox GL format
+	 * @param {string} tileUrl Default URL template of the vector tiles, see
+	 *  {@link Kartographer.Box.VectorLayer#setDefaultTiles}
+	 * @return {jQuery.Promise}
+	 */
+	loadVectorLayer: function ( styleUrl, tileUrl ) {
+		var map = this;
+
+		return $.when(
+			mw.loader.using( 'ext.kartographer.lib.maplibre' ),
+			$.getJSON( styleUrl )
+		).then( function ( req, styleResponse ) {
+			var rasterLayer = map.wikimediaLayer,
+				vectorLayer = new VectorLayer( {
+					style: VectorLayer.setDefaultTiles( styleResponse[ 0 ], tileUrl ),
+					lang: map.lang,
+					attribution: rasterLayer.options.attribution,
+					maxZoom: rasterLayer.options.maxZoom
+				} );
+
+			map.wikimediaLayer = map.tileLayers[ WIKIMEDIA_LAYER ] = vectorLayer;
+			if ( map.layersControl ) {
+				map.layersControl.replaceLayer( rasterLayer, vectorLayer );
+			}
+			if ( map.hasLayer( rasterLayer ) ) {
+				map.removeLayer( rasterLayer ).addLayer( vectorLayer );
+			}
+		}, function () {
+			mw.log.warn( 'Unable to load vector tiles, showing raster tiles instead.' );
+		} );
+	},
+
+	/**
+	 * Offer a tile layer as an alternative to the base layer, in the
+	 * {@link #getLayersControl layers control}.
+	 *
+	 * @param {string} id See {@link Kartographer.Box.TileLayers}
+	 * @param {Object} [definition] Registers the layer first, see
+	 *  {@link Kartographer.Box.TileLayers#register}
+	 * @return {L.TileLayer|null} Null when no layer is registered with this id
+	 */
+	addBaseLayer: function ( id, definition ) {
+		return this.addTileLayer( id, definition, false );
+	},
+
+	/**
+	 * Offer a tile layer to show on top of the base layer, in the
+	 * {@link #getLayersControl layers control}.
+	 *
+	 * @param {string} id See {@link Kartographer.Box.TileLayers}
+	 * @param {Object} [definition] Registers the layer first, see
+	 *  {@link Kartographer.Box.TileLayers#register}
+	 * @return {L.TileLayer|null} Null when no layer is registered with this id
+	 */
+	addOverlay: function ( id, definition ) {
+		return this.addTileLayer( id, definition, true );
+	},
+
+	/**
+	 * @private
+	 * @param {string} id
+	 * @param {Object} [definition]
+	 * @param {boolean} overlay
+	 * @return {L.TileLayer|null}
+	 */
+	addTileLayer: function ( id, definition, overlay ) {
+		if ( definition ) {
+			TileLayers.register( id, definition );
+		}
+		if ( this.tileLayers[ id ] ) {
+			return this.tileLayers[ id ];
+		}
+
+		var layer = TileLayers.create( id );
+		if ( !layer ) {
+			return null;
+		}
+		this.tileLayers[ id ] = layer;
+		if ( overlay ) {
+			this.overlayIds[ id ] = true;
+		}
+
+		var name = mw.html.escape( TileLayers.get( id ).name );
+		if ( overlay ) {
+			this.getLayersControl().addOverlay( layer, name );
+		} else {
+			this.getLayersControl().addBaseLayer( layer, name );
+		}
+		return layer;
+	},
+
+	/**
+	 * Gets the control to switch base layers and toggle overlays, and adds it when the map
+	 * doesn't have it yet.
+	 *
+	 * @return {Kartographer.Box.LayersControl}
+	 */
+	getLayersControl: function () {
+		if ( !this.layersControl ) {
+			/**
+			 * @property {Kartographer.Box.LayersControl|undefined} [layersControl=undefined]
+			 * Reference to the layers control, see {@link #getLayersControl}.
+			 */
+			this.layersControl = new LayersControl().addTo( this );
+			this.layersControl.addBaseLayer(
+				this.wikimediaLayer,
+				mw.html.escape( mw.msg( 'kartographer-layers-wikimedia' ) )
+			);
+		}
+		return this.layersControl;
+	},
+
+	/**
+	 * Show a base layer instead of the current one.
+	 *
+	 * @param {string} id `wikimedia`, or a layer added with {@link #addBaseLayer}
+	 * @return {boolean} False when the map has no such base layer
+	 */
+	setBaseLayer: function ( id ) {
+		var map = this,
+			layer = this.tileLayers[ id ];
+
+		if ( !layer || this.overlayIds[ id ] ) {
+			return false;
+		}
+		Object.keys( this.tileLayers ).forEach( function ( otherId ) {
+			if ( otherId !== id && !map.overlayIds[ otherId ] ) {
+				map.removeLayer( map.tileLayers[ otherId ] );
+			}
+		} );
+		this.addLayer( layer );
+		this.baseLayerId = id;
+		return true;
+	},
+
+	/**
+	 * @private
+	 * @param {L.Layer} layer
+	 * @return {string|undefined}
+	 */
+	getTileLayerId: function ( layer ) {
+		var tileLayers = this.tileLayers;
+		return Object.keys( tileLayers ).filter( function ( id ) {
+			return tileLayers[ id ] === layer;
+		} )[ 0 ];
+	},
+
 	/**
 	 * Convenient method that formats the coordinates based on the zoom level.
 	 *
@@ -745,7 +1231,7 @@ KartographerMap = L.Map.extend( {
 
 	/**
 	 * @localdoc Extended to also destroy the {@link #fullScreenMap} when
-	 *   it exists.
+	 *   it exists, and to cancel loading data.
 	 *
 	 * @override
 	 * @chainable
@@ -753,6 +1239,9 @@ KartographerMap = L.Map.extend( {
 	remove: function () {
 		var parent = this.parentMap || this.parentLink;
 
+		if ( this.abortController ) {
+			this.abortController.abort();
+		}
 		if ( this.fullScreenMap ) {
 			L.Map.prototype.remove.call( this.fullScreenMap );
 			this.fullScreenMap = null;
@@ -906,6 +1395,34 @@ KartographerMap = L.Map.extend( {
 	}
 } );
 
+// The zoom control is added by an init hook of L.Map, this is to add these controls below it
+KartographerMap.addInitHook( function () {
+	var map = this,
+		enabled = this.options.locateControl !== undefined ?
+			this.options.locateControl :
+			this.options.fullscreen || mw.config.get( 'wgKartographerMapframeLocateControl' );
+
+	if ( enabled && LocateControl.isSupported() ) {
+		/**
+		 * @property {Kartographer.Box.LocateControl|undefined} [locateControl=undefined]
+		 * Reference to the control that shows the reader's position.
+		 * @member Kartographer.Box.MapClass
+		 */
+		this.locateControl = new LocateControl( { position: 'topleft' } ).addTo( this );
+	}
+
+	TileLayers.getIds().forEach( function ( id ) {
+		if ( TileLayers.get( id ).overlay ) {
+			map.addOverlay( id );
+		} else {
+			map.addBaseLayer( id );
+		}
+	} );
+	if ( this.options.baseLayer ) {
+		this.setBaseLayer( this.options.baseLayer );
+	}
+} );
+
 module.exports = {
 	Map: KartographerMap,
 	map: function ( options ) {
@@ -0,0 +1,125 @@
+var storage = require( 'mediawiki.storage' ).local;
+
+/**
+ * Cache of responses in the local storage of the browser, which keeps them across page views.
+ *
+ * The least recently used responses are removed when the cache is full. Responses can expire,
+ * see the `ttl` option.
+ *
+ * @class Kartographer.Box.ResponseCache
+ * @constructor
+ * @param {string} name Prefix of the keys in the local storage
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=1000000] Most characters the responses may take up
+ * @param {number} [options.ttl=0] Seconds after which responses expire, 0 if they don't
+ */
+function ResponseCache( name, options ) {
+	options = options || {};
+	this.name = name;
+	this.maxSize = options.maxSize || 1000000;
+	this.ttl = options.ttl || 0;
+}
+
+/**
+ * @private
+ * @return {Object[]} Cached entries, the least recently used first. Each has a `key`, its
+ *  `size`, and the time it `expires` at, or 0.
+ */
+ResponseCache.prototype.getIndex = function () {
+	return storage.getObject( this.name ) || [];
+};
+
+/**
+ * @private
+ * @param {string} key
+ * @return {string} Key in the local storage
+ */
+ResponseCache.prototype.getStorageKey = function ( key ) {
+	return this.name + ':' + key;
+};
+
+/**
+ * @private
+ * @param {Object[]} index See #getIndex
+ * @param {number} space Characters to free
+ * @return {Object[]} The remaining entries
+ */
+ResponseCache.prototype.evict = function ( index, space ) {
+	var size = index.reduce( function ( sum, entry ) {
+		return sum + entry.size;
+	}, 0 );
+
+	while ( index.length && size + space > this.maxSize ) {
+		var oldest = index.shift();
+		storage.remove( this.getStorageKey( oldest.key ) );
+		size -= oldest.size;
+	}
+	return index;
+};
+
+/**
+ * @param {string} key
+ * @return {Object|null} The response, or null when it is not cached or expired
+ */
+ResponseCache.prototype.get = function ( key ) {
+	var index = this.getIndex(),
+		position = index.map( function ( entry ) {
+			return entry.key;
+		} ).indexOf( key );
+
+	if ( position === -1 ) {
+		return null;
+	}
+
+	var found = index.splice( position, 1 )[ 0 ],
+		response = storage.getObject( this.getStorageKey( key ) );
+	if ( !response || ( found.expires && found.expires <= Date.now() ) ) {
+		storage.remove( this.getStorageKey( key ) );
+		storage.setObject( this.name, index );
+		return null;
+	}
+
+	// Most recently used
+	index.push( found );
+	storage.setObject( this.name, index );
+	return response;
+};
+
+/**
+ * @param {string} key
+ * @param {Object} response
+ * @return {boolean} False when the response is too large, or the storage is full
+ */
+ResponseCache.prototype.set = function ( key, response ) {
+	var json = JSON.stringify( response ),
+		index = this.getIndex().filter( function ( entry ) {
+			return entry.key !== key;
+		} );
+
+	if ( json.length > this.maxSize ) {
+		return false;
+	}
+
+	index = this.evict( index, json.length );
+	if ( !storage.set( this.getStorageKey( key ), json ) ) {
+		storage.setObject( this.name, index );
+		return false;
+	}
+	index.push( {
+		key: key,
+		size: json.length,
+		expires: this.ttl ? Date.now() + this.ttl * 1000 : 0
+	} );
+	storage.setObject( this.name, index );
+	return true;
+};
+
+/**
+ * Remove all responses.
+ */
+ResponseCache.prototype.clear = function () {
+	this.evict( this.getIndex(), Infinity );
+	storage.remove( this.name );
+};
+
+module.exports = ResponseCache;
@@ -0,0 +1,115 @@
+/* eslint-disable no-underscore-dangle */
+/**
+ * Clusters the point features of data groups, for maps with the `cluster` option.
+ *
+ * The markers of each data group are clustered on their own. A cluster has the most common
+ * `marker-color` of its markers, and spiderfies when it is clicked.
+ *
+ * **Uses Resource Loader module: ext.kartographer.lib.leaflet.markercluster**
+ *
+ * @alternateClassName MarkerCluster
+ * @class Kartographer.Box.MarkerCluster
+ * @singleton
+ */
+var COLOR_PATTERN = /^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/,
+	// The color Mapbox gives markers without a `marker-color`
+	DEFAULT_COLOR = '7e7e7e';
+
+/**
+ * @return {boolean} Whether the markercluster library is loaded
+ */
+function isSupported() {
+	return typeof L.markerClusterGroup === 'function';
+}
+
+/**
+ * @private
+ * @param {L.Marker[]} markers
+ * @return {string} The most common `marker-color` of the markers, as a CSS color
+ */
+function getColor( markers ) {
+	var counts = {},
+		color = DEFAULT_COLOR,
+		most = 0;
+
+	markers.forEach( function ( marker ) {
+		var properties = marker.feature && marker.feature.properties,
+			match = COLOR_PATTERN.exec( properties && properties[ 'marker-color' ] || '' ),
+			hex = match ? match[ 1 ].toLowerCase() : DEFAULT_COLOR;
+
+		counts[ hex ] = ( counts[ hex ] || 0 ) + 1;
+		if ( counts[ hex ] > most ) {
+			most = counts[ hex ];
+			color = hex;
+		}
+	} );
+	return '#' + color;
+}
+
+/**
+ * @private
+ * @param {L.MarkerCluster} cluster
+ * @return {L.DivIcon}
+ */
+function createIcon( cluster ) {
+	return L.divIcon( {
+		iconSize: [ 30, 30 ],
+		className: 'mw-kartographer-cluster',
+		html: mw.html.element( 'span', {
+			style: 'background-color: ' + getColor( cluster.getAllChildMarkers() )
+		}, String( cluster.getChildCount() ) )
+	} );
+}
+
+/**
+ * Moves the point markers of a data layer into a cluster group within the layer.
+ *
+ * Opening the popup of a marker that is hidden in a cluster zooms to it, or spiderfies its
+ * cluster, first.
+ *
+ * @param {L.FeatureGroup} dataLayer
+ * @return {L.MarkerClusterGroup|null} Null when the data layer has no point markers
+ */
+function clusterMarkers( dataLayer ) {
+	var markers = [];
+
+	dataLayer.eachLayer( function ( layer ) {
+		if ( layer instanceof L.Marker ) {
+			markers.push( layer );
+		}
+	} );
+	if ( !markers.length ) {
+		return null;
+	}
+
+	var group = L.markerClusterGroup( {
+		// Clusters spiderfy instead
+		zoomToBoundsOnClick: false,
+		spiderfyOnEveryZoom: true,
+		showCoverageOnHover: false,
+		maxClusterRadius: 40,
+		iconCreateFunction: createIcon
+	} );
+
+	markers.forEach( function ( marker ) {
+		dataLayer.removeLayer( marker );
+		marker.openPopup = function () {
+			var args = arguments;
+			if ( !group._map ) {
+				return L.Marker.prototype.openPopup.apply( marker, args );
+			}
+			group.zoomToShowLayer( marker, function () {
+				L.Marker.prototype.openPopup.apply( marker, args );
+			} );
+			return marker;
+		};
+	} );
+	group.addLayers( markers );
+	dataLayer.addLayer( group );
+	return group;
+}
+
+module.exports = {
+	isSupported: isSupported,
+	clusterMarkers: clusterMarkers
+};
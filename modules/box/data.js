@@ -1,7 +1,301 @@
-var DataManager = require( 'ext.kartographer.data' );
+var DataManager = require( 'ext.kartographer.data' ),
+	ResponseCache = require( './cache.js' ),
+	Topology = require( './topology.js' ),
+	Tabular = require( './tabular.js' ),
+	// Mapdata of a revision rarely changes, only when templates or ExternalData it uses do
+	mapdataCache = new ResponseCache( 'kartographer-mapdata', { ttl: 7 * 24 * 60 * 60 } ),
+	externalDataCache = new ResponseCache( 'kartographer-externaldata', {
+		ttl: mw.config.get( 'wgKartographerExternalDataCacheTTL' )
+	} ),
+	// Milliseconds after which groups that didn't load are marked as failed
+	TIMEOUT = 20000,
+	// Requests that are loading, by the keys of their responses, see share()
+	inFlight = {},
+	// ExternalData services that the data library doesn't know, see toLibraryData()
+	OWN_SERVICES = [ 'tabular', 'url' ],
+	// Properties the map shows as HTML, see escapeProperties()
+	HTML_PROPERTIES = [ 'title', 'description' ];
 
-module.exports = function () {
-	return DataManager( {
+/**
+ * @private
+ * @param {string} name `TimeoutError` or `AbortError`, like the DOM exceptions
+ * @param {string} message
+ * @return {Error}
+ */
+function createError( name, message ) {
+	var err = new Error( message );
+	err.name = name;
+	return err;
+}
+
+/**
+ * @private
+ * @param {Kartographer.Box.ResponseCache} cache
+ * @param {string|null} key Null to not cache the response
+ * @param {Function} load Returns a promise of the response, with an `abort` method
+ * @return {jQuery.Promise} With an `abort` method
+ */
+function cached( cache, key, load ) {
+	var response = key && cache.get( key );
+	if ( response ) {
+		return $.Deferred().resolve( response ).promise( { abort: function () {} } );
+	}
+
+	var request = load();
+	return request.then( function ( data ) {
+		if ( key && data && !data.error ) {
+			cache.set( key, data );
+		}
+		return data;
+	} ).promise( { abort: request.abort.bind( request ) } );
+}
+
+/**
+ * Get responses, sharing the requests that are loading already with other maps.
+ *
+ * @private
+ * @param {string[]} keys Keys of the responses, e.g. the ids of groups or URLs
+ * @param {Function} load Called with the keys that are not loading yet. Returns a promise of an
+ *  object with their responses by key, with an `abort` method like the ones of jQuery.ajax.
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] Cancels the requests, unless other maps still wait
+ *  for them
+ * @param {number} options.timeout Milliseconds after which the promise is rejected
+ * @return {jQuery.Promise} Resolved with the responses by key
+ */
+function share( keys, load, options ) {
+	var missing = keys.filter( function ( key ) {
+			return !inFlight[ key ];
+		} ),
+		request = null;
+
+	if ( missing.length ) {
+		request = { xhr: load( missing ), users: 0 };
+		missing.forEach( function ( key ) {
+			inFlight[ key ] = {
+				request: request,
+				promise: request.xhr.then( function ( responses ) {
+					return responses[ key ];
+				} )
+			};
+		} );
+	}
+
+	var entries = keys.map( function ( key ) {
+			return inFlight[ key ];
+		} ),
+		requests = [],
+		deferred = $.Deferred(),
+		settled = false,
+		timeout;
+
+	if ( request ) {
+		request.xhr.always( function () {
+			missing.forEach( function ( key ) {
+				if ( inFlight[ key ] && inFlight[ key ].request === request ) {
+					delete inFlight[ key ];
+				}
+			} );
+		} );
+	}
+
+	entries.forEach( function ( entry ) {
+		if ( requests.indexOf( entry.request ) === -1 ) {
+			requests.push( entry.request );
+			entry.request.users++;
+		}
+	} );
+
+	/**
+	 * @param {Error} [err] Cancels the requests no one else waits for
+	 */
+	function settle( err ) {
+		if ( settled ) {
+			return;
+		}
+		settled = true;
+		clearTimeout( timeout );
+		if ( options.signal ) {
+			// The signal of a map lives as long as the map
+			options.signal.removeEventListener( 'abort', onAbort );
+		}
+		requests.forEach( function ( req ) {
+			req.users--;
+			if ( err && !req.users && req.xhr.state() === 'pending' ) {
+				req.xhr.abort();
+			}
+		} );
+	}
+
+	function onAbort() {
+		var err = createError( 'AbortError', 'Aborted' );
+		settle( err );
+		deferred.reject( err );
+	}
+
+	$.when.apply( $, entries.map( function ( entry ) {
+		return entry.promise;
+	} ) ).then( function () {
+		var responses = {},
+			args = arguments;
+		keys.forEach( function ( key, i ) {
+			responses[ key ] = args[ i ];
+		} );
+		settle();
+		deferred.resolve( responses );
+	}, function ( err ) {
+		settle();
+		deferred.reject( err );
+	} );
+
+	timeout = setTimeout( function () {
+		var err = createError( 'TimeoutError', 'Timed out after ' + options.timeout / 1000 + ' seconds' );
+		settle( err );
+		deferred.reject( err );
+	}, options.timeout );
+
+	// Responses from the cache settle right away
+	if ( options.signal && !settled ) {
+		if ( options.signal.aborted ) {
+			onAbort();
+		} else {
+			options.signal.addEventListener( 'abort', onAbort );
+		}
+	}
+
+	return deferred.promise();
+}
+
+/**
+ * @private
+ * @param {string} id
+ * @param {Error} err
+ * @return {Object} Failed group, with the properties and methods of a
+ *  {@link Kartographer.Data.Group} that the map uses
+ */
+function createFailedGroup( id, err ) {
+	return {
+		name: id,
+		groupId: id,
+		geoJSON: null,
+		failed: true,
+		failureReason: err,
+		getGeoJSON: function () {
+			return null;
+		}
+	};
+}
+
+/**
+ * @private
+ * @param {Object|Object[]|undefined} data Mapdata of a group
+ * @return {number} Number of groups the data manager splits it into
+ */
+function countGroups( data ) {
+	if ( !data ) {
+		// A failed group
+		return 1;
+	}
+	var items = Array.isArray( data ) ? data : [ data ],
+		external = items.filter( function ( item ) {
+			return $.isPlainObject( item ) && item.type === 'ExternalData';
+		} ).length;
+	// Each ExternalData is a group, and the rest of the data is one more
+	return external + ( external < items.length ? 1 : 0 );
+}
+
+/**
+ * The data library only expands ExternalData of the services of the map server. ExternalData
+ * of the other services is handed to it as geoshape ExternalData, which it expands the same
+ * way: the features of the response get the properties of the ExternalData.
+ *
+ * @private
+ * @param {Object|Object[]|undefined} data Mapdata of a group
+ * @param {Object.<string,string>} services Filled with the actual services, by URL
+ * @return {Object|Object[]|undefined} Mapdata for the data library
+ */
+function toLibraryData( data, services ) {
+	if ( !data ) {
+		return data;
+	}
+	var items = ( Array.isArray( data ) ? data : [ data ] ).map( function ( item ) {
+		if ( !$.isPlainObject( item ) || item.type !== 'ExternalData' ||
+			OWN_SERVICES.indexOf( item.service ) === -1
+		) {
+			return item;
+		}
+		services[ item.url ] = item.service;
+		return $.extend( {}, item, { service: 'geoshape' } );
+	} );
+	return Array.isArray( data ) ? items : items[ 0 ];
+}
+
+/**
+ * Unlike mapdata, which the parser sanitizes, the data of the own ExternalData services comes
+ * straight from other hosts. Its properties that the map shows as HTML are escaped, like the
+ * ones of tabular data.
+ *
+ * @private
+ * @param {Object} data GeoJSON, modified
+ */
+function escapeProperties( data ) {
+	if ( !$.isPlainObject( data ) ) {
+		return;
+	}
+	if ( Array.isArray( data.features ) ) {
+		data.features.forEach( escapeProperties );
+	}
+	if ( !$.isPlainObject( data.properties ) ) {
+		return;
+	}
+	HTML_PROPERTIES.forEach( function ( name ) {
+		var value = data.properties[ name ];
+		if ( value !== undefined && value !== null ) {
+			data.properties[ name ] = mw.html.escape( String( value ) );
+		}
+	} );
+}
+
+/**
+ * @private
+ * @param {Kartographer.Data.Group} group Group of the data library, see toLibraryData()
+ * @param {Object.<string,string>} services
+ */
+function restoreService( group, services ) {
+	var data = group.getGeoJSON();
+	if ( $.isPlainObject( data ) && data.service === 'geoshape' && services[ data.url ] ) {
+		data.service = services[ data.url ];
+	}
+}
+
+/**
+ * Creates a {@link Kartographer.Data.DataManager}. Its requests are shared by all maps on the
+ * page, so groups that several maps show are only loaded once.
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Cancels loading, e.g. when the map is removed. Loading
+ *  fails with an `AbortError`.
+ * @param {number} [options.timeout=20000] Milliseconds after which groups that didn't load are
+ *  marked as failed, with a `TimeoutError` as their `failureReason`
+ * @return {Kartographer.Data.DataManager}
+ */
+module.exports = function ( options ) {
+	options = $.extend( {
+		timeout: TIMEOUT,
+		clientStore: mw.config.get( 'wgKartographerLiveData' )
+	}, options );
+
+	// Mapdata of the groups this data manager loaded, by group id
+	var loaded = $.extend( {}, options.clientStore ),
+		// Services of the ExternalData the data library expands as geoshapes, by URL
+		services = {},
+		libraryStore = options.clientStore && {};
+
+	Object.keys( options.clientStore || {} ).forEach( function ( id ) {
+		libraryStore[ id ] = toLibraryData( options.clientStore[ id ], services );
+	} );
+
+	var dataManager = DataManager( {
 		createPromise: function ( callback ) {
 			var promise = $.Deferred();
 			try {
@@ -26,15 +320,159 @@ module.exports = function () {
 		extend: function () {
 			return $.extend.apply( $, arguments );
 		},
-		getJSON: function () {
-			return $.getJSON.apply( $, arguments );
+		getJSON: function ( url ) {
+			var key = 'url|' + url;
+
+			return share( [ key ], function () {
+				var request = cached(
+					externalDataCache,
+					mw.config.get( 'wgKartographerExternalDataCacheTTL' ) ? url : null,
+					function () {
+						return $.getJSON( url );
+					}
+				);
+				return request.then( function ( data ) {
+					var responses = {};
+					responses[ key ] = data;
+					return responses;
+				} ).promise( { abort: request.abort } );
+			}, options ).then( function ( responses ) {
+				var data = responses[ key ];
+				if ( Tabular.isTabular( data ) ) {
+					// Escaped by the decoder
+					return Tabular.decode( data );
+				}
+				if ( Topology.isTopology( data ) ) {
+					data = Topology.decode( data );
+				} else if ( $.isPlainObject( data ) ) {
+					// The parser modifies the data, which other maps may share
+					data = $.extend( true, {}, data );
+				}
+				if ( services[ url ] ) {
+					if ( !$.isPlainObject( data ) || data.type !== 'FeatureCollection' ||
+						!Array.isArray( data.features )
+					) {
+						throw new Error( 'ExternalData from ' + url + ' is not a GeoJSON FeatureCollection' );
+					}
+					escapeProperties( data );
+				}
+				return data;
+			} );
 		},
 		bind: function () {
 			return $.proxy.apply( $, arguments );
 		},
 		mwApi: function ( data ) {
-			return ( new mw.Api() ).get( data );
+			var page = data.revids ? 'revid|' + data.revids : 'title|' + data.titles,
+				groupIds = data.mpdgroups.split( '|' ),
+				keys = groupIds.map( function ( id ) {
+					return 'mapdata|' + page + '|' + id;
+				} );
+
+			return share( keys, function ( missing ) {
+				var params = $.extend( {}, data, {
+						mpdgroups: missing.map( function ( key ) {
+							return groupIds[ keys.indexOf( key ) ];
+						} ).join( '|' )
+					} ),
+					// Only the mapdata of a revision stays the same, not the one of the latest revision
+					request = cached( mapdataCache, data.revids ? data.revids + '|' + params.mpdgroups : null, function () {
+						return ( new mw.Api() ).get( params );
+					} );
+
+				return request.then( function ( response ) {
+					if ( !response || !response.query || !response.query.pages ||
+						!response.query.pages[ 0 ] || !response.query.pages[ 0 ].mapdata
+					) {
+						throw new Error( 'Invalid mapdata response for ' + JSON.stringify( params ) );
+					}
+					var mapdata = JSON.parse( response.query.pages[ 0 ].mapdata ),
+						responses = {};
+					missing.forEach( function ( key ) {
+						responses[ key ] = mapdata[ groupIds[ keys.indexOf( key ) ] ];
+					} );
+					return responses;
+				} ).promise( { abort: request.abort } );
+			}, options ).then( function ( responses ) {
+				var mapdata = {};
+				groupIds.forEach( function ( id, i ) {
+					if ( responses[ keys[ i ] ] !== undefined ) {
+						mapdata[ id ] = toLibraryData( responses[ keys[ i ] ], services );
+					}
+					loaded[ id ] = responses[ keys[ i ] ];
+				} );
+				// The response of the API for all groups, as the data manager expects it
+				return { query: { pages: [ { mapdata: JSON.stringify( mapdata ) } ] } };
+			} );
 		},
-		clientStore: mw.config.get( 'wgKartographerLiveData' )
+		clientStore: libraryStore
 	} );
+
+	var loadGroups = dataManager.loadGroups;
+
+	/**
+	 * @localdoc Extended to mark the groups with the `groupId` of the data group they belong
+	 *  to, and with the service of their ExternalData. Groups that time out are marked as failed.
+	 *
+	 * @param {string[]|string} groupIds
+	 * @param {string} [title]
+	 * @param {string|false} [revid]
+	 * @return {jQuery.Promise} Resolved with a list of groups
+	 * @ignore
+	 */
+	dataManager.loadGroups = function ( groupIds, title, revid ) {
+		groupIds = Array.isArray( groupIds ) ? groupIds : [ groupIds ];
+
+		return loadGroups.call( dataManager, groupIds, title, revid ).then( function ( groups ) {
+			// The data manager returns the groups in the order of their ids
+			var i = 0;
+			groupIds.forEach( function ( id ) {
+				var end = i + countGroups( loaded[ id ] );
+				for ( ; i < end && i < groups.length; i++ ) {
+					groups[ i ].groupId = id;
+				}
+			} );
+			groups.forEach( function ( group ) {
+				restoreService( group, services );
+			} );
+			return groups;
+		}, function ( err ) {
+			if ( err && err.name === 'TimeoutError' ) {
+				return groupIds.map( function ( id ) {
+					return createFailedGroup( id, err );
+				} );
+			}
+			throw err;
+		} );
+	};
+
+	/**
+	 * Load a group that failed to load again.
+	 *
+	 * Only the ExternalData of a failed ExternalData group is loaded again, not the rest of its
+	 * data group.
+	 *
+	 * @param {Kartographer.Data.Group} group With a `groupId`, see #loadGroups
+	 * @param {string} [title]
+	 * @param {string|false} [revid]
+	 * @return {jQuery.Promise} Resolved with a list of groups
+	 * @ignore
+	 */
+	dataManager.retryGroup = function ( group, title, revid ) {
+		var data = group.getGeoJSON(),
+			clientStore = {};
+
+		if ( !$.isPlainObject( data ) || data.type !== 'ExternalData' ) {
+			return dataManager.loadGroups( group.groupId, title, revid );
+		}
+		clientStore[ group.groupId ] = [ {
+			type: 'ExternalData',
+			service: data.service,
+			url: data.url,
+			properties: data.properties
+		} ];
+		return module.exports( $.extend( {}, options, { clientStore: clientStore } ) )
+			.loadGroups( group.groupId );
+	};
+	return dataManager;
 };
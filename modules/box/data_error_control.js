@@ -0,0 +1,171 @@
+/* eslint-disable no-underscore-dangle */
+/**
+ * # Control to show which data groups of a map failed to load.
+ *
+ * Each failed group is listed with the reason it failed, and a button to load it again. In
+ * detailed mode, e.g. when editors preview a page, the list also names the groups, the errors,
+ * their messages for developers, and the URLs of ExternalData.
+ *
+ * See [L.Control](https://www.mapbox.com/mapbox.js/api/v2.3.0/l-control/)
+ * documentation for more details.
+ *
+ * @class Kartographer.Box.DataErrorControl
+ * @extends L.Control
+ */
+var DataErrorControl = L.Control.extend( {
+	options: {
+		position: 'bottomleft',
+		details: false
+	},
+
+	/**
+	 * @param {Object} [options]
+	 * @param {boolean} [options.details=false] Whether to show details for editors
+	 */
+	initialize: function ( options ) {
+		L.Control.prototype.initialize.call( this, options );
+		/**
+		 * @property {Kartographer.Data.Group[]} groups The failed groups
+		 */
+		this.groups = [];
+	},
+
+	/**
+	 * Creates the control element.
+	 *
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 * @return {HTMLElement}
+	 */
+	onAdd: function () {
+		var container = L.DomUtil.create( 'div', 'mw-kartographer-data-error' );
+
+		this.$container = $( container );
+		this.$list = $( '<ul>' );
+		this.$container.append(
+			$( '<p>' ).text( mw.msg( 'kartographer-data-error' ) ),
+			this.$list
+		);
+		// Keeps clicks from waking a sleeping map
+		L.DomEvent.disableClickPropagation( container );
+
+		this.render();
+		return container;
+	},
+
+	/**
+	 * @param {Kartographer.Data.Group} group
+	 * @chainable
+	 */
+	addGroup: function ( group ) {
+		this.groups.push( group );
+		return this.render();
+	},
+
+	/**
+	 * @param {Kartographer.Data.Group} group
+	 * @chainable
+	 */
+	removeGroup: function ( group ) {
+		this.groups = this.groups.filter( function ( failed ) {
+			return failed !== group;
+		} );
+		return this.render();
+	},
+
+	/**
+	 * @private
+	 * @param {Kartographer.Data.Group} group
+	 * @return {string} Plain text
+	 */
+	getLabel: function ( group ) {
+		var data = group.getGeoJSON();
+
+		if ( $.isPlainObject( data ) && data.type === 'ExternalData' ) {
+			return mw.msg( 'kartographer-data-error-externaldata', data.service );
+		}
+		// Groups of the contents of a tag have hashed ids, starting with an underscore
+		return group.groupId && group.groupId.charAt( 0 ) !== '_' ?
+			group.groupId :
+			mw.msg( 'kartographer-data-error-group' );
+	},
+
+	/**
+	 * @private
+	 * @param {Kartographer.Data.Group} group
+	 * @return {string} Plain text
+	 */
+	getReason: function ( group ) {
+		var name = group.failureReason && group.failureReason.name;
+
+		if ( name === 'TimeoutError' ) {
+			return mw.msg( 'kartographer-data-error-timeout' );
+		}
+		if ( name === 'AbortError' ) {
+			return mw.msg( 'kartographer-data-error-aborted' );
+		}
+		// The messages of other errors are for developers, see #renderDetails
+		return mw.msg( 'kartographer-data-error-unknown' );
+	},
+
+	/**
+	 * @private
+	 * @param {Kartographer.Data.Group} group
+	 * @return {jQuery}
+	 */
+	renderDetails: function ( group ) {
+		var data = group.getGeoJSON(),
+			reason = group.failureReason,
+			$details = $( '<div>' ).addClass( 'mw-kartographer-data-error-details' ).append(
+				$( '<code>' ).text( group.groupId || '' ),
+				' ',
+				$( '<code>' ).text( reason && reason.name || 'Error' )
+			);
+
+		if ( reason && reason.message ) {
+			$details.append( ' ', $( '<span>' ).text( reason.message ) );
+		}
+		if ( $.isPlainObject( data ) && data.url ) {
+			$details.append( ' ', $( '<a>' ).attr( { href: data.url, target: '_blank' } ).text( data.url ) );
+		}
+		return $details;
+	},
+
+	/**
+	 * @private
+	 * @chainable
+	 */
+	render: function () {
+		var control = this;
+
+		if ( !this.$container ) {
+			return this;
+		}
+
+		this.$list.empty().append( this.groups.map( function ( group ) {
+			var $retry = $( '<a>' )
+				.attr( { href: '#', role: 'button' } )
+				.addClass( 'mw-kartographer-data-error-retry' )
+				.text( mw.msg( 'kartographer-data-error-retry' ) )
+				.on( 'click', function ( e ) {
+					e.preventDefault();
+					control.removeGroup( group );
+					control._map.retryDataGroup( group );
+				} );
+
+			return $( '<li>' ).append(
+				$( '<strong>' ).text( control.getLabel( group ) ),
+				' ',
+				$( '<span>' ).text( control.getReason( group ) ),
+				' ',
+				$retry,
+				control.options.details ? control.renderDetails( group ) : null
+			);
+		} ) );
+		this.$container.toggle( this.groups.length > 0 );
+		return this;
+	}
+} );
+
+module.exports = DataErrorControl;
@@ -0,0 +1,246 @@
+/* eslint-disable no-underscore-dangle */
+/**
+ * # Layer that draws the density of points as a heatmap.
+ *
+ * Each point is drawn as a blurred circle on a canvas, more opaque the more it weighs. Where
+ * circles overlap their opacity adds up, and the opacity is then colored with a color ramp.
+ *
+ * See {@link Kartographer.Box.Rendering}.
+ *
+ * @class Kartographer.Box.HeatmapLayer
+ * @extends L.Layer
+ */
+var HeatmapLayer = L.Layer.extend( {
+	options: {
+		/**
+		 * @cfg {string[]} colors Color ramp, from low to high densities
+		 */
+		colors: [ '#0000ff', '#00ffff', '#00ff00', '#ffff00', '#ff0000' ],
+		/**
+		 * @cfg {number} [radius=25] Radius of the points, in pixels
+		 */
+		radius: 25,
+		/**
+		 * @cfg {number} [max] Weight of the densest point. _Defaults to the largest weight._
+		 */
+		max: null,
+		/**
+		 * @cfg {number} [minOpacity=0.05] Opacity of points that barely weigh anything
+		 */
+		minOpacity: 0.05
+	},
+
+	/**
+	 * @param {Array[]} points Points as `[ lat, lng, weight ]`
+	 * @param {Object} [options]
+	 */
+	initialize: function ( points, options ) {
+		L.setOptions( this, options );
+		/**
+		 * @property {Array[]} points
+		 * @private
+		 */
+		this.points = points;
+		/**
+		 * @property {ImageData|null} palette Colors of 256 densities
+		 * @private
+		 */
+		this.palette = null;
+		/**
+		 * @property {Object|null} stamp The `canvas` of #getStamp, and its `radius`
+		 * @private
+		 */
+		this.stamp = null;
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 */
+	onAdd: function ( map ) {
+		this.canvas = L.DomUtil.create( 'canvas', 'mw-kartographer-heatmap leaflet-layer' );
+		if ( map._zoomAnimated ) {
+			$( this.canvas ).addClass( 'leaflet-zoom-animated' );
+		}
+		map.getPane( 'overlayPane' ).appendChild( this.canvas );
+		this.update();
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 */
+	onRemove: function () {
+		L.DomUtil.remove( this.canvas );
+		this.canvas = null;
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 * @return {Object}
+	 */
+	getEvents: function () {
+		var events = {
+			moveend: this.update,
+			viewreset: this.update,
+			resize: this.update
+		};
+		if ( this._map._zoomAnimated ) {
+			events.zoomanim = this.onZoomAnim;
+		}
+		return events;
+	},
+
+	/**
+	 * @return {L.LatLngBounds} Bounds of the points
+	 */
+	getBounds: function () {
+		return L.latLngBounds( this.points.map( function ( point ) {
+			return [ point[ 0 ], point[ 1 ] ];
+		} ) );
+	},
+
+	/**
+	 * Make the canvas cover the map, and draw the points.
+	 *
+	 * @protected
+	 */
+	update: function () {
+		var map = this._map,
+			size = map.getSize();
+
+		L.DomUtil.setPosition( this.canvas, map.containerPointToLayerPoint( [ 0, 0 ] ) );
+		this.canvas.width = size.x;
+		this.canvas.height = size.y;
+		this.draw();
+	},
+
+	/**
+	 * @private
+	 */
+	draw: function () {
+		var context = this.canvas.getContext( '2d' ),
+			width = this.canvas.width,
+			height = this.canvas.height;
+
+		if ( !context ) {
+			return;
+		}
+		context.clearRect( 0, 0, width, height );
+		if ( !this.points.length || !width || !height ) {
+			return;
+		}
+
+		var map = this._map,
+			radius = this.options.radius,
+			stamp = this.getStamp(),
+			bounds = L.bounds( [ -radius, -radius ], [ width + radius, height + radius ] ),
+			max = this.options.max || Math.max.apply( Math, this.points.map( function ( point ) {
+				return point[ 2 ];
+			} ) ),
+			minOpacity = this.options.minOpacity;
+
+		this.points.forEach( function ( point ) {
+			var position = map.latLngToContainerPoint( [ point[ 0 ], point[ 1 ] ] );
+			if ( !bounds.contains( position ) ) {
+				return;
+			}
+			context.globalAlpha = Math.min( Math.max( point[ 2 ] / max, minOpacity ), 1 );
+			context.drawImage( stamp, position.x - stamp.width / 2, position.y - stamp.height / 2 );
+		} );
+		context.globalAlpha = 1;
+
+		this.colorize( context, width, height );
+	},
+
+	/**
+	 * @private
+	 * @return {HTMLCanvasElement} Blurred circle that is drawn for each point
+	 */
+	getStamp: function () {
+		if ( this.stamp && this.stamp.radius === this.options.radius ) {
+			return this.stamp.canvas;
+		}
+		var radius = this.options.radius,
+			canvas = document.createElement( 'canvas' ),
+			context = canvas.getContext( '2d' ),
+			gradient = context.createRadialGradient( radius, radius, 0, radius, radius, radius );
+
+		canvas.width = canvas.height = radius * 2;
+		gradient.addColorStop( 0, 'rgba(0,0,0,1)' );
+		gradient.addColorStop( 1, 'rgba(0,0,0,0)' );
+		context.fillStyle = gradient;
+		context.fillRect( 0, 0, canvas.width, canvas.height );
+
+		this.stamp = { radius: radius, canvas: canvas };
+		return canvas;
+	},
+
+	/**
+	 * @private
+	 * @return {ImageData} See #palette
+	 */
+	getPalette: function () {
+		if ( this.palette ) {
+			return this.palette;
+		}
+		var canvas = document.createElement( 'canvas' ),
+			context = canvas.getContext( '2d' ),
+			gradient = context.createLinearGradient( 0, 0, 256, 0 ),
+			colors = this.options.colors;
+
+		canvas.width = 256;
+		canvas.height = 1;
+		colors.forEach( function ( color, i ) {
+			gradient.addColorStop( i / ( colors.length - 1 ), color );
+		} );
+		context.fillStyle = gradient;
+		context.fillRect( 0, 0, 256, 1 );
+
+		this.palette = context.getImageData( 0, 0, 256, 1 );
+		return this.palette;
+	},
+
+	/**
+	 * Replace the opacity of each pixel by the color of its density.
+	 *
+	 * @private
+	 * @param {CanvasRenderingContext2D} context
+	 * @param {number} width
+	 * @param {number} height
+	 */
+	colorize: function ( context, width, height ) {
+		var image = context.getImageData( 0, 0, width, height ),
+			pixels = image.data,
+			palette = this.getPalette().data;
+
+		for ( var i = 3; i < pixels.length; i += 4 ) {
+			var density = pixels[ i ];
+			if ( density ) {
+				pixels[ i - 3 ] = palette[ density * 4 ];
+				pixels[ i - 2 ] = palette[ density * 4 + 1 ];
+				pixels[ i - 1 ] = palette[ density * 4 + 2 ];
+			}
+		}
+		context.putImageData( image, 0, 0 );
+	},
+
+	/**
+	 * Scale the current rendering along with the zoom animation of Leaflet, until the points
+	 * are drawn again when the animation ends.
+	 *
+	 * @protected
+	 * @param {Object} e
+	 */
+	onZoomAnim: function ( e ) {
+		var map = this._map,
+			scale = map.getZoomScale( e.zoom ),
+			offset = map._latLngBoundsToNewLayerBounds( map.getBounds(), e.zoom, e.center ).min;
+
+		L.DomUtil.setTransform( this.canvas, offset, scale );
+	}
+} );
+
+module.exports = HeatmapLayer;
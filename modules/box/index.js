@@ -18,6 +18,102 @@ L.kartographer = module.exports = {
 	 */
 	ScaleControl: require( './scale_control.js' ),
 
+	/**
+	 * @type {Kartographer.Box.LocateControl}
+	 * @ignore
+	 */
+	LocateControl: require( './locate_control.js' ),
+
+	/**
+	 * @type {Kartographer.Box.LayersControl}
+	 * @ignore
+	 */
+	LayersControl: require( './layers_control.js' ),
+
+	/**
+	 * @type {Kartographer.Box.DataErrorControl}
+	 * @ignore
+	 */
+	DataErrorControl: require( './data_error_control.js' ),
+
+	/**
+	 * @type {Kartographer.Box.LegendControl}
+	 * @ignore
+	 */
+	LegendControl: require( './legend_control.js' ),
+
+	/**
+	 * @type {Kartographer.Box.TileLayers}
+	 * @ignore
+	 */
+	TileLayers: require( './tilelayers.js' ),
+
+	/**
+	 * @type {Kartographer.Box.VectorLayer}
+	 * @ignore
+	 */
+	VectorLayer: require( './vector_layer.js' ),
+
+	/**
+	 * @type {Kartographer.Box.HeatmapLayer}
+	 * @ignore
+	 */
+	HeatmapLayer: require( './heatmap_layer.js' ),
+
+	/**
+	 * @type {Kartographer.Box.Topology}
+	 * @ignore
+	 */
+	Topology: require( './topology.js' ),
+
+	/**
+	 * @type {Kartographer.Box.Tabular}
+	 * @ignore
+	 */
+	Tabular: require( './tabular.js' ),
+
+	/**
+	 * @type {Function} See {@link Kartographer.Data.DataManager}
+	 * @ignore
+	 */
+	DataManager: require( './data.js' ),
+
+	/**
+	 * @type {Kartographer.Box.ResponseCache}
+	 * @ignore
+	 */
+	ResponseCache: require( './cache.js' ),
+
+	/**
+	 * @type {Kartographer.Box.OfflineStore}
+	 * @ignore
+	 */
+	OfflineStore: require( './offline.js' ),
+
+	/**
+	 * @type {Kartographer.Box.OfflineTileLayer}
+	 * @ignore
+	 */
+	OfflineTileLayer: require( './offline_tilelayer.js' ),
+
+	/**
+	 * @type {Kartographer.Box.FeatureSelector}
+	 * @ignore
+	 */
+	FeatureSelector: require( './selector.js' ),
+
+	/**
+	 * @type {Kartographer.Box.MarkerCluster}
+	 * @ignore
+	 */
+	MarkerCluster: require( './cluster.js' ),
+
+	/**
+	 * @type {Kartographer.Box.Rendering}
+	 * @ignore
+	 */
+	Rendering: require( './rendering.js' ),
+
 	/**
 	 * @type {Kartographer.Box.MWMap}
 	 * @ignore
@@ -0,0 +1,55 @@
+/* eslint-disable no-underscore-dangle */
+/**
+ * # Control to switch the base layer of the map, and to toggle overlays.
+ *
+ * Created by {@link Kartographer.Box.MapClass#getLayersControl} when a map has more than its
+ * Wikimedia base layer, see {@link Kartographer.Box.TileLayers}.
+ *
+ * See [L.Control.Layers](https://www.mapbox.com/mapbox.js/api/v2.3.0/l-control-layers/)
+ * documentation for more details.
+ *
+ * @class Kartographer.Box.LayersControl
+ * @extends L.Control.Layers
+ */
+var LayersControl = L.Control.Layers.extend( {
+	options: {
+		// Do not switch for RTL because zoom also stays in place
+		position: 'topleft'
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 * @return {HTMLElement}
+	 */
+	onAdd: function ( map ) {
+		var container = L.Control.Layers.prototype.onAdd.call( this, map );
+		$( container ).addClass( 'leaflet-bar mw-kartographer-layers' );
+		this._layersLink.title = mw.msg( 'kartographer-layers-button' );
+		return container;
+	},
+
+	/**
+	 * Offer another layer in place of one the control already offers, with the same name.
+	 *
+	 * @param {L.Layer} oldLayer
+	 * @param {L.Layer} newLayer
+	 * @chainable
+	 */
+	replaceLayer: function ( oldLayer, newLayer ) {
+		var entry = this._getLayer( L.stamp( oldLayer ) );
+
+		if ( entry ) {
+			entry.layer = newLayer;
+			if ( this._map ) {
+				oldLayer.off( 'add remove', this._onLayerChange, this );
+				newLayer.on( 'add remove', this._onLayerChange, this );
+				this._update();
+			}
+		}
+		return this;
+	}
+} );
+
+module.exports = LayersControl;
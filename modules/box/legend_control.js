@@ -0,0 +1,160 @@
+/* eslint-disable no-underscore-dangle */
+/**
+ * # Control to show the legend of data groups that are drawn as a heatmap or choropleth.
+ *
+ * The legend is generated from the `rendering` of the data layers, see
+ * {@link Kartographer.Box.Rendering}. It only lists the layers that are on the map.
+ *
+ * See [L.Control](https://www.mapbox.com/mapbox.js/api/v2.3.0/l-control/)
+ * documentation for more details.
+ *
+ * @class Kartographer.Box.LegendControl
+ * @extends L.Control
+ */
+var LegendControl = L.Control.extend( {
+	options: {
+		position: 'bottomright'
+	},
+
+	/**
+	 * @param {Object} [options]
+	 */
+	initialize: function ( options ) {
+		L.Control.prototype.initialize.call( this, options );
+		/**
+		 * @property {L.FeatureGroup[]} layers Data layers with a `rendering`
+		 */
+		this.layers = [];
+	},
+
+	/**
+	 * Creates the control element.
+	 *
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 * @return {HTMLElement}
+	 */
+	onAdd: function () {
+		var container = L.DomUtil.create( 'div', 'mw-kartographer-legend' );
+
+		this.$container = $( container ).attr( {
+			role: 'region',
+			'aria-label': mw.msg( 'kartographer-legend' )
+		} );
+		L.DomEvent.disableClickPropagation( container );
+
+		this.render();
+		return container;
+	},
+
+	/**
+	 * @param {L.FeatureGroup} layer Data layer with a `rendering`
+	 * @chainable
+	 */
+	addLayer: function ( layer ) {
+		this.layers.push( layer );
+		// The legend follows the layers control
+		layer.on( 'add remove', this.render, this );
+		return this.render();
+	},
+
+	/**
+	 * @param {L.FeatureGroup} layer
+	 * @chainable
+	 */
+	removeLayer: function ( layer ) {
+		this.layers = this.layers.filter( function ( other ) {
+			return other !== layer;
+		} );
+		layer.off( 'add remove', this.render, this );
+		return this.render();
+	},
+
+	/**
+	 * @private
+	 * @param {number} value
+	 * @return {string}
+	 */
+	formatValue: function ( value ) {
+		// Computed breaks can have many decimals
+		return String( Math.round( value * 100 ) / 100 );
+	},
+
+	/**
+	 * @private
+	 * @param {Object} config See {@link Kartographer.Box.Rendering#normalize}
+	 * @return {jQuery}
+	 */
+	renderChoropleth: function ( config ) {
+		var control = this,
+			breaks = config.breaks;
+
+		return $( '<ul>' ).append( config.colors.map( function ( color, i ) {
+			var label;
+			if ( !breaks.length ) {
+				label = '';
+			} else if ( i === 0 ) {
+				label = mw.msg( 'kartographer-legend-below', control.formatValue( breaks[ 0 ] ) );
+			} else if ( i === breaks.length ) {
+				label = mw.msg( 'kartographer-legend-above', control.formatValue( breaks[ i - 1 ] ) );
+			} else {
+				label = mw.msg( 'kartographer-legend-range',
+					control.formatValue( breaks[ i - 1 ] ), control.formatValue( breaks[ i ] ) );
+			}
+			return $( '<li>' ).append(
+				$( '<span>' ).addClass( 'mw-kartographer-legend-swatch' ).css( 'background-color', color ),
+				' ',
+				$( '<span>' ).text( label )
+			);
+		} ) );
+	},
+
+	/**
+	 * @private
+	 * @param {Object} config See {@link Kartographer.Box.Rendering#normalize}
+	 * @return {jQuery}
+	 */
+	renderHeatmap: function ( config ) {
+		return $( '<div>' ).append(
+			$( '<div>' ).addClass( 'mw-kartographer-legend-gradient' )
+				.css( 'background-image', 'linear-gradient(to right, ' + config.colors.join( ', ' ) + ')' ),
+			$( '<div>' ).addClass( 'mw-kartographer-legend-scale' ).append(
+				$( '<span>' ).text( mw.msg( 'kartographer-legend-low' ) ),
+				$( '<span>' ).text( mw.msg( 'kartographer-legend-high' ) )
+			)
+		);
+	},
+
+	/**
+	 * @private
+	 * @chainable
+	 */
+	render: function () {
+		var control = this,
+			map = this._map;
+
+		if ( !this.$container || !map ) {
+			return this;
+		}
+
+		var layers = this.layers.filter( function ( layer ) {
+			return map.hasLayer( layer );
+		} );
+
+		this.$container.empty().append( layers.map( function ( layer ) {
+			var config = layer.rendering,
+				title = config.title || config.property ||
+					( config.mode === 'heatmap' ? mw.msg( 'kartographer-legend-density' ) : '' );
+
+			return $( '<div>' ).addClass( 'mw-kartographer-legend-item' ).append(
+				$( '<strong>' ).text( title ),
+				config.mode === 'heatmap' ? control.renderHeatmap( config ) : control.renderChoropleth( config )
+			);
+		} ) );
+		this.$container.toggle( layers.length > 0 );
+		return this;
+	}
+} );
+
+module.exports = LegendControl;
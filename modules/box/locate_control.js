@@ -0,0 +1,203 @@
+/* eslint-disable no-underscore-dangle */
+/**
+ * # Control to show the reader's own position.
+ *
+ * Uses the browser's geolocation API. The position is shown with a circle as large as its
+ * accuracy, and the map follows it until the reader drags the map. Pressing the control again
+ * centers the map on the position, or stops showing it when it is already centered.
+ *
+ * Neither pressing the control nor following the position wakes a sleeping map, see
+ * Leaflet.Sleep. The map can only be dragged after the reader woke it, like before.
+ *
+ * See [L.Control](https://www.mapbox.com/mapbox.js/api/v2.3.0/l-control/)
+ * documentation for more details.
+ *
+ * @class Kartographer.Box.LocateControl
+ * @extends L.Control
+ */
+var LocateControl = L.Control.extend( {
+	options: {
+		// Do not switch for RTL because zoom also stays in place
+		position: 'topleft'
+	},
+
+	statics: {
+		/**
+		 * The position is shown at least at this zoom level, unless it is less accurate.
+		 *
+		 * @static
+		 * @property {number}
+		 */
+		zoom: 16,
+
+		/**
+		 * @static
+		 * @return {boolean} Whether the browser can determine the reader's position
+		 */
+		isSupported: function () {
+			return !!( navigator.geolocation && navigator.geolocation.watchPosition );
+		}
+	},
+
+	/**
+	 * Creates the control element.
+	 *
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 * @return {HTMLElement}
+	 */
+	onAdd: function ( map ) {
+		var container = L.DomUtil.create( 'div', 'leaflet-bar mw-kartographer-locate' );
+
+		this.link = L.DomUtil.create( 'a', 'oo-ui-icon-mapPin', container );
+		this.link.href = '#';
+		this.link.title = mw.msg( 'kartographer-locate-button' );
+		this.link.role = 'button';
+		this.link.setAttribute( 'aria-pressed', 'false' );
+
+		this.watchId = null;
+		this.latLng = null;
+		this.following = false;
+		this.layer = L.featureGroup();
+
+		L.DomEvent.addListener( this.link, 'click', this.onToggle, this );
+		// Keeps clicks from waking a sleeping map
+		L.DomEvent.disableClickPropagation( container );
+		map.on( 'dragstart', this.onDragStart, this )
+			.on( 'unload', this.stop, this );
+
+		return container;
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 */
+	onRemove: function ( map ) {
+		this.stop();
+		map.off( 'dragstart', this.onDragStart, this )
+			.off( 'unload', this.stop, this );
+	},
+
+	/**
+	 * @param {Event} e
+	 * @protected
+	 */
+	onToggle: function ( e ) {
+		L.DomEvent.stop( e );
+		if ( this.watchId === null ) {
+			this.start();
+		} else if ( this.latLng && !this.following ) {
+			this.following = true;
+			this.showPosition();
+		} else {
+			this.stop();
+		}
+	},
+
+	/**
+	 * Start watching the position, and follow it.
+	 */
+	start: function () {
+		if ( this.watchId !== null ) {
+			return;
+		}
+
+		this.following = true;
+		this.watchId = navigator.geolocation.watchPosition(
+			this.onLocationFound.bind( this ),
+			this.onLocationError.bind( this ),
+			{ enableHighAccuracy: true, maximumAge: 10000 }
+		);
+		$( this.link ).addClass( 'mw-kartographer-locate-pending' );
+		this.link.setAttribute( 'aria-pressed', 'true' );
+	},
+
+	/**
+	 * Stop watching the position and remove it from the map.
+	 */
+	stop: function () {
+		if ( this.watchId === null ) {
+			return;
+		}
+
+		navigator.geolocation.clearWatch( this.watchId );
+		this.watchId = null;
+		this.latLng = null;
+		this.following = false;
+		this.layer.clearLayers().remove();
+		$( this.link ).removeClass( 'mw-kartographer-locate-pending' );
+		this.link.setAttribute( 'aria-pressed', 'false' );
+	},
+
+	/**
+	 * @param {Object} position See the browser's Geolocation API
+	 * @protected
+	 */
+	onLocationFound: function ( position ) {
+		var isFirst = !this.latLng;
+
+		this.latLng = L.latLng( position.coords.latitude, position.coords.longitude );
+		this.accuracy = position.coords.accuracy;
+		this.layer.clearLayers()
+			.addLayer( L.circle( this.latLng, {
+				radius: this.accuracy,
+				interactive: false,
+				className: 'mw-kartographer-locate-accuracy'
+			} ) )
+			.addLayer( L.circleMarker( this.latLng, {
+				radius: 7,
+				interactive: false,
+				className: 'mw-kartographer-locate-position'
+			} ) )
+			.addTo( this._map );
+		$( this.link ).removeClass( 'mw-kartographer-locate-pending' );
+
+		if ( isFirst ) {
+			this.showPosition();
+		} else if ( this.following ) {
+			this._map.panTo( this.latLng );
+		}
+	},
+
+	/**
+	 * @param {Object} error See the browser's Geolocation API
+	 * @protected
+	 */
+	onLocationError: function ( error ) {
+		this.stop();
+		mw.notify(
+			error.code === 1 /* PERMISSION_DENIED */ ?
+				mw.msg( 'kartographer-locate-denied' ) :
+				mw.msg( 'kartographer-locate-error' ),
+			{ tag: 'kartographer-locate', type: 'error' }
+		);
+	},
+
+	/**
+	 * Pan and zoom to the position, as far as its accuracy allows.
+	 */
+	showPosition: function () {
+		var map = this._map;
+
+		if ( !this.latLng ) {
+			return;
+		}
+		map.fitBounds( this.latLng.toBounds( this.accuracy * 2 ), {
+			maxZoom: Math.max( map.getZoom(), LocateControl.zoom )
+		} );
+	},
+
+	/**
+	 * Stop following the position when the reader drags the map.
+	 *
+	 * @protected
+	 */
+	onDragStart: function () {
+		this.following = false;
+	}
+} );
+
+module.exports = LocateControl;
@@ -0,0 +1,339 @@
+/**
+ * Areas of maps saved in the browser, so they can be shown without a connection.
+ *
+ * Each area has its own cache in the [Cache Storage](https://developer.mozilla.org/en-US/docs/Web/API/CacheStorage)
+ * with the Wikimedia raster tiles of its bounds, and the data groups of the map. The list of
+ * areas is kept in the local storage. {@link Kartographer.Box.OfflineTileLayer} and
+ * {@link Kartographer.Box.MapClass#addDataGroups} read from the store when the network fails.
+ *
+ * @alternateClassName OfflineStore
+ * @class Kartographer.Box.OfflineStore
+ * @singleton
+ */
+var DataManagerFactory = require( './data.js' ),
+	storage = require( 'mediawiki.storage' ).local,
+	STORAGE_KEY = 'kartographer-offline-areas',
+	CACHE_PREFIX = 'kartographer-offline-',
+	TILE_SIZE = 256,
+	// Number of tiles that are downloaded at the same time
+	CONCURRENCY = 4,
+	AVERAGE_TILE_SIZE = 20000,
+	MAX_TILES = 3000;
+
+/**
+ * @private
+ * @param {Object} promise Native promise
+ * @return {jQuery.Promise}
+ */
+function toJQueryPromise( promise ) {
+	return $.Deferred( function ( deferred ) {
+		promise.then( deferred.resolve, deferred.reject );
+	} ).promise();
+}
+
+/**
+ * Key of the data groups of a page in the caches. It is never requested.
+ *
+ * @private
+ * @param {string} title
+ * @param {string[]} groupIds
+ * @return {string}
+ */
+function getDataKey( title, groupIds ) {
+	return mw.util.wikiScript( 'api' ) + '?' + $.param( {
+		kartographeroffline: 1,
+		title: title,
+		groups: groupIds.slice().sort().join( '|' )
+	} );
+}
+
+/**
+ * The browser APIs the store uses. It only uses them through here.
+ *
+ * @private
+ * @return {Object|null} Null when the browser can't save areas
+ * @return {CacheStorage} return.caches
+ * @return {Function} return.fetch
+ * @return {Function} return.Promise
+ * @return {Function} return.Response
+ */
+function getBrowserApis() {
+	/* eslint-disable compat/compat */
+	if ( !window.caches || !window.fetch || !window.Promise || !window.URL || !URL.createObjectURL ) {
+		return null;
+	}
+	return {
+		caches: window.caches,
+		fetch: window.fetch.bind( window ),
+		Promise: window.Promise,
+		Response: window.Response
+	};
+	/* eslint-enable compat/compat */
+}
+
+/**
+ * @return {boolean} Whether the browser can save areas
+ */
+function isSupported() {
+	return !!getBrowserApis();
+}
+
+/**
+ * @return {Object[]} The saved areas, see #save
+ */
+function getAreas() {
+	return storage.getObject( STORAGE_KEY ) || [];
+}
+
+/**
+ * @private
+ * @param {L.LatLngBounds} bounds
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @return {L.Bounds[]} Coordinates of the first and last tile that cover the bounds, by zoom
+ */
+function getTileRanges( bounds, minZoom, maxZoom ) {
+	var ranges = [];
+
+	for ( var z = minZoom; z <= maxZoom; z++ ) {
+		var max = Math.pow( 2, z ) - 1,
+			nw = L.CRS.EPSG3857.latLngToPoint( bounds.getNorthWest(), z ).divideBy( TILE_SIZE ).floor(),
+			se = L.CRS.EPSG3857.latLngToPoint( bounds.getSouthEast(), z ).divideBy( TILE_SIZE ).floor();
+
+		ranges[ z ] = L.bounds(
+			[ Math.max( nw.x, 0 ), Math.max( nw.y, 0 ) ],
+			[ Math.min( se.x, max ), Math.min( se.y, max ) ]
+		);
+	}
+	return ranges;
+}
+
+/**
+ * Find the tiles that cover some bounds.
+ *
+ * @param {string} urlTemplate Like `https://maps.example/osm/{z}/{x}/{y}.png`
+ * @param {L.LatLngBounds} bounds
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @return {string[]} URLs of the tiles
+ */
+function getTileUrls( urlTemplate, bounds, minZoom, maxZoom ) {
+	var urls = [];
+
+	getTileRanges( bounds, minZoom, maxZoom ).forEach( function ( range, z ) {
+		for ( var x = range.min.x; x <= range.max.x; x++ ) {
+			for ( var y = range.min.y; y <= range.max.y; y++ ) {
+				urls.push( L.Util.template( urlTemplate, { x: x, y: y, z: z } ) );
+			}
+		}
+	} );
+	return urls;
+}
+
+/**
+ * @param {L.LatLngBounds} bounds
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @return {Object} Estimate
+ * @return {number} return.tiles Number of tiles
+ * @return {number} return.size Estimated size, in bytes
+ * @return {boolean} return.tooLarge Whether there are more tiles than #MAX_TILES
+ */
+function estimate( bounds, minZoom, maxZoom ) {
+	var tiles = getTileRanges( bounds, minZoom, maxZoom ).reduce( function ( sum, range ) {
+		return sum + ( range.max.x - range.min.x + 1 ) * ( range.max.y - range.min.y + 1 );
+	}, 0 );
+
+	return {
+		tiles: tiles,
+		size: tiles * AVERAGE_TILE_SIZE,
+		tooLarge: tiles > MAX_TILES
+	};
+}
+
+/**
+ * Save an area, with the data groups of the page.
+ *
+ * @param {Object} area
+ * @param {string} area.label Plain text
+ * @param {string} area.title Page with the map
+ * @param {string[]} area.groups Data groups of the map
+ * @param {L.LatLngBounds} area.bounds
+ * @param {number} area.minZoom
+ * @param {number} area.maxZoom
+ * @param {string} urlTemplate See #getTileUrls
+ * @param {Function} [onProgress] Called with the number of saved tiles and of all tiles
+ * @return {jQuery.Promise} Resolved with the saved area, rejected when the area is too large or
+ *  the tiles, the data, or the space for them are not available
+ */
+function save( area, urlTemplate, onProgress ) {
+	var browser = getBrowserApis();
+	if ( !browser ) {
+		return $.Deferred().reject( new Error( 'Not supported' ) ).promise();
+	}
+	if ( estimate( area.bounds, area.minZoom, area.maxZoom ).tooLarge ) {
+		return $.Deferred().reject( new Error( 'Too many tiles' ) ).promise();
+	}
+
+	var tileUrls = getTileUrls( urlTemplate, area.bounds, area.minZoom, area.maxZoom ),
+		total = tileUrls.length,
+		id = String( Date.now() ),
+		saved = {
+			id: id,
+			label: area.label,
+			title: area.title,
+			groups: area.groups,
+			bounds: [
+				[ area.bounds.getSouth(), area.bounds.getWest() ],
+				[ area.bounds.getNorth(), area.bounds.getEast() ]
+			],
+			minZoom: area.minZoom,
+			maxZoom: area.maxZoom,
+			tiles: total,
+			size: 0,
+			date: new Date().toISOString()
+		},
+		done = 0,
+		failed = false;
+
+	return toJQueryPromise( browser.caches.open( CACHE_PREFIX + id ).then( function ( cache ) {
+		function saveTile( url ) {
+			return browser.fetch( url ).then( function ( response ) {
+				if ( !response.ok ) {
+					throw new Error( 'Unable to fetch ' + url );
+				}
+				return response.clone().blob().then( function ( blob ) {
+					saved.size += blob.size;
+					return cache.put( url, response );
+				} );
+			} ).then( function () {
+				done++;
+				if ( onProgress ) {
+					onProgress( done, total );
+				}
+			} );
+		}
+
+		function next() {
+			// The other workers stop when one fails, the cache is deleted then
+			var url = !failed && tileUrls.shift();
+			return url ? saveTile( url ).then( next, function ( err ) {
+				failed = true;
+				throw err;
+			} ) : null;
+		}
+
+		var queue = [];
+		while ( queue.length < CONCURRENCY ) {
+			queue.push( next() );
+		}
+		return browser.Promise.all( queue ).then( function () {
+			if ( !area.groups.length ) {
+				return;
+			}
+			return DataManagerFactory().loadGroups( area.groups, area.title ).then( function ( groups ) {
+				var data = JSON.stringify( groups.filter( function ( group ) {
+					return !group.failed;
+				} ).map( function ( group ) {
+					return { name: group.name, groupId: group.groupId, geoJSON: group.getGeoJSON() };
+				} ) );
+				saved.size += data.length;
+				return cache.put(
+					getDataKey( area.title, area.groups ),
+					new browser.Response( data, { headers: { 'Content-Type': 'application/json' } } )
+				);
+			} );
+		} ).then( function () {
+			storage.setObject( STORAGE_KEY, getAreas().concat( saved ) );
+			return saved;
+		} );
+	} ).catch( function ( err ) {
+		browser.caches.delete( CACHE_PREFIX + id );
+		throw err;
+	} ) );
+}
+
+/**
+ * @param {string} id See #getAreas
+ * @return {jQuery.Promise}
+ */
+function remove( id ) {
+	var browser = getBrowserApis();
+
+	storage.setObject( STORAGE_KEY, getAreas().filter( function ( area ) {
+		return area.id !== id;
+	} ) );
+	return browser ?
+		toJQueryPromise( browser.caches.delete( CACHE_PREFIX + id ) ) :
+		$.Deferred().resolve().promise();
+}
+
+/**
+ * @param {string} url
+ * @return {jQuery.Promise} Resolved with the saved tile as a Blob, or null
+ */
+function getTile( url ) {
+	var browser = getBrowserApis();
+
+	if ( !browser || !getAreas().length ) {
+		return $.Deferred().resolve( null ).promise();
+	}
+	return toJQueryPromise( browser.caches.match( url ).then( function ( response ) {
+		return response ? response.blob() : null;
+	} ) );
+}
+
+/**
+ * @param {string} title
+ * @param {string[]} groupIds
+ * @return {jQuery.Promise} Resolved with the saved groups, or null. The groups have the
+ *  properties and methods of a {@link Kartographer.Data.Group} that the map uses, and the
+ *  `groupId` of their data group.
+ */
+function getGroups( title, groupIds ) {
+	var browser = getBrowserApis();
+
+	if ( !browser || !getAreas().length ) {
+		return $.Deferred().resolve( null ).promise();
+	}
+	return toJQueryPromise( browser.caches.match( getDataKey( title, groupIds ) ).then( function ( response ) {
+		return response ? response.json() : null;
+	} ) ).then( function ( groups ) {
+		return groups && groups.map( function ( group ) {
+			return {
+				name: group.name,
+				groupId: group.groupId,
+				failed: false,
+				failureReason: null,
+				getGeoJSON: function () {
+					return group.geoJSON;
+				}
+			};
+		} );
+	} );
+}
+
+module.exports = {
+	/**
+	 * Estimated size of a tile, in bytes, see #estimate.
+	 *
+	 * @property {number}
+	 * @readonly
+	 */
+	AVERAGE_TILE_SIZE: AVERAGE_TILE_SIZE,
+	/**
+	 * Most tiles an area can have, to spare the map server.
+	 *
+	 * @property {number}
+	 * @readonly
+	 */
+	MAX_TILES: MAX_TILES,
+	isSupported: isSupported,
+	getAreas: getAreas,
+	getTileUrls: getTileUrls,
+	estimate: estimate,
+	save: save,
+	remove: remove,
+	getTile: getTile,
+	getGroups: getGroups
+};
@@ -0,0 +1,62 @@
+/* eslint-disable no-underscore-dangle */
+/**
+ * # Tile layer that shows saved tiles when they can't be loaded.
+ *
+ * Tiles that fail to load, usually because the reader is offline, are looked up in the
+ * {@link Kartographer.Box.OfflineStore}.
+ *
+ * See [L.TileLayer](https://www.mapbox.com/mapbox.js/api/v2.3.0/l-tilelayer/)
+ * documentation for more details.
+ *
+ * @class Kartographer.Box.OfflineTileLayer
+ * @extends L.TileLayer
+ */
+var OfflineStore = require( './offline.js' );
+
+var OfflineTileLayer = L.TileLayer.extend( {
+	/**
+	 * @param {string} urlTemplate
+	 * @param {Object} [options]
+	 */
+	initialize: function ( urlTemplate, options ) {
+		L.TileLayer.prototype.initialize.call( this, urlTemplate, options );
+		this.on( 'tileunload', this.onTileUnload, this );
+	},
+
+	/**
+	 * @override
+	 * @private
+	 */
+	_tileOnError: function ( done, tile, e ) {
+		var layer = this;
+
+		if ( tile.offlineUrl ) {
+			L.TileLayer.prototype._tileOnError.call( this, done, tile, e );
+			return;
+		}
+		OfflineStore.getTile( tile.src ).then( function ( blob ) {
+			if ( blob ) {
+				// Loading it calls `done` like for any other tile
+				tile.offlineUrl = URL.createObjectURL( blob );
+				tile.src = tile.offlineUrl;
+			} else {
+				L.TileLayer.prototype._tileOnError.call( layer, done, tile, e );
+			}
+		}, function () {
+			L.TileLayer.prototype._tileOnError.call( layer, done, tile, e );
+		} );
+	},
+
+	/**
+	 * @param {Object} e
+	 * @param {HTMLImageElement} e.tile
+	 * @private
+	 */
+	onTileUnload: function ( e ) {
+		if ( e.tile.offlineUrl ) {
+			URL.revokeObjectURL( e.tile.offlineUrl );
+		}
+	}
+} );
+
+module.exports = OfflineTileLayer;
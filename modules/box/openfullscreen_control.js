@@ -28,7 +28,7 @@ var OpenFullScreenControl = L.Control.extend( {
 
 		if ( this._map.useRouter ) {
 			this.updateHash();
-			this._map.on( 'moveend', this.onMapMove, this );
+			this._map.on( 'moveend popupopen popupclose', this.onMapMove, this );
 		} else {
 			// the router will handle it otherwise
 			L.DomEvent.addListener( this.link, 'click', this.openFullScreen, this );
@@ -39,7 +39,7 @@ var OpenFullScreenControl = L.Control.extend( {
 	},
 
 	/**
-	 * Updates the hash on `moveend`.
+	 * Updates the hash on `moveend`, and when a popup opens or closes.
 	 *
 	 * @override
 	 * @protected
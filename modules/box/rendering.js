@@ -0,0 +1,253 @@
+/**
+ * How the features of a data group are drawn, see the `rendering` option of
+ * {@link Kartographer.Box.MapClass#addGeoJSONLayer}.
+ *
+ * - `points` – With their simplestyle properties, the default.
+ * - `heatmap` – Points are drawn as a {@link Kartographer.Box.HeatmapLayer density heatmap},
+ *   weighted by a numeric property when there is one.
+ * - `choropleth` – Polygons are filled with the color of the class their numeric property
+ *   falls into.
+ *
+ * The {@link Kartographer.Box.LegendControl} is generated from the same configuration.
+ *
+ * @alternateClassName Rendering
+ * @class Kartographer.Box.Rendering
+ * @singleton
+ */
+var HeatmapLayer = require( './heatmap_layer.js' ),
+	MODES = [ 'points', 'heatmap', 'choropleth' ],
+	DEFAULT_COLORS = {
+		heatmap: [ '#0000ff', '#00ffff', '#00ff00', '#ffff00', '#ff0000' ],
+		choropleth: [ '#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026' ]
+	},
+	// Unless features have their own `fill-opacity`
+	CHOROPLETH_OPACITY = 0.7;
+
+/**
+ * @private
+ * @param {Object} feature GeoJSON feature
+ * @param {string|null} property
+ * @return {number|null}
+ */
+function getValue( feature, property ) {
+	var value = property && feature.properties ? feature.properties[ property ] : null;
+	if ( typeof value === 'string' && value.trim() !== '' ) {
+		value = Number( value );
+	}
+	return typeof value === 'number' && isFinite( value ) ? value : null;
+}
+
+/**
+ * @private
+ * @param {Object|Object[]} geoJSON
+ * @param {Function} callback Called with each feature
+ */
+function eachFeature( geoJSON, callback ) {
+	if ( Array.isArray( geoJSON ) ) {
+		geoJSON.forEach( function ( item ) {
+			eachFeature( item, callback );
+		} );
+	} else if ( geoJSON && geoJSON.type === 'FeatureCollection' ) {
+		eachFeature( geoJSON.features || [], callback );
+	} else if ( geoJSON && geoJSON.type === 'Feature' ) {
+		callback( geoJSON );
+	}
+}
+
+/**
+ * @private
+ * @param {Object} feature
+ * @return {boolean} Whether the geometry of the feature is made of points
+ */
+function isPoint( feature ) {
+	var type = feature.geometry && feature.geometry.type;
+	return type === 'Point' || type === 'MultiPoint';
+}
+
+/**
+ * @private
+ * @param {number[]} values
+ * @param {number} classes
+ * @return {number[]} Breaks between classes of equal intervals
+ */
+function getEqualBreaks( values, classes ) {
+	var min = Math.min.apply( Math, values ),
+		max = Math.max.apply( Math, values ),
+		breaks = [];
+
+	for ( var i = 1; i < classes; i++ ) {
+		breaks.push( min + ( max - min ) * i / classes );
+	}
+	return breaks;
+}
+
+/**
+ * Check a rendering configuration, and complete it with the defaults.
+ *
+ * @param {Object|string} [rendering] Configuration, or only the mode
+ * @param {string} [rendering.mode='points']
+ * @param {string} [rendering.property] Name of the numeric property that weighs points of a
+ *  heatmap, or that colors the polygons of a choropleth
+ * @param {string[]} [rendering.colors] Color ramp, from low to high values
+ * @param {number[]} [rendering.breaks] Ascending values between the classes of a choropleth,
+ *  one less than there are colors. _Defaults to classes of equal intervals._
+ * @param {number} [rendering.radius=25] Radius of heatmap points, in pixels
+ * @param {string} [rendering.title] Title in the legend, plain text
+ * @param {Object|Object[]} [geoJSON] Features the breaks are computed for
+ * @return {Object} Configuration with all of the above
+ * @throws {Error} When the configuration is invalid
+ */
+function normalize( rendering, geoJSON ) {
+	var config = $.extend( {
+		mode: 'points',
+		property: null,
+		colors: null,
+		breaks: null,
+		radius: 25,
+		title: null
+	}, typeof rendering === 'string' ? { mode: rendering } : rendering );
+
+	if ( MODES.indexOf( config.mode ) === -1 ) {
+		throw new Error( 'Unknown rendering mode "' + config.mode + '"' );
+	}
+	if ( config.mode === 'points' ) {
+		return config;
+	}
+	if ( config.mode === 'choropleth' && !config.property ) {
+		throw new Error( 'Choropleth rendering needs a property' );
+	}
+
+	config.colors = ( config.colors || DEFAULT_COLORS[ config.mode ] ).slice();
+	if ( config.colors.length < 2 ) {
+		throw new Error( 'Rendering needs at least two colors' );
+	}
+	if ( config.mode !== 'choropleth' ) {
+		return config;
+	}
+
+	if ( !config.breaks ) {
+		var values = [];
+		eachFeature( geoJSON, function ( feature ) {
+			var value = getValue( feature, config.property );
+			if ( value !== null ) {
+				values.push( value );
+			}
+		} );
+		config.breaks = values.length ? getEqualBreaks( values, config.colors.length ) : [];
+		// Without values, all classes would be the same
+		config.colors = values.length ? config.colors : config.colors.slice( -1 );
+	}
+	config.breaks = config.breaks.slice();
+	if ( config.breaks.length !== config.colors.length - 1 ) {
+		throw new Error( 'Choropleth rendering needs one color more than breaks' );
+	}
+	for ( var i = 1; i < config.breaks.length; i++ ) {
+		if ( !( config.breaks[ i ] > config.breaks[ i - 1 ] ) ) {
+			throw new Error( 'Choropleth breaks must be ascending' );
+		}
+	}
+	return config;
+}
+
+/**
+ * @param {Object} config See #normalize
+ * @param {number} value
+ * @return {number} Index of the class of a choropleth the value falls into. Values equal to a
+ *  break fall into the upper class.
+ */
+function getClass( config, value ) {
+	var i = 0;
+	while ( i < config.breaks.length && value >= config.breaks[ i ] ) {
+		i++;
+	}
+	return i;
+}
+
+/**
+ * @private
+ * @param {Object} config See #normalize
+ * @return {Function} Style of the features of a choropleth, for `L.mapbox.featureLayer`
+ */
+function createChoroplethStyle( config ) {
+	return function ( feature ) {
+		var style = L.mapbox.simplestyle.style( feature ),
+			value = getValue( feature, config.property );
+
+		if ( value !== null ) {
+			style.fillColor = config.colors[ getClass( config, value ) ];
+			if ( !feature.properties || feature.properties[ 'fill-opacity' ] === undefined ) {
+				style.fillOpacity = CHOROPLETH_OPACITY;
+			}
+		}
+		return style;
+	};
+}
+
+/**
+ * @private
+ * @param {Object|Object[]} geoJSON
+ * @param {Object} config See #normalize
+ * @return {Array[]} Points of a heatmap, as `[ lat, lng, weight ]`
+ */
+function getHeatmapPoints( geoJSON, config ) {
+	var points = [];
+
+	eachFeature( geoJSON, function ( feature ) {
+		if ( !isPoint( feature ) ) {
+			return;
+		}
+		var value = config.property ? getValue( feature, config.property ) : 1,
+			coordinates = feature.geometry.type === 'Point' ?
+				[ feature.geometry.coordinates ] :
+				feature.geometry.coordinates;
+
+		if ( value === null || value <= 0 ) {
+			return;
+		}
+		coordinates.forEach( function ( coordinate ) {
+			points.push( [ coordinate[ 1 ], coordinate[ 0 ], value ] );
+		} );
+	} );
+	return points;
+}
+
+/**
+ * Create the layer of a data group.
+ *
+ * @param {Object|Object[]} geoJSON
+ * @param {Object} options Options of `L.mapbox.featureLayer`
+ * @param {Object|string} [options.rendering] See #normalize
+ * @return {L.FeatureGroup} Layer of the features, with the normalized configuration as its
+ *  `rendering` property. A heatmap is a child layer of it.
+ * @throws {Error} When the configuration is invalid
+ */
+function createLayer( geoJSON, options ) {
+	var config = normalize( options.rendering, geoJSON ),
+		layerOptions = $.extend( {}, options );
+
+	if ( config.mode === 'choropleth' ) {
+		layerOptions.style = createChoroplethStyle( config );
+	} else if ( config.mode === 'heatmap' ) {
+		// The heatmap shows the points instead
+		layerOptions.filter = function ( feature ) {
+			return !isPoint( feature );
+		};
+	}
+
+	var layer = L.mapbox.featureLayer( geoJSON, layerOptions ),
+		points = config.mode === 'heatmap' ? getHeatmapPoints( geoJSON, config ) : [];
+	if ( points.length ) {
+		layer.addLayer( new HeatmapLayer( points, {
+			colors: config.colors,
+			radius: config.radius
+		} ) );
+	}
+	layer.rendering = config;
+	return layer;
+}
+
+module.exports = {
+	normalize: normalize,
+	getClass: getClass,
+	createLayer: createLayer
+};
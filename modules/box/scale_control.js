@@ -52,6 +52,16 @@ var ScaleControl = L.Control.Scale.extend( {
 	_onToggleScale: function () {
 		this.isMetric = !this.isMetric;
 		this._toggleScale();
+		this._map.fire(
+			/**
+			 * @event scaletoggle
+			 * Fired on the map when the scale switched between metric and imperial units.
+			 * @param {Object} e
+			 * @param {boolean} e.isMetric
+			 */
+			'scaletoggle',
+			{ isMetric: this.isMetric }
+		);
 	}
 } );
 
@@ -0,0 +1,128 @@
+/**
+ * Selectors for data groups and their features, as used in the full screen route of a map:
+ *
+ * - `feature/:title` – The first feature with this title, as plain text
+ * - `group/:group` – A data group, by its index or its name
+ * - `group/:group/:index` – A feature by its index within a data group
+ *
+ * Titles and names are URI-encoded.
+ *
+ * @alternateClassName FeatureSelector
+ * @class Kartographer.Box.FeatureSelector
+ * @singleton
+ */
+var toPlainText = require( 'ext.kartographer.util' ).toPlainText;
+
+/**
+ * @private
+ * @param {L.Layer} dataLayer
+ * @return {L.Layer[]} All features of the data layer, in order
+ */
+function getFeatures( dataLayer ) {
+	var features = [];
+
+	function visit( layer ) {
+		if ( layer.eachLayer && !layer.feature ) {
+			layer.eachLayer( visit );
+		} else if ( layer.feature ) {
+			// Not e.g. the heatmap of a data group
+			features.push( layer );
+		}
+	}
+
+	dataLayer.eachLayer( visit );
+	return features;
+}
+
+/**
+ * @private
+ * @param {L.Layer} layer
+ * @return {string}
+ */
+function getTitle( layer ) {
+	return toPlainText( layer.feature && layer.feature.properties && layer.feature.properties.title );
+}
+
+/**
+ * @private
+ * @param {string} part
+ * @return {string|null}
+ */
+function decode( part ) {
+	try {
+		return decodeURIComponent( part );
+	} catch ( e ) {
+		return null;
+	}
+}
+
+/**
+ * Find the data group or feature a selector points to.
+ *
+ * @param {L.Layer[]} dataLayers
+ * @param {string} selector
+ * @return {L.Layer|null}
+ */
+function find( dataLayers, selector ) {
+	var parts = selector.split( '/' ).map( decode ),
+		i;
+
+	if ( parts[ 0 ] === 'feature' && parts.length === 2 && parts[ 1 ] ) {
+		for ( i = 0; i < dataLayers.length; i++ ) {
+			var features = getFeatures( dataLayers[ i ] );
+			for ( var j = 0; j < features.length; j++ ) {
+				if ( getTitle( features[ j ] ) === parts[ 1 ] ) {
+					return features[ j ];
+				}
+			}
+		}
+		return null;
+	}
+
+	if ( parts[ 0 ] !== 'group' || parts.length < 2 || parts.length > 3 || !parts[ 1 ] ) {
+		return null;
+	}
+
+	var group = /^\d+$/.test( parts[ 1 ] ) ? dataLayers[ +parts[ 1 ] ] : null;
+	for ( i = 0; !group && i < dataLayers.length; i++ ) {
+		if ( dataLayers[ i ].options && dataLayers[ i ].options.name === parts[ 1 ] ) {
+			group = dataLayers[ i ];
+		}
+	}
+	if ( !group || parts.length === 2 ) {
+		return group || null;
+	}
+	return /^\d+$/.test( parts[ 2 ] ) && getFeatures( group )[ +parts[ 2 ] ] || null;
+}
+
+/**
+ * Get a selector for a feature. The title is used when no other feature comes first with the
+ * same title, the index within its data group otherwise.
+ *
+ * @param {L.Layer[]} dataLayers
+ * @param {L.Layer} layer
+ * @return {string|null} Null if the layer is not a feature of the data layers
+ */
+function getSelector( dataLayers, layer ) {
+	var title = getTitle( layer ),
+		selector = null;
+
+	dataLayers.some( function ( dataLayer, groupIndex ) {
+		var index = getFeatures( dataLayer ).indexOf( layer );
+		if ( index !== -1 ) {
+			selector = 'group/' + groupIndex + '/' + index;
+			return true;
+		}
+		return false;
+	} );
+
+	if ( selector && title && find( dataLayers, 'feature/' + encodeURIComponent( title ) ) === layer ) {
+		return 'feature/' + encodeURIComponent( title );
+	}
+	return selector;
+}
+
+module.exports = {
+	find: find,
+	getSelector: getSelector
+};
@@ -0,0 +1,96 @@
+/**
+ * Turns [tabular data](https://www.mediawiki.org/wiki/Help:Tabular_Data) from the jsondata API
+ * into point features, for ExternalData with the `tabular` service.
+ *
+ * The latitude and longitude are read from the columns named `lat` or `latitude`, and `lon`,
+ * `lng`, `long` or `longitude`. All other columns become properties of the features.
+ *
+ * @alternateClassName Tabular
+ * @class Kartographer.Box.Tabular
+ * @singleton
+ */
+var LATITUDE_FIELDS = [ 'lat', 'latitude' ],
+	LONGITUDE_FIELDS = [ 'lon', 'lng', 'long', 'longitude' ],
+	// Properties the map shows as HTML, while tabular data is plain text
+	HTML_PROPERTIES = [ 'title', 'description' ];
+
+/**
+ * @param {Object|null} response
+ * @return {boolean} Whether the response of the jsondata API is tabular data
+ */
+function isTabular( response ) {
+	var jsondata = response && response.jsondata;
+	return !!jsondata && !!jsondata.schema && Array.isArray( jsondata.schema.fields ) &&
+		Array.isArray( jsondata.data );
+}
+
+/**
+ * @private
+ * @param {Object[]} fields
+ * @param {string[]} names
+ * @return {number} Index of the first field with one of the names, or -1
+ */
+function findField( fields, names ) {
+	for ( var i = 0; i < fields.length; i++ ) {
+		if ( names.indexOf( String( fields[ i ].name ).toLowerCase() ) !== -1 ) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * @private
+ * @param {Mixed} value
+ * @return {Mixed} The value, in the language of the user if it is localized
+ */
+function localize( value ) {
+	if ( !$.isPlainObject( value ) ) {
+		return value;
+	}
+	var languages = Object.keys( value );
+	return value[ mw.config.get( 'wgUserLanguage' ) ] || value.en ||
+		( languages.length ? value[ languages[ 0 ] ] : null );
+}
+
+/**
+ * @param {Object} response See #isTabular
+ * @return {Object} GeoJSON FeatureCollection with a point for each row that has coordinates
+ * @throws {Error} When the data has no latitude and longitude columns
+ */
+function decode( response ) {
+	var fields = response.jsondata.schema.fields,
+		lat = findField( fields, LATITUDE_FIELDS ),
+		lon = findField( fields, LONGITUDE_FIELDS );
+
+	if ( lat === -1 || lon === -1 ) {
+		throw new Error( 'Tabular data has no latitude and longitude columns' );
+	}
+
+	return {
+		type: 'FeatureCollection',
+		features: response.jsondata.data.filter( function ( row ) {
+			return typeof row[ lat ] === 'number' && typeof row[ lon ] === 'number';
+		} ).map( function ( row ) {
+			var properties = {};
+			fields.forEach( function ( field, i ) {
+				var value = localize( row[ i ] );
+				if ( i === lat || i === lon || value === null || value === undefined ) {
+					return;
+				}
+				properties[ field.name ] = typeof value === 'string' &&
+					HTML_PROPERTIES.indexOf( field.name ) !== -1 ? mw.html.escape( value ) : value;
+			} );
+			return {
+				type: 'Feature',
+				properties: properties,
+				geometry: { type: 'Point', coordinates: [ row[ lon ], row[ lat ] ] }
+			};
+		} )
+	};
+}
+
+module.exports = {
+	isTabular: isTabular,
+	decode: decode
+};
@@ -0,0 +1,92 @@
+/**
+ * Registry of the tile layers maps can offer besides the Wikimedia base map, such as
+ * topographic maps or satellite imagery.
+ *
+ * The layers in `$wgKartographerTileLayers` are registered when the module is loaded. Every
+ * map that is created afterwards offers all registered layers in its
+ * {@link Kartographer.Box.LayersControl}.
+ *
+ * @alternateClassName TileLayers
+ * @class Kartographer.Box.TileLayers
+ * @singleton
+ */
+var definitions = {},
+	ids = [];
+
+/**
+ * Register a tile layer. Registering an id again replaces its definition.
+ *
+ * @param {string} id
+ * @param {Object} definition
+ * @param {string} definition.name Label in the layers control, plain text
+ * @param {string} definition.url Tile URL template, see
+ *  [L.TileLayer](https://leafletjs.com/reference-1.4.0.html#tilelayer)
+ * @param {string} [definition.attribution] HTML
+ * @param {number} [definition.minZoom=0]
+ * @param {number} [definition.maxZoom=19]
+ * @param {string|string[]} [definition.subdomains='abc'] Values of `{s}` in the URL template
+ * @param {boolean} [definition.overlay=false] Whether the layer is shown on top of the base
+ *  layer, like hiking trails, instead of replacing it
+ * @throws {Error} When the definition has no name or URL
+ */
+function register( id, definition ) {
+	if ( !definition || !definition.name || !definition.url ) {
+		throw new Error( 'Tile layer "' + id + '" needs a name and a URL' );
+	}
+	if ( !definitions[ id ] ) {
+		ids.push( id );
+	}
+	definitions[ id ] = definition;
+}
+
+/**
+ * @param {string} id
+ * @return {Object|undefined} See #register
+ */
+function get( id ) {
+	return definitions[ id ];
+}
+
+/**
+ * @return {string[]} Ids of all registered layers, in the order they were registered
+ */
+function getIds() {
+	return ids.slice();
+}
+
+/**
+ * @param {string} id
+ * @return {L.TileLayer|null} Null when no layer is registered with this id
+ */
+function create( id ) {
+	var definition = definitions[ id ];
+	if ( !definition ) {
+		return null;
+	}
+
+	var options = {
+		attribution: definition.attribution || '',
+		minZoom: definition.minZoom || 0,
+		maxZoom: definition.maxZoom || 19
+	};
+	if ( definition.subdomains ) {
+		options.subdomains = definition.subdomains;
+	}
+	return L.tileLayer( definition.url, options );
+}
+
+var configured = mw.config.get( 'wgKartographerTileLayers' ) || {};
+Object.keys( configured ).forEach( function ( id ) {
+	try {
+		register( id, configured[ id ] );
+	} catch ( e ) {
+		mw.log.warn( e.message );
+	}
+} );
+
+module.exports = {
+	register: register,
+	get: get,
+	getIds: getIds,
+	create: create
+};
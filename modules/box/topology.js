@@ -0,0 +1,109 @@
+/**
+ * Decodes [TopoJSON](https://github.com/topojson/topojson-specification) responses of the
+ * geoshape, geoline and geopoint services into GeoJSON, for the
+ * {@link Kartographer.Data.ExternalDataParser}.
+ *
+ * Polygons are filled without a stroke. Their borders are added as separate lines, so borders
+ * that neighbouring polygons share are only drawn once.
+ *
+ * @alternateClassName Topology
+ * @class Kartographer.Box.Topology
+ * @singleton
+ */
+var topojson = require( 'ext.kartographer.lib.topojson' ),
+	STROKE_PROPERTIES = [ 'stroke', 'stroke-width', 'stroke-opacity' ];
+
+/**
+ * @param {Object|null} data
+ * @return {boolean} Whether the data is TopoJSON
+ */
+function isTopology( data ) {
+	return !!data && data.type === 'Topology' && $.isPlainObject( data.objects );
+}
+
+/**
+ * @private
+ * @param {Object} geometry TopoJSON geometry object
+ * @return {boolean}
+ */
+function isPolygon( geometry ) {
+	return geometry.type === 'Polygon' || geometry.type === 'MultiPolygon';
+}
+
+/**
+ * @private
+ * @param {Object} [properties]
+ * @return {Object} The simplestyle properties of the stroke
+ */
+function getStroke( properties ) {
+	var stroke = {};
+	STROKE_PROPERTIES.forEach( function ( key ) {
+		if ( properties && properties[ key ] !== undefined ) {
+			stroke[ key ] = properties[ key ];
+		}
+	} );
+	return stroke;
+}
+
+/**
+ * @private
+ * @param {Object} topology
+ * @param {Object} object TopoJSON object with polygons
+ * @return {Object[]} Line features with the borders of the polygons, one per stroke style
+ */
+function getBorders( topology, object ) {
+	var geometries = object.type === 'GeometryCollection' ? object.geometries : [ object ],
+		strokes = {};
+
+	geometries.forEach( function ( geometry ) {
+		if ( isPolygon( geometry ) ) {
+			strokes[ JSON.stringify( getStroke( geometry.properties ) ) ] = getStroke( geometry.properties );
+		}
+	} );
+
+	return Object.keys( strokes ).map( function ( key ) {
+		return {
+			type: 'Feature',
+			properties: strokes[ key ],
+			// A shared border is drawn with the stroke of the first of its polygons
+			geometry: topojson.mesh( topology, object, function ( a ) {
+				return isPolygon( a ) && JSON.stringify( getStroke( a.properties ) ) === key;
+			} )
+		};
+	} );
+}
+
+/**
+ * @param {Object} topology See #isTopology
+ * @return {Object} GeoJSON FeatureCollection with the features of all objects
+ */
+function decode( topology ) {
+	var features = [];
+
+	Object.keys( topology.objects ).forEach( function ( name ) {
+		var object = topology.objects[ name ],
+			decoded = topojson.feature( topology, object ),
+			objectFeatures = decoded.type === 'FeatureCollection' ? decoded.features : [ decoded ],
+			hasPolygons = false;
+
+		objectFeatures.forEach( function ( feature ) {
+			if ( feature.geometry && isPolygon( feature.geometry ) ) {
+				hasPolygons = true;
+				// The borders are drawn once, see getBorders()
+				feature.properties = $.extend( {}, feature.properties, { 'stroke-width': 0 } );
+			}
+		} );
+
+		features = features.concat( objectFeatures );
+		if ( hasPolygons ) {
+			features = features.concat( getBorders( topology, object ) );
+		}
+	} );
+
+	return { type: 'FeatureCollection', features: features };
+}
+
+module.exports = {
+	isTopology: isTopology,
+	decode: decode
+};
@@ -0,0 +1,276 @@
+/* globals maplibregl */
+/* eslint-disable no-underscore-dangle */
+/**
+ * # Base layer that renders vector tiles with WebGL.
+ *
+ * The tiles are drawn by [MapLibre GL](https://maplibre.org/maplibre-gl-js/docs/) according
+ * to a [style](https://maplibre.org/maplibre-style-spec/) in the Mapbox GL format. The GL
+ * map is not interactive itself; it only follows the view of the Leaflet map it is added to.
+ * It lives in the tile pane, so data layers and overlays are still drawn on top of it.
+ *
+ * Labels are localized on the client: symbol layers showing the `name` of a feature show its
+ * `name:<lang>` instead when it has one, see #setLang.
+ *
+ * Requires the `ext.kartographer.lib.maplibre` module, see {@link Kartographer.Box.MapClass}.
+ *
+ * @class Kartographer.Box.VectorLayer
+ * @extends L.Layer
+ */
+var VectorLayer = L.Layer.extend( {
+	options: {
+		/**
+		 * @cfg {Object} style Style in the Mapbox GL format
+		 */
+		style: null,
+		/**
+		 * @cfg {string} [lang='local'] Language of the labels
+		 */
+		lang: 'local',
+		/**
+		 * @cfg {string} [attribution='']
+		 */
+		attribution: '',
+		/**
+		 * @cfg {number} [maxZoom=19]
+		 */
+		maxZoom: 19
+	},
+
+	statics: {
+		/**
+		 * @static
+		 * @return {boolean} Whether the browser can render vector tiles
+		 */
+		isSupported: function () {
+			var canvas = document.createElement( 'canvas' );
+			try {
+				return !!( window.WebGLRenderingContext &&
+					( canvas.getContext( 'webgl' ) || canvas.getContext( 'experimental-webgl' ) ) );
+			} catch ( e ) {
+				return false;
+			}
+		},
+
+		/**
+		 * Text of labels for a language, as a style expression.
+		 *
+		 * @static
+		 * @param {string} lang Language code, or `local` for the names in the local language
+		 * @return {Array|null} Null when the labels of the style should be kept
+		 */
+		getLabelExpression: function ( lang ) {
+			if ( !lang || lang === 'local' ) {
+				return null;
+			}
+			return [ 'coalesce', [ 'get', 'name:' + lang ], [ 'get', 'name' ] ];
+		},
+
+		/**
+		 * Let the vector sources of a style that don't name their tiles load them from the
+		 * given URL.
+		 *
+		 * @static
+		 * @param {Object} style Style in the Mapbox GL format, modified in place
+		 * @param {string} tileUrl Template like `https://maps.example/osm/{z}/{x}/{y}.pbf`
+		 * @return {Object} The style
+		 */
+		setDefaultTiles: function ( style, tileUrl ) {
+			Object.keys( style.sources || {} ).forEach( function ( id ) {
+				var source = style.sources[ id ];
+				if ( source.type === 'vector' && !source.url && !source.tiles ) {
+					source.tiles = [ tileUrl ];
+				}
+			} );
+			return style;
+		}
+	},
+
+	/**
+	 * @param {Object} [options]
+	 */
+	initialize: function ( options ) {
+		L.setOptions( this, options );
+		/**
+		 * @property {Object.<string,*>} textFields Original `text-field` of the symbol
+		 *  layers showing names, by layer id
+		 * @private
+		 */
+		this.textFields = null;
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 */
+	onAdd: function ( map ) {
+		this.container = L.DomUtil.create( 'div', 'mw-kartographer-vector leaflet-layer' );
+		if ( map._zoomAnimated ) {
+			$( this.container ).addClass( 'leaflet-zoom-animated' );
+		}
+		map.getPane( 'tilePane' ).appendChild( this.container );
+		this.updateSize();
+
+		var center = map.getCenter();
+		/**
+		 * @property {Object} glMap Map of MapLibre GL that renders the tiles
+		 * @protected
+		 */
+		this.glMap = new maplibregl.Map( {
+			container: this.container,
+			style: this.options.style,
+			center: [ center.lng, center.lat ],
+			// GL tiles are 512 pixels wide, twice as wide as Leaflet ones
+			zoom: map.getZoom() - 1,
+			maxZoom: this.options.maxZoom,
+			interactive: false,
+			attributionControl: false
+		} );
+		this.glMap.on( 'styledata', this.localizeLabels.bind( this ) );
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 */
+	onRemove: function () {
+		this.glMap.remove();
+		this.glMap = null;
+		this.textFields = null;
+		L.DomUtil.remove( this.container );
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 * @return {Object}
+	 */
+	getEvents: function () {
+		var events = {
+			moveend: this.update,
+			zoomend: this.update,
+			viewreset: this.update,
+			resize: this.onResize
+		};
+		if ( this._map._zoomAnimated ) {
+			events.zoomanim = this.onZoomAnim;
+		}
+		return events;
+	},
+
+	/**
+	 * @return {string}
+	 */
+	getAttribution: function () {
+		return this.options.attribution;
+	},
+
+	/**
+	 * Change the language of the labels. The tiles are not loaded again.
+	 *
+	 * @param {string} lang Language code, or `local`
+	 * @chainable
+	 */
+	setLang: function ( lang ) {
+		this.options.lang = lang;
+		if ( this.textFields ) {
+			this.applyLabels();
+		}
+		return this;
+	},
+
+	/**
+	 * Remember which symbol layers show names, once the style is loaded, and show those in
+	 * the language of the layer.
+	 *
+	 * @protected
+	 */
+	localizeLabels: function () {
+		var layer = this,
+			style = this.glMap && this.glMap.isStyleLoaded() && this.glMap.getStyle();
+
+		if ( this.textFields || !style ) {
+			return;
+		}
+
+		this.textFields = {};
+		style.layers.forEach( function ( styleLayer ) {
+			var textField = styleLayer.type === 'symbol' && styleLayer.layout &&
+				styleLayer.layout[ 'text-field' ];
+			if ( textField && /\bname\b/.test( JSON.stringify( textField ) ) ) {
+				layer.textFields[ styleLayer.id ] = textField;
+			}
+		} );
+		this.applyLabels();
+	},
+
+	/**
+	 * @private
+	 */
+	applyLabels: function () {
+		var glMap = this.glMap,
+			expression = VectorLayer.getLabelExpression( this.options.lang );
+
+		Object.keys( this.textFields ).forEach( function ( id ) {
+			glMap.setLayoutProperty( id, 'text-field', expression || this.textFields[ id ] );
+		}, this );
+	},
+
+	/**
+	 * Make the GL map cover the Leaflet map, and show the same view.
+	 *
+	 * @protected
+	 */
+	update: function () {
+		var map = this._map;
+
+		if ( !map || !this.glMap ) {
+			return;
+		}
+		var center = map.getCenter();
+		L.DomUtil.setPosition( this.container, map.containerPointToLayerPoint( [ 0, 0 ] ) );
+		this.glMap.jumpTo( {
+			center: [ center.lng, center.lat ],
+			zoom: map.getZoom() - 1,
+			bearing: 0,
+			pitch: 0
+		} );
+	},
+
+	/**
+	 * @protected
+	 */
+	onResize: function () {
+		this.updateSize();
+		if ( this.glMap ) {
+			this.glMap.resize();
+		}
+		this.update();
+	},
+
+	/**
+	 * @private
+	 */
+	updateSize: function () {
+		var size = this._map.getSize();
+		this.container.style.width = size.x + 'px';
+		this.container.style.height = size.y + 'px';
+	},
+
+	/**
+	 * Scale the current rendering along with the zoom animation of Leaflet, until the GL map
+	 * is updated when the animation ends.
+	 *
+	 * @protected
+	 * @param {Object} e
+	 */
+	onZoomAnim: function ( e ) {
+		var map = this._map,
+			scale = map.getZoomScale( e.zoom ),
+			offset = map._latLngBoundsToNewLayerBounds( map.getBounds(), e.zoom, e.center ).min;
+
+		L.DomUtil.setTransform( this.container, offset, scale );
+	}
+} );
+
+module.exports = VectorLayer;
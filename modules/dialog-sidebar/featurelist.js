@@ -0,0 +1,244 @@
+var toPlainText = require( 'ext.kartographer.util' ).toPlainText;
+
+/**
+ * List of the features of a map, for the sidebar.
+ *
+ * Features are grouped by their data group, and can be filtered by their title. Choosing a feature
+ * shows it on the map and opens its popup, hovering it highlights it on the map.
+ *
+ * @class Kartographer.DialogSideBar.FeatureList
+ * @constructor
+ * @param {Kartographer.Box.MapClass} map
+ * @param {Object} [options]
+ * @param {number} [options.paddingRight=0] Part of the map on the right that is covered, in pixels
+ */
+function FeatureList( map, options ) {
+	this.map = map;
+	this.options = options || {};
+	this.highlighted = null;
+
+	/**
+	 * @property {Object[]} groups See #getGroups
+	 */
+	this.groups = FeatureList.getGroups( map );
+
+	/**
+	 * @property {jQuery}
+	 */
+	this.$element = $( '<div>' ).addClass( 'mw-kartographer-features' );
+
+	if ( this.groups.length ) {
+		this.render();
+	} else {
+		this.$element.hide();
+	}
+}
+
+/**
+ * Markers are shown at least at this zoom level.
+ *
+ * @static
+ * @property {number}
+ */
+FeatureList.zoom = 14;
+
+/**
+ * Collect the features of all data layers of a map.
+ *
+ * @static
+ * @param {L.Map} map
+ * @return {Object[]} One object per data layer that has features
+ * @return {string} return.name Name of the group, empty for groups without a name
+ * @return {Object[]} return.items
+ * @return {string} return.items.title Plain text, might be empty
+ * @return {L.Layer} return.items.layer
+ */
+FeatureList.getGroups = function ( map ) {
+	var groups = [];
+
+	( map.dataLayers || [] ).forEach( function ( dataLayer ) {
+		var items = [],
+			name = dataLayer.options && dataLayer.options.name || '';
+
+		function visit( layer ) {
+			if ( layer.eachLayer && !layer.feature ) {
+				layer.eachLayer( visit );
+				return;
+			}
+			if ( !layer.feature || ( !layer.getLatLng && !layer.getBounds ) ) {
+				return;
+			}
+			var properties = layer.feature.properties || {};
+			items.push( {
+				title: toPlainText( properties.title ) || toPlainText( properties.description ),
+				layer: layer
+			} );
+		}
+
+		dataLayer.eachLayer( visit );
+		if ( items.length ) {
+			groups.push( {
+				// Groups without a name get a hash that starts with an underscore
+				name: name.charAt( 0 ) === '_' ? '' : name,
+				items: items
+			} );
+		}
+	} );
+
+	return groups;
+};
+
+/**
+ * @static
+ * @param {Object} item See #getGroups
+ * @param {string} query
+ * @return {boolean}
+ */
+FeatureList.matches = function ( item, query ) {
+	return item.title.toLowerCase().indexOf( query.trim().toLowerCase() ) !== -1;
+};
+
+/**
+ * @private
+ */
+FeatureList.prototype.render = function () {
+	var list = this;
+
+	this.filterInput = new OO.ui.SearchInputWidget( {
+		classes: [ 'mw-kartographer-features-filter' ],
+		placeholder: mw.msg( 'kartographer-sidebar-features-filter' )
+	} );
+	this.filterInput.on( 'change', this.filter.bind( this ) );
+
+	this.$noMatches = $( '<p>' )
+		.addClass( 'mw-kartographer-features-nomatches' )
+		.text( mw.msg( 'kartographer-sidebar-features-nomatches' ) )
+		.hide();
+
+	this.$element.append(
+		new OO.ui.LabelWidget( {
+			classes: [ 'mw-kartographer-features-title' ],
+			label: mw.msg( 'kartographer-sidebar-features' )
+		} ).$element,
+		this.filterInput.$element,
+		this.groups.map( function ( group, index ) {
+			group.$element = $( '<div>' ).addClass( 'mw-kartographer-features-group' ).append(
+				$( '<div>' )
+					.addClass( 'mw-kartographer-features-group-name' )
+					.text( group.name || mw.msg( 'kartographer-sidebar-features-group', index + 1 ) ),
+				$( '<ul>' ).append( group.items.map( list.renderItem.bind( list ) ) )
+			);
+			return group.$element;
+		} ),
+		this.$noMatches
+	);
+};
+
+/**
+ * @private
+ * @param {Object} item See #getGroups
+ * @return {jQuery}
+ */
+FeatureList.prototype.renderItem = function ( item ) {
+	var list = this,
+		layer = item.layer,
+		icon = layer.options && layer.options.icon,
+		$icon = $( '<span>' ).addClass( 'mw-kartographer-features-icon' );
+
+	if ( icon && icon.options.iconUrl ) {
+		$icon.append( $( '<img>' ).attr( { src: icon.options.iconUrl, alt: '' } ) );
+	} else if ( layer.options ) {
+		$icon.addClass( 'mw-kartographer-features-icon-shape' ).css( {
+			'border-color': layer.options.color,
+			// eslint-disable-next-line no-restricted-properties
+			'background-color': layer.options.fill === false ? 'transparent' : layer.options.fillColor
+		} );
+	}
+
+	item.$element = $( '<li>' )
+		.addClass( 'mw-kartographer-features-item' )
+		.attr( { role: 'button', tabindex: 0 } )
+		.append(
+			$icon,
+			$( '<span>' )
+				.addClass( 'mw-kartographer-features-item-title' )
+				.text( item.title || mw.msg( 'kartographer-sidebar-features-untitled' ) )
+		)
+		.on( 'click', function () {
+			list.show( item );
+		} )
+		.on( 'keydown', function ( e ) {
+			if ( e.which === OO.ui.Keys.ENTER || e.which === OO.ui.Keys.SPACE ) {
+				e.preventDefault();
+				list.show( item );
+			}
+		} )
+		.on( 'mouseenter focus', function () {
+			list.highlight( item );
+		} )
+		.on( 'mouseleave blur', function () {
+			list.highlight( null );
+		} );
+
+	return item.$element;
+};
+
+/**
+ * Only show the features with a matching title.
+ *
+ * @param {string} query
+ */
+FeatureList.prototype.filter = function ( query ) {
+	var anyMatches = false;
+
+	this.groups.forEach( function ( group ) {
+		var groupMatches = false;
+		group.items.forEach( function ( item ) {
+			var matches = FeatureList.matches( item, query );
+			item.$element.toggle( matches );
+			groupMatches = groupMatches || matches;
+		} );
+		group.$element.toggle( groupMatches );
+		anyMatches = anyMatches || groupMatches;
+	} );
+	this.$noMatches.toggle( !anyMatches );
+};
+
+/**
+ * Pan and zoom to a feature and open its popup.
+ *
+ * @param {Object} item See #getGroups
+ */
+FeatureList.prototype.show = function ( item ) {
+	var map = this.map,
+		layer = item.layer,
+		bounds = layer.getLatLng ?
+			L.latLngBounds( [ layer.getLatLng(), layer.getLatLng() ] ) :
+			layer.getBounds();
+
+	map.fitBounds( bounds, {
+		paddingBottomRight: [ this.options.paddingRight || 0, 0 ],
+		maxZoom: Math.max( map.getZoom(), FeatureList.zoom )
+	} );
+	if ( layer.getPopup && layer.getPopup() ) {
+		layer.openPopup();
+	}
+};
+
+/**
+ * @param {Object|null} item See #getGroups, or null to remove the highlight
+ */
+FeatureList.prototype.highlight = function ( item ) {
+	var element = this.highlighted && this.highlighted.getElement && this.highlighted.getElement();
+	if ( element ) {
+		$( element ).removeClass( 'mw-kartographer-features-highlight' );
+	}
+
+	this.highlighted = item && item.layer;
+	element = this.highlighted && this.highlighted.getElement && this.highlighted.getElement();
+	if ( element ) {
+		$( element ).addClass( 'mw-kartographer-features-highlight' );
+	}
+};
+
+module.exports = FeatureList;
@@ -4,9 +4,12 @@
  * @class Kartographer.DialogSideBar
  */
 
-var storage = require( 'mediawiki.storage' ).local,
+var FeatureList = require( './featurelist.js' ),
+	storage = require( 'mediawiki.storage' ).local,
 	/** Storage key for Last known selected map type in sidebar */
-	SELECTEDTYPE_KEY = 'ext.kartographer.sidebar.selectedType';
+	SELECTEDTYPE_KEY = 'ext.kartographer.sidebar.selectedType',
+	/** Type of the external links that plan a route to a destination */
+	DIRECTIONS_TYPE = 'directions';
 
 /**
  * @constructor
@@ -26,6 +29,12 @@ function SideBar( options ) {
 	 */
 	this.initialMapPosition = this.dialog.map.getInitialMapPosition();
 
+	/**
+	 * @property {Object|null} destination Destination of the directions links, see
+	 *  {@link #showDirections}. The initial map center when null.
+	 */
+	this.destination = null;
+
 	/**
 	 * @property {Object}
 	 */
@@ -36,17 +45,27 @@ function SideBar( options ) {
 /**
  * Replaces link variables with contextual data.
  *
+ * The `{destLatitude}`, `{destLongitude}` and `{destTitle}` variables of directions links refer
+ * to the {@link #destination}.
+ *
  * @param {string} url
  * @return {string}
  */
 SideBar.prototype.formatLink = function ( url ) {
-	var scale = Math.round( Math.pow( 2, Math.min( 3, Math.max( 0, 18 - this.initialMapPosition.zoom ) ) ) * 1000 );
+	var scale = Math.round( Math.pow( 2, Math.min( 3, Math.max( 0, 18 - this.initialMapPosition.zoom ) ) ) * 1000 ),
+		destination = this.destination || {
+			latLng: this.initialMapPosition.center,
+			title: mw.config.get( 'wgTitle' )
+		};
 	url = url.replace( /{latitude}/g, this.initialMapPosition.center.lat );
 	url = url.replace( /{longitude}/g, this.initialMapPosition.center.lng );
 	url = url.replace( /{zoom}/g, this.initialMapPosition.zoom || mw.config.get( 'wgKartographerFallbackZoom' ) );
 	url = url.replace( /{title}/g, mw.config.get( 'wgTitle' ) );
 	url = url.replace( /{language}/g, this.dialog.map.lang );
 	url = url.replace( /{scale}/g, scale );
+	url = url.replace( /{destLatitude}/g, destination.latLng.lat );
+	url = url.replace( /{destLongitude}/g, destination.latLng.lng );
+	url = url.replace( /{destTitle}/g, encodeURIComponent( destination.title || '' ) );
 
 	return url;
 };
@@ -67,6 +86,30 @@ SideBar.prototype.toggle = function ( open ) {
 	return this;
 };
 
+/**
+ * Shows the links to plan a route to a destination, such as a marker.
+ *
+ * @param {Object} destination
+ * @param {L.LatLng} destination.latLng
+ * @param {string} [destination.title] Plain text
+ */
+SideBar.prototype.showDirections = function ( destination ) {
+	var menu = this.typeDropdown && this.typeDropdown.getMenu(),
+		selected = menu && menu.findSelectedItem();
+
+	this.destination = destination;
+	if ( !menu || !this.byType[ DIRECTIONS_TYPE ] ) {
+		return;
+	}
+	if ( selected && selected.getData() === DIRECTIONS_TYPE ) {
+		this.renderExternalServices();
+	} else {
+		// Renders the external services
+		menu.selectItemByData( DIRECTIONS_TYPE );
+	}
+	this.$servicesContainer[ 0 ].scrollIntoView( { block: 'nearest' } );
+};
+
 /**
  * Renders the sidebar.
  *
@@ -91,6 +134,11 @@ SideBar.prototype.render = function () {
 	 */
 	sidebar.$mapDetailsContainer = $( '<div>' ).addClass( 'mw-kartographer-mapdetails' ).appendTo( $container );
 
+	/**
+	 * @property {jQuery}
+	 */
+	sidebar.$featuresContainer = $( '<div>' ).appendTo( $container );
+
 	/**
 	 * @property {jQuery}
 	 */
@@ -102,6 +150,7 @@ SideBar.prototype.render = function () {
 	sidebar.$servicesContainer = $( '<div>' ).addClass( 'mw-kartographer-externalservices' ).appendTo( $container );
 
 	sidebar.renderMapDetails();
+	sidebar.renderFeatureList();
 	sidebar.renderTypeFilter();
 	sidebar.renderExternalServices();
 
@@ -196,6 +245,24 @@ SideBar.prototype.renderMapDetails = function () {
 	this.labelLatitude.setLabel( String( this.mapPosition.center.lat ) );
 };
 
+/**
+ * Renders the list of the map's features into its container, once the data layers are loaded.
+ */
+SideBar.prototype.renderFeatureList = function () {
+	var sidebar = this;
+
+	sidebar.dialog.map.doWhenReady( function ( map ) {
+		if ( !sidebar.$el ) {
+			return;
+		}
+		/**
+		 * @property {Kartographer.DialogSideBar.FeatureList}
+		 */
+		sidebar.featureList = new FeatureList( map, { paddingRight: sidebar.$el.outerWidth() } );
+		sidebar.$featuresContainer.append( sidebar.featureList.$element );
+	} );
+};
+
 /**
  * Renders the type filter dropdown into its container.
  */
@@ -204,6 +271,11 @@ SideBar.prototype.renderTypeFilter = function () {
 		dropdown = sidebar.createFilterDropdown(),
 		defaultType = sidebar.metadata.types[ 0 ];
 
+	/**
+	 * @property {OO.ui.DropdownWidget}
+	 */
+	sidebar.typeDropdown = dropdown;
+
 	dropdown.getMenu().on( 'select', function ( item ) {
 		storage.set( SELECTEDTYPE_KEY, item.getData() );
 		sidebar.renderExternalServices();
@@ -283,6 +355,18 @@ SideBar.prototype.renderExternalServices = function () {
 		return;
 	}
 
+	if ( !this.$directionsTo ) {
+		this.$directionsTo = $( '<p>' )
+			.addClass( 'mw-kartographer-filterservices-destination' )
+			.prependTo( this.$servicesContainer );
+	}
+	this.$directionsTo
+		.text( this.destination && this.destination.title ?
+			mw.msg( 'kartographer-sidebar-directions-to', this.destination.title ) :
+			''
+		)
+		.toggle( selectedType === DIRECTIONS_TYPE && !!( this.destination && this.destination.title ) );
+
 	if ( !$list.length ) {
 		$list = $( '<div>' )
 			.addClass( 'mw-kartographer-filterservices-list' );
@@ -374,10 +458,16 @@ SideBar.prototype.createFilterDropdown = function () {
  */
 SideBar.prototype.tearDown = function () {
 	this.dialog.map.off( 'move', this.onMapMove, this );
+	if ( this.featureList ) {
+		this.featureList.highlight( null );
+		this.featureList = null;
+	}
 	this.dialog.sideBar = null;
 	this.$el.remove();
 	this.$el = null;
 	return this;
 };
 
+SideBar.FeatureList = FeatureList;
+
 module.exports = SideBar;
@@ -8,6 +8,9 @@
  * @extends OO.ui.Dialog
  */
 var CloseFullScreenControl = require( './closefullscreen_control.js' ),
+	toPlainText = require( 'ext.kartographer.util' ).toPlainText,
+	MeasureControl = require( './measure_control.js' ),
+	SearchControl = require( './search_control.js' ),
 	// Opens the sidebar when the screen is wide enough (greater than 1024px)
 	FOOTER_HEIGHT = 63,
 	SIDEBAR_WIDTH = 320;
@@ -67,7 +70,12 @@ MapDialog.prototype.setMap = function ( map ) {
 	if ( dialog.isOpening() || dialog.isOpened() ) {
 		dialog.map.closeFullScreenControl = new CloseFullScreenControl( { position: 'topright' } )
 			.addTo( dialog.map );
+		dialog.map.searchControl = new SearchControl( { position: 'topleft', $overlay: dialog.$overlay } )
+			.addTo( dialog.map );
+		dialog.map.measureControl = new MeasureControl( { position: 'topleft' } )
+			.addTo( dialog.map );
 	}
+	dialog.map.on( 'popupopen', dialog.onPopupOpen, dialog );
 
 	dialog.$body.append(
 		dialog.map.$container.css( 'position', '' )
@@ -95,6 +103,13 @@ MapDialog.prototype.setMap = function ( map ) {
 	dialog.$captionContainer
 		.text( dialog.map.captionText );
 
+	if ( dialog.exportButton ) {
+		dialog.exportButton.setDisabled( true );
+		dialog.map.doWhenReady( function () {
+			dialog.exportButton.setDisabled( !map.dataLayers.length );
+		} );
+	}
+
 	// The button exists, the sidebar was open, call `tearDown` and reopen it.
 	if ( dialog.sideBar ) {
 		dialog.sideBar.tearDown();
@@ -141,6 +156,67 @@ MapDialog.prototype.addFooterButton = function () {
 		dialog.mapNearbyButton.connect( dialog, { change: 'toggleNearbyLayerWrapper' } );
 	}
 
+	if ( !dialog.exportButton ) {
+		dialog.exportButton = new OO.ui.ButtonMenuSelectWidget( {
+			icon: 'download',
+			label: mw.msg( 'kartographer-export-button' ),
+			$overlay: dialog.$overlay,
+			menu: {
+				horizontalPosition: 'end',
+				// Messages that can be used here:
+				// * kartographer-export-geojson
+				// * kartographer-export-gpx
+				// * kartographer-export-kml
+				items: [ 'geojson', 'gpx', 'kml' ].map( function ( format ) {
+					return new OO.ui.MenuOptionWidget( {
+						data: format,
+						label: mw.msg( 'kartographer-export-' + format )
+					} );
+				} )
+			}
+		} );
+		dialog.exportButton.getMenu().connect( dialog, { choose: 'onExportChoose' } );
+	}
+
+	if ( !dialog.shareButton ) {
+		dialog.shareButton = new OO.ui.ButtonMenuSelectWidget( {
+			icon: 'share',
+			label: mw.msg( 'kartographer-share-button' ),
+			$overlay: dialog.$overlay,
+			menu: {
+				horizontalPosition: 'end',
+				// Messages that can be used here:
+				// * kartographer-share-link
+				// * kartographer-share-wikitext
+				// * kartographer-share-geo
+				items: [ 'link', 'wikitext', 'geo' ].map( function ( type ) {
+					return new OO.ui.MenuOptionWidget( {
+						data: type,
+						label: mw.msg( 'kartographer-share-' + type )
+					} );
+				} )
+			}
+		} );
+		dialog.shareButton.getMenu().connect( dialog, { choose: 'onShareChoose' } );
+	}
+
+	if ( !dialog.offlineButton && mw.config.get( 'wgKartographerOfflineMaps' ) &&
+		require( 'ext.kartographer.box' ).OfflineStore.isSupported()
+	) {
+		dialog.offlineButton = new OO.ui.PopupButtonWidget( {
+			label: mw.msg( 'kartographer-offline-button' ),
+			$overlay: dialog.$overlay,
+			popup: {
+				head: true,
+				label: mw.msg( 'kartographer-offline-title' ),
+				padded: true,
+				width: 360,
+				align: 'backwards'
+			}
+		} );
+		dialog.offlineButton.getPopup().connect( dialog, { toggle: 'onOfflineToggle' } );
+	}
+
 	if ( !dialog.$captionContainer.length ) {
 		dialog.$captionContainer = $( '<div>' )
 			.addClass( 'mw-kartographer-captionfoot' );
@@ -150,6 +226,10 @@ MapDialog.prototype.addFooterButton = function () {
 		$buttonContainer = $( '<div>' )
 			.addClass( 'mw-kartographer-buttonfoot' );
 	}
+	if ( dialog.offlineButton ) {
+		$buttonContainer.append( dialog.offlineButton.$element );
+	}
+	$buttonContainer.append( dialog.shareButton.$element, dialog.exportButton.$element );
 	if ( dialog.mapNearbyButton ) {
 		$buttonContainer.append( dialog.mapNearbyButton.$element );
 	}
@@ -173,13 +253,120 @@ MapDialog.prototype.addFooterButton = function () {
 	}
 };
 
+/**
+ * Download the map's data in the chosen format
+ *
+ * @param {OO.ui.MenuOptionWidget} item
+ */
+MapDialog.prototype.onExportChoose = function ( item ) {
+	this.exportButton.getMenu().unselectItem();
+	if ( this.map ) {
+		require( './export.js' ).download(
+			this.map,
+			item.getData(),
+			this.map.captionText || mw.config.get( 'wgTitle' ) || 'map'
+		);
+	}
+};
+
+/**
+ * Copy a link to, or a snippet of, the current view of the map to the clipboard
+ *
+ * @param {OO.ui.MenuOptionWidget} item
+ */
+MapDialog.prototype.onShareChoose = function ( item ) {
+	var Share = require( './share.js' ),
+		map = this.map,
+		text;
+
+	this.shareButton.getMenu().unselectItem();
+	if ( !map ) {
+		return;
+	}
+
+	switch ( item.getData() ) {
+		case 'link':
+			text = Share.getUrl( map );
+			break;
+		case 'wikitext':
+			text = Share.getWikitext( map );
+			break;
+		case 'geo':
+			text = Share.getGeoUri( map );
+			break;
+	}
+
+	Share.copy( text ).then( function () {
+		mw.notify( mw.msg( 'kartographer-share-copied' ), { tag: 'kartographer-share' } );
+	}, function () {
+		mw.notify( mw.msg( 'kartographer-share-copyerror', text ), { tag: 'kartographer-share', type: 'error' } );
+	} );
+};
+
+/**
+ * Show the panel to save the map for offline use, or to delete saved areas.
+ *
+ * @param {boolean} visible
+ */
+MapDialog.prototype.onOfflineToggle = function ( visible ) {
+	if ( !visible || !this.map ) {
+		return;
+	}
+	if ( !this.offlinePanel || this.offlinePanel.map !== this.map ) {
+		var OfflinePanel = require( './offline_panel.js' );
+		this.offlinePanel = new OfflinePanel( { map: this.map } );
+		this.offlineButton.getPopup().$body.empty().append( this.offlinePanel.$element );
+	}
+	this.offlinePanel.refresh();
+};
+
+/**
+ * Add a "get directions" action to the popups of markers.
+ *
+ * @param {Object} e
+ * @param {L.Popup} e.popup
+ * @protected
+ */
+MapDialog.prototype.onPopupOpen = function ( e ) {
+	var dialog = this,
+		// eslint-disable-next-line no-underscore-dangle
+		layer = e.popup._source,
+		content = e.popup.getContent();
+
+	// Popups keep the content once the action was added
+	if ( !layer || !layer.getLatLng || typeof content !== 'string' ) {
+		return;
+	}
+
+	var container = document.createElement( 'div' );
+	// Same as Leaflet does with the HTML, it is sanitized already
+	container.innerHTML = content;
+	$( container ).append(
+		$( '<a>' )
+			.addClass( 'mw-kartographer-popup-directions' )
+			.attr( { href: '#', role: 'button' } )
+			.text( mw.msg( 'kartographer-popup-directions' ) )
+			.on( 'click', function ( event ) {
+				event.preventDefault();
+				dialog.toggleSideBar( true ).then( function () {
+					dialog.sideBar.showDirections( {
+						latLng: layer.getLatLng(),
+						title: toPlainText( layer.feature && layer.feature.properties && layer.feature.properties.title )
+					} );
+				} );
+			} )
+	);
+	e.popup.setContent( container );
+};
+
 /**
  * @param {boolean} [open] If the sidebar should be shown or not, omit to toggle
+ * @return {jQuery.Promise} Resolved when the sidebar is loaded
  */
 MapDialog.prototype.toggleSideBar = function ( open ) {
 	var dialog = this;
 
-	mw.loader.using( 'ext.kartographer.dialog.sidebar' ).then( function () {
+	return mw.loader.using( 'ext.kartographer.dialog.sidebar' ).then( function () {
 		if ( !dialog.sideBar ) {
 			var SideBar = require( 'ext.kartographer.dialog.sidebar' );
 			dialog.sideBar = new SideBar( { dialog: dialog } );
@@ -314,6 +501,9 @@ MapDialog.prototype.getTeardownProcess = function ( data ) {
 			if ( this.mapNearbyButton ) {
 				this.mapNearbyButton.setValue( false );
 			}
+			if ( this.offlineButton ) {
+				this.offlineButton.getPopup().toggle( false );
+			}
 			if ( this.map ) {
 				this.map.remove();
 				this.map = null;
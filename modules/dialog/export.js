@@ -0,0 +1,309 @@
+/**
+ * Serializes the data shown on a map, so readers can take it along to other applications.
+ *
+ * Titles and descriptions are exported as plain text, without the HTML they are rendered to.
+ *
+ * @alternateClassName Export
+ * @class Kartographer.Dialog.Export
+ * @singleton
+ */
+var toPlainText = require( 'ext.kartographer.util' ).toPlainText;
+
+/**
+ * @private
+ * @param {string} text
+ * @return {string}
+ */
+function escapeXml( text ) {
+	return String( text ).replace( /[<>&"']/g, function ( character ) {
+		return '&#' + character.charCodeAt( 0 ) + ';';
+	} );
+}
+
+/**
+ * @private
+ * @param {string} name
+ * @param {*} text Omitted when undefined
+ * @return {string}
+ */
+function xmlElement( name, text ) {
+	return text === undefined ? '' : '<' + name + '>' + escapeXml( text ) + '</' + name + '>';
+}
+
+/**
+ * Add a GeoJSON object's features to a list, flattening arrays and collections.
+ *
+ * @private
+ * @param {Object|Object[]} geoJSON
+ * @param {Object[]} features List to add to
+ */
+function collect( geoJSON, features ) {
+	if ( Array.isArray( geoJSON ) ) {
+		geoJSON.forEach( function ( item ) {
+			collect( item, features );
+		} );
+		return;
+	}
+	if ( !geoJSON || typeof geoJSON !== 'object' ||
+		// The inverted world of a mask is nothing to take along
+		geoJSON.service === 'geomask'
+	) {
+		return;
+	}
+
+	switch ( geoJSON.type ) {
+		case 'FeatureCollection':
+			collect( geoJSON.features, features );
+			break;
+		case 'Feature':
+			if ( geoJSON.geometry ) {
+				features.push( geoJSON );
+			}
+			break;
+		case 'Point':
+		case 'MultiPoint':
+		case 'LineString':
+		case 'MultiLineString':
+		case 'Polygon':
+		case 'MultiPolygon':
+		case 'GeometryCollection':
+			features.push( { type: 'Feature', properties: {}, geometry: geoJSON } );
+			break;
+		// Unresolved ExternalData can't be exported
+	}
+}
+
+/**
+ * Get all features from the data layers of a map, including the resolved ExternalData.
+ *
+ * @param {Kartographer.Box.MapClass} map
+ * @return {Object[]} GeoJSON features with plain text titles and descriptions
+ */
+function getFeatures( map ) {
+	var features = [];
+
+	map.dataLayers.forEach( function ( layer ) {
+		collect( layer.getGeoJSON(), features );
+	} );
+
+	return features.map( function ( feature ) {
+		var properties = $.extend( {}, feature.properties ),
+			title = toPlainText( properties.title ),
+			description = toPlainText( properties.description );
+
+		delete properties.title;
+		delete properties.description;
+		if ( title ) {
+			properties.title = title;
+		}
+		if ( description ) {
+			properties.description = description;
+		}
+		return { type: 'Feature', properties: properties, geometry: feature.geometry };
+	} );
+}
+
+/**
+ * @param {Object[]} features
+ * @return {string} GeoJSON FeatureCollection
+ */
+function toGeoJSON( features ) {
+	return JSON.stringify( { type: 'FeatureCollection', features: features }, null, '\t' );
+}
+
+/**
+ * Call a function for each basic geometry, splitting up multi geometries and collections.
+ *
+ * @private
+ * @param {Object} geometry
+ * @param {Function} callback Called with the type ("Point", "LineString" or "Polygon") and
+ *  the coordinates of each part
+ */
+function eachPart( geometry, callback ) {
+	switch ( geometry.type ) {
+		case 'Point':
+		case 'LineString':
+		case 'Polygon':
+			callback( geometry.type, geometry.coordinates );
+			break;
+		case 'MultiPoint':
+		case 'MultiLineString':
+		case 'MultiPolygon':
+			geometry.coordinates.forEach( function ( coordinates ) {
+				callback( geometry.type.slice( 'Multi'.length ), coordinates );
+			} );
+			break;
+		case 'GeometryCollection':
+			geometry.geometries.forEach( function ( child ) {
+				eachPart( child, callback );
+			} );
+			break;
+	}
+}
+
+/**
+ * GPX has no areas, polygons are exported as tracks along their rings.
+ *
+ * @param {Object[]} features
+ * @return {string} GPX 1.1 document
+ */
+function toGpx( features ) {
+	var waypoints = [],
+		tracks = [];
+
+	function point( name, position, content ) {
+		return '<' + name + ' lat="' + position[ 1 ] + '" lon="' + position[ 0 ] + '">' +
+			( content || '' ) + '</' + name + '>';
+	}
+
+	features.forEach( function ( feature ) {
+		var texts = xmlElement( 'name', feature.properties.title ) +
+				xmlElement( 'desc', feature.properties.description ),
+			segments = [];
+
+		eachPart( feature.geometry, function ( type, coordinates ) {
+			if ( type === 'Point' ) {
+				waypoints.push( point( 'wpt', coordinates, texts ) );
+				return;
+			}
+			( type === 'Polygon' ? coordinates : [ coordinates ] ).forEach( function ( line ) {
+				segments.push( '<trkseg>' + line.map( function ( position ) {
+					return point( 'trkpt', position );
+				} ).join( '' ) + '</trkseg>' );
+			} );
+		} );
+		if ( segments.length ) {
+			tracks.push( '<trk>' + texts + segments.join( '' ) + '</trk>' );
+		}
+	} );
+
+	return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+		'<gpx version="1.1" creator="Kartographer" xmlns="http://www.topografix.com/GPX/1/1">' +
+		waypoints.join( '' ) + tracks.join( '' ) +
+		'</gpx>\n';
+}
+
+/**
+ * @private
+ * @param {string} color Simplestyle color
+ * @param {number} [opacity=1]
+ * @return {string|undefined} KML color, "aabbggrr"
+ */
+function toKmlColor( color, opacity ) {
+	var match = /^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.exec( color || '' );
+	if ( !match ) {
+		return undefined;
+	}
+	var hex = match[ 1 ].length === 3 ? match[ 1 ].replace( /./g, '$&$&' ) : match[ 1 ],
+		alpha = Math.round( 255 * ( opacity === undefined ? 1 : opacity ) );
+	return ( ( alpha < 16 ? '0' : '' ) + alpha.toString( 16 ) +
+		hex.slice( 4, 6 ) + hex.slice( 2, 4 ) + hex.slice( 0, 2 ) ).toLowerCase();
+}
+
+/**
+ * @private
+ * @param {Object} properties Simplestyle properties
+ * @return {string} Inline KML style
+ */
+function toKmlStyle( properties ) {
+	var iconColor = toKmlColor( properties[ 'marker-color' ] ),
+		lineColor = toKmlColor( properties.stroke, properties[ 'stroke-opacity' ] ),
+		// eslint-disable-next-line no-restricted-properties
+		polyColor = toKmlColor( properties.fill, properties[ 'fill-opacity' ] ),
+		style = '';
+
+	if ( iconColor ) {
+		style += '<IconStyle>' + xmlElement( 'color', iconColor ) + '</IconStyle>';
+	}
+	if ( lineColor || properties[ 'stroke-width' ] !== undefined ) {
+		style += '<LineStyle>' + xmlElement( 'color', lineColor ) +
+			xmlElement( 'width', properties[ 'stroke-width' ] ) + '</LineStyle>';
+	}
+	if ( polyColor ) {
+		style += '<PolyStyle>' + xmlElement( 'color', polyColor ) + '</PolyStyle>';
+	}
+	return style && '<Style>' + style + '</Style>';
+}
+
+/**
+ * @param {Object[]} features
+ * @return {string} KML 2.2 document
+ */
+function toKml( features ) {
+	function coordinates( positions ) {
+		return '<coordinates>' + positions.map( function ( position ) {
+			return position[ 0 ] + ',' + position[ 1 ];
+		} ).join( ' ' ) + '</coordinates>';
+	}
+
+	var placemarks = features.map( function ( feature ) {
+		var geometries = [];
+
+		eachPart( feature.geometry, function ( type, parts ) {
+			switch ( type ) {
+				case 'Point':
+					geometries.push( '<Point>' + coordinates( [ parts ] ) + '</Point>' );
+					break;
+				case 'LineString':
+					geometries.push( '<LineString>' + coordinates( parts ) + '</LineString>' );
+					break;
+				case 'Polygon':
+					geometries.push( '<Polygon>' + parts.map( function ( ring, i ) {
+						var boundary = i === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs';
+						return '<' + boundary + '><LinearRing>' + coordinates( ring ) +
+							'</LinearRing></' + boundary + '>';
+					} ).join( '' ) + '</Polygon>' );
+					break;
+			}
+		} );
+
+		return '<Placemark>' +
+			xmlElement( 'name', feature.properties.title ) +
+			xmlElement( 'description', feature.properties.description ) +
+			toKmlStyle( feature.properties ) +
+			( geometries.length === 1 ?
+				geometries[ 0 ] :
+				'<MultiGeometry>' + geometries.join( '' ) + '</MultiGeometry>' ) +
+			'</Placemark>';
+	} );
+
+	return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+		'<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+		placemarks.join( '' ) +
+		'</Document></kml>\n';
+}
+
+// Known formats, with their serializer, file extension and MIME type
+var FORMATS = {
+	geojson: [ toGeoJSON, 'geojson', 'application/geo+json' ],
+	gpx: [ toGpx, 'gpx', 'application/gpx+xml' ],
+	kml: [ toKml, 'kml', 'application/vnd.google-earth.kml+xml' ]
+};
+
+/**
+ * Let the browser save the map's data as a file.
+ *
+ * @param {Kartographer.Box.MapClass} map
+ * @param {string} format "geojson", "gpx" or "kml"
+ * @param {string} fileName Without extension
+ */
+function download( map, format, fileName ) {
+	var data = FORMATS[ format ][ 0 ]( getFeatures( map ) ),
+		$link = $( '<a>' )
+			.attr( {
+				href: 'data:' + FORMATS[ format ][ 2 ] + ';charset=utf-8,' + encodeURIComponent( data ),
+				download: fileName + '.' + FORMATS[ format ][ 1 ]
+			} )
+			.appendTo( document.body );
+
+	$link[ 0 ].click();
+	$link.remove();
+}
+
+module.exports = {
+	getFeatures: getFeatures,
+	toGeoJSON: toGeoJSON,
+	toGpx: toGpx,
+	toKml: toKml,
+	download: download
+};
@@ -48,6 +48,7 @@ module.exports = {
 	 * Used by mapframe
 	 *
 	 * @param {Kartographer.Box.MapClass} map
+	 * @return {jQuery.Promise} Resolved when the map is shown
 	 */
 	render: function ( map ) {
 		var manager = getWindowManager(),
@@ -71,9 +72,10 @@ module.exports = {
 					);
 				}
 			} );
-		} else {
-			dialog.setMap( map );
+			return instance.opened;
 		}
+		dialog.setMap( map );
+		return $.Deferred().resolve().promise();
 	},
 
 	/**
@@ -124,6 +126,10 @@ module.exports = {
 	},
 
 	private: {
-		Nearby: require( './nearby.js' )
+		MeasureControl: require( './measure_control.js' ),
+		Nearby: require( './nearby.js' ),
+		Search: require( './search.js' ),
+		Share: require( './share.js' ),
+		exporter: require( './export.js' )
 	}
 };
@@ -0,0 +1,301 @@
+/**
+ * # Control to measure distances and areas.
+ *
+ * While the control is active, every click on the map adds a point. The length of each segment,
+ * the total length and, from three points on, the area of the enclosed polygon are shown. All
+ * results follow the metric/imperial setting of the map's {@link Kartographer.Box.ScaleControl}.
+ *
+ * See [L.Control](https://www.mapbox.com/mapbox.js/api/v2.3.0/l-control/)
+ * documentation for more details.
+ *
+ * @class Kartographer.Dialog.MeasureControl
+ * @extends L.Control
+ */
+
+// Same as L.CRS.Earth.R, which is used by L.LatLng#distanceTo
+var EARTH_RADIUS = 6371000,
+	METERS_PER_FOOT = 0.3048,
+	METERS_PER_MILE = 1609.344,
+	SQUARE_METERS_PER_ACRE = 4046.8564224;
+
+/**
+ * @private
+ * @param {number} value
+ * @return {string} Localized number with about 3 significant digits
+ */
+function formatNumber( value ) {
+	return mw.language.convertNumber( value >= 100 ? Math.round( value ) : Number( value.toPrecision( 3 ) ) );
+}
+
+var MeasureControl = L.Control.extend( {
+	options: {
+		position: 'topleft'
+	},
+
+	statics: {
+		/**
+		 * Geodesic area of a polygon on a spherical earth.
+		 *
+		 * @static
+		 * @param {L.LatLng[]} latLngs Ring, doesn't need to be closed
+		 * @return {number} Area in square meters
+		 */
+		getArea: function ( latLngs ) {
+			var area = 0,
+				toRadians = Math.PI / 180;
+
+			for ( var i = 0; i < latLngs.length; i++ ) {
+				var a = latLngs[ i ],
+					b = latLngs[ ( i + 1 ) % latLngs.length ];
+				area += ( b.lng - a.lng ) * toRadians *
+					( 2 + Math.sin( a.lat * toRadians ) + Math.sin( b.lat * toRadians ) );
+			}
+			return Math.abs( area * EARTH_RADIUS * EARTH_RADIUS / 2 );
+		},
+
+		/**
+		 * @static
+		 * @param {number} meters
+		 * @param {boolean} isMetric
+		 * @return {string}
+		 */
+		formatDistance: function ( meters, isMetric ) {
+			if ( isMetric ) {
+				return meters < 1000 ?
+					mw.msg( 'kartographer-measure-meters', formatNumber( meters ) ) :
+					mw.msg( 'kartographer-measure-kilometers', formatNumber( meters / 1000 ) );
+			}
+			// Same switch as the imperial scale bar
+			return meters < METERS_PER_MILE ?
+				mw.msg( 'kartographer-measure-feet', formatNumber( meters / METERS_PER_FOOT ) ) :
+				mw.msg( 'kartographer-measure-miles', formatNumber( meters / METERS_PER_MILE ) );
+		},
+
+		/**
+		 * @static
+		 * @param {number} squareMeters
+		 * @param {boolean} isMetric
+		 * @return {string}
+		 */
+		formatArea: function ( squareMeters, isMetric ) {
+			if ( isMetric ) {
+				return squareMeters < 1e6 ?
+					mw.msg( 'kartographer-measure-square-meters', formatNumber( squareMeters ) ) :
+					mw.msg( 'kartographer-measure-square-kilometers', formatNumber( squareMeters / 1e6 ) );
+			}
+			var acres = squareMeters / SQUARE_METERS_PER_ACRE;
+			if ( acres < 1 ) {
+				return mw.msg( 'kartographer-measure-square-feet', formatNumber( squareMeters / METERS_PER_FOOT / METERS_PER_FOOT ) );
+			}
+			// A square mile has 640 acres
+			return acres < 640 ?
+				mw.msg( 'kartographer-measure-acres', formatNumber( acres ) ) :
+				mw.msg( 'kartographer-measure-square-miles', formatNumber( acres / 640 ) );
+		}
+	},
+
+	/**
+	 * Creates the control element.
+	 *
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 * @return {HTMLElement}
+	 */
+	onAdd: function ( map ) {
+		var container = L.DomUtil.create( 'div', 'leaflet-bar mw-kartographer-measure' );
+
+		this.link = L.DomUtil.create( 'a', 'oo-ui-icon-mapTrail', container );
+		this.link.title = mw.msg( 'kartographer-measure-button' );
+		this.link.role = 'button';
+		this.link.tabIndex = '0';
+		this.link.setAttribute( 'aria-pressed', 'false' );
+
+		this.$results = $( '<div>' )
+			.addClass( 'mw-kartographer-measure-results' )
+			.attr( 'aria-live', 'polite' )
+			.hide()
+			.appendTo( container );
+
+		this.latLngs = [];
+		this.layer = L.featureGroup();
+
+		L.DomEvent.addListener( this.link, 'click', this.onToggle, this );
+		L.DomEvent.disableClickPropagation( container );
+		L.DomEvent.disableScrollPropagation( container );
+		map.on( 'scaletoggle', this.updateResults, this );
+
+		return container;
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 */
+	onRemove: function ( map ) {
+		this.stop();
+		map.off( 'scaletoggle', this.updateResults, this );
+	},
+
+	/**
+	 * @param {Event} e
+	 * @protected
+	 */
+	onToggle: function ( e ) {
+		L.DomEvent.stop( e );
+		if ( this.active ) {
+			this.stop();
+		} else {
+			this.start();
+		}
+	},
+
+	/**
+	 * Start measuring, with no points yet
+	 */
+	start: function () {
+		// eslint-disable-next-line no-underscore-dangle
+		var map = this._map;
+
+		this.active = true;
+		this.latLngs = [];
+		this.layer.clearLayers().addTo( map );
+		// Quickly adding points shouldn't zoom in
+		this.hadDoubleClickZoom = map.doubleClickZoom.enabled();
+		map.doubleClickZoom.disable();
+		map.on( 'click', this.onMapClick, this )
+			.on( 'keydown', this.onMapKeyDown, this );
+
+		$( map.getContainer() ).addClass( 'mw-kartographer-measuring' );
+		this.link.setAttribute( 'aria-pressed', 'true' );
+		this.$results.show();
+		this.updateResults();
+	},
+
+	/**
+	 * Stop measuring and remove the measurement from the map
+	 */
+	stop: function () {
+		// eslint-disable-next-line no-underscore-dangle
+		var map = this._map;
+		if ( !this.active ) {
+			return;
+		}
+
+		this.active = false;
+		this.layer.remove();
+		if ( this.hadDoubleClickZoom ) {
+			map.doubleClickZoom.enable();
+		}
+		map.off( 'click', this.onMapClick, this )
+			.off( 'keydown', this.onMapKeyDown, this );
+
+		$( map.getContainer() ).removeClass( 'mw-kartographer-measuring' );
+		this.link.setAttribute( 'aria-pressed', 'false' );
+		this.$results.hide();
+	},
+
+	/**
+	 * Remove all points, but keep measuring
+	 */
+	clear: function () {
+		this.latLngs = [];
+		this.redraw();
+	},
+
+	/**
+	 * @param {Object} e Leaflet event
+	 * @protected
+	 */
+	onMapClick: function ( e ) {
+		this.latLngs.push( e.latlng );
+		this.redraw();
+	},
+
+	/**
+	 * @param {Object} e Leaflet event
+	 * @protected
+	 */
+	onMapKeyDown: function ( e ) {
+		if ( e.originalEvent.which === OO.ui.Keys.ESCAPE ) {
+			// Don't close the dialog as well
+			L.DomEvent.stop( e.originalEvent );
+			this.stop();
+		}
+	},
+
+	/**
+	 * @protected
+	 */
+	redraw: function () {
+		var layer = this.layer,
+			style = { color: '#36c', weight: 3, dashArray: '6 6', interactive: false };
+
+		layer.clearLayers();
+		if ( this.latLngs.length >= 3 ) {
+			L.polygon( this.latLngs, { stroke: false, fillColor: '#36c', fillOpacity: 0.1, interactive: false } )
+				.addTo( layer );
+		}
+		L.polyline( this.latLngs, style ).addTo( layer );
+		this.latLngs.forEach( function ( latLng ) {
+			L.circleMarker( latLng, { radius: 4, color: '#36c', fillColor: '#fff', fillOpacity: 1, weight: 2, interactive: false } )
+				.addTo( layer );
+		} );
+
+		this.updateResults();
+	},
+
+	/**
+	 * Show the measured distances and area in the current units of the scale control
+	 *
+	 * @protected
+	 */
+	updateResults: function () {
+		if ( !this.active ) {
+			return;
+		}
+
+		var control = this,
+			// eslint-disable-next-line no-underscore-dangle
+			scaleControl = this._map.scaleControl,
+			isMetric = !scaleControl || scaleControl.isMetric,
+			latLngs = this.latLngs,
+			total = 0,
+			$segments = $( '<ol>' ).addClass( 'mw-kartographer-measure-segments' );
+
+		for ( var i = 1; i < latLngs.length; i++ ) {
+			var distance = latLngs[ i - 1 ].distanceTo( latLngs[ i ] );
+			total += distance;
+			$segments.append( $( '<li>' ).text( MeasureControl.formatDistance( distance, isMetric ) ) );
+		}
+
+		this.$results.empty();
+		if ( latLngs.length < 2 ) {
+			this.$results.append( $( '<p>' ).text( mw.msg( 'kartographer-measure-hint' ) ) );
+			return;
+		}
+
+		this.$results.append(
+			$segments,
+			$( '<p>' ).text( mw.msg( 'kartographer-measure-total', MeasureControl.formatDistance( total, isMetric ) ) )
+		);
+		if ( latLngs.length >= 3 ) {
+			this.$results.append( $( '<p>' ).text( mw.msg(
+				'kartographer-measure-area',
+				MeasureControl.formatArea( MeasureControl.getArea( latLngs ), isMetric )
+			) ) );
+		}
+		this.$results.append(
+			$( '<a>' )
+				.attr( { role: 'button', tabindex: 0 } )
+				.text( mw.msg( 'kartographer-measure-clear' ) )
+				.on( 'click', function ( e ) {
+					e.preventDefault();
+					control.clear();
+				} )
+		);
+	}
+} );
+
+module.exports = MeasureControl;
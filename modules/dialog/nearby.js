@@ -1,19 +1,4 @@
-/**
- * @param {Object} parameters
- * @return {jQuery.Promise}
- */
-function mwApi( parameters ) {
-	return ( new mw.Api( {
-		/* TODO: Temporary override for local testing; remove when not needed any more *
-		ajax: {
-			url: 'https://en.wikipedia.org/w/api.php',
-			headers: {
-				'User-Agent': 'Kartographer - the WMF Content Transform Team (https://www.mediawiki.org/wiki/Content_Transform_Team)'
-			}
-		}
-		/**/
-	} ) ).get( parameters );
-}
+var mwApi = require( './api.js' );
 
 /**
  * @class
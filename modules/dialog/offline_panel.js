@@ -0,0 +1,201 @@
+/**
+ * Panel to save the area shown by a map for offline use, and to delete saved areas.
+ *
+ * See {@link Kartographer.Box.OfflineStore}.
+ *
+ * @class Kartographer.Dialog.OfflinePanel
+ * @extends OO.ui.Widget
+ * @constructor
+ * @param {Object} config
+ * @param {Kartographer.Box.MapClass} config.map
+ */
+var OfflineStore = require( 'ext.kartographer.box' ).OfflineStore;
+
+function OfflinePanel( config ) {
+	// Parent constructor
+	OfflinePanel.super.call( this, config );
+
+	this.map = config.map;
+	this.saving = false;
+
+	this.minZoomInput = new OO.ui.NumberInputWidget( { min: 0, step: 1 } );
+	this.maxZoomInput = new OO.ui.NumberInputWidget( { min: 0, step: 1 } );
+	this.$estimate = $( '<p>' ).addClass( 'mw-kartographer-offline-estimate' );
+	this.saveButton = new OO.ui.ButtonWidget( {
+		label: mw.msg( 'kartographer-offline-save' ),
+		flags: [ 'primary', 'progressive' ]
+	} );
+	this.progressBar = new OO.ui.ProgressBarWidget( { progress: 0 } );
+	this.progressBar.toggle( false );
+	this.$areas = $( '<ul>' ).addClass( 'mw-kartographer-offline-areas' );
+
+	this.minZoomInput.connect( this, { change: 'updateEstimate' } );
+	this.maxZoomInput.connect( this, { change: 'updateEstimate' } );
+	this.saveButton.connect( this, { click: 'save' } );
+
+	this.$element
+		.addClass( 'mw-kartographer-offline' )
+		.append(
+			$( '<p>' ).text( mw.msg( 'kartographer-offline-intro' ) ),
+			new OO.ui.HorizontalLayout( {
+				items: [
+					new OO.ui.FieldLayout( this.minZoomInput, {
+						label: mw.msg( 'kartographer-offline-minzoom' ),
+						align: 'top'
+					} ),
+					new OO.ui.FieldLayout( this.maxZoomInput, {
+						label: mw.msg( 'kartographer-offline-maxzoom' ),
+						align: 'top'
+					} )
+				]
+			} ).$element,
+			this.$estimate,
+			this.saveButton.$element,
+			this.progressBar.$element,
+			$( '<h3>' ).text( mw.msg( 'kartographer-offline-areas' ) ),
+			this.$areas
+		);
+}
+
+/* Inheritance */
+
+OO.inheritClass( OfflinePanel, OO.ui.Widget );
+
+/* Static Methods */
+
+/**
+ * @static
+ * @param {number} size In bytes
+ * @return {string}
+ */
+OfflinePanel.static.formatSize = function ( size ) {
+	return mw.msg(
+		'kartographer-offline-size',
+		mw.language.convertNumber( Math.max( Math.round( size / 100000 ) / 10, 0.1 ) )
+	);
+};
+
+/* Methods */
+
+/**
+ * Show the view of the map and the saved areas, e.g. when the panel is opened.
+ */
+OfflinePanel.prototype.refresh = function () {
+	var zoom = this.map.getZoom(),
+		maxZoom = this.map.getMaxZoom();
+
+	if ( !this.saving ) {
+		this.minZoomInput.setRange( 0, maxZoom );
+		this.maxZoomInput.setRange( 0, maxZoom );
+		this.minZoomInput.setValue( zoom );
+		this.maxZoomInput.setValue( Math.min( zoom + 2, maxZoom ) );
+	}
+	this.updateEstimate();
+	this.renderAreas();
+};
+
+/**
+ * @private
+ * @return {Object} See {@link Kartographer.Box.OfflineStore#estimate}
+ */
+OfflinePanel.prototype.getEstimate = function () {
+	return OfflineStore.estimate(
+		this.map.getBounds(),
+		Number( this.minZoomInput.getValue() ),
+		Number( this.maxZoomInput.getValue() )
+	);
+};
+
+/**
+ * @private
+ */
+OfflinePanel.prototype.updateEstimate = function () {
+	var estimate = this.getEstimate(),
+		valid = Number( this.minZoomInput.getValue() ) <= Number( this.maxZoomInput.getValue() );
+
+	this.$estimate
+		.text( estimate.tooLarge ?
+			mw.msg( 'kartographer-offline-toolarge' ) :
+			mw.msg(
+				'kartographer-offline-estimate',
+				mw.language.convertNumber( estimate.tiles ),
+				OfflinePanel.static.formatSize( estimate.size )
+			)
+		)
+		.toggleClass( 'mw-kartographer-offline-estimate-error', estimate.tooLarge );
+	this.saveButton.setDisabled( this.saving || !valid || !estimate.tiles || estimate.tooLarge );
+};
+
+/**
+ * @private
+ */
+OfflinePanel.prototype.renderAreas = function () {
+	var panel = this,
+		areas = OfflineStore.getAreas();
+
+	this.$areas.empty();
+	if ( !areas.length ) {
+		this.$areas.append( $( '<li>' ).text( mw.msg( 'kartographer-offline-none' ) ) );
+		return;
+	}
+
+	areas.forEach( function ( area ) {
+		var deleteButton = new OO.ui.ButtonWidget( {
+			icon: 'trash',
+			framed: false,
+			flags: [ 'destructive' ],
+			title: mw.msg( 'kartographer-offline-delete' )
+		} );
+		deleteButton.on( 'click', function () {
+			OfflineStore.remove( area.id ).always( panel.renderAreas.bind( panel ) );
+		} );
+
+		panel.$areas.append( $( '<li>' ).append(
+			$( '<span>' ).addClass( 'mw-kartographer-offline-area-label' ).text( area.label ),
+			$( '<span>' ).addClass( 'mw-kartographer-offline-area-details' ).text( mw.msg(
+				'kartographer-offline-area-details',
+				new Date( area.date ).toLocaleDateString(),
+				OfflinePanel.static.formatSize( area.size )
+			) ),
+			deleteButton.$element
+		) );
+	} );
+};
+
+/**
+ * Save the area shown by the map.
+ *
+ * @return {jQuery.Promise}
+ */
+OfflinePanel.prototype.save = function () {
+	var panel = this,
+		map = this.map,
+		parentMap = map.parentMap || map;
+
+	this.saving = true;
+	this.saveButton.setDisabled( true );
+	this.progressBar.setProgress( 0 );
+	this.progressBar.toggle( true );
+
+	return OfflineStore.save( {
+		label: map.captionText || mw.config.get( 'wgTitle' ),
+		title: mw.config.get( 'wgPageName' ),
+		groups: map.options.dataGroups || parentMap.options.dataGroups || [],
+		bounds: map.getBounds(),
+		minZoom: Number( this.minZoomInput.getValue() ),
+		maxZoom: Number( this.maxZoomInput.getValue() )
+	}, map.getLayerUrl(), function ( done, total ) {
+		panel.progressBar.setProgress( done / total * 100 );
+	} ).then( function () {
+		mw.notify( mw.msg( 'kartographer-offline-saved' ), { tag: 'kartographer-offline' } );
+	}, function () {
+		mw.notify( mw.msg( 'kartographer-offline-error' ), { tag: 'kartographer-offline', type: 'error' } );
+	} ).always( function () {
+		panel.saving = false;
+		panel.progressBar.toggle( false );
+		panel.updateEstimate();
+		panel.renderAreas();
+	} );
+};
+
+module.exports = OfflinePanel;
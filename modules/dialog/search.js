@@ -0,0 +1,193 @@
+var mwApi = require( './api.js' ),
+	toPlainText = require( 'ext.kartographer.util' ).toPlainText;
+
+/**
+ * Searches for places to show on the map.
+ *
+ * Results come from backends, which are asked in order. By default these are the features of the
+ * map's own data layers, followed by articles with coordinates. Other backends can be passed to
+ * the constructor, e.g. a local stand-in for tests.
+ *
+ * A backend is an object with:
+ *
+ * - `name` – Identifies the backend, also used for the heading of its results
+ * - `search( query, map )` – Returns a promise resolved with a list of results, the promise
+ *   can have an `abort` method
+ *
+ * A result is an object with:
+ *
+ * - `title` – Plain text
+ * - `description` – Plain text, optional
+ * - `latLng` – L.LatLng to pan to
+ * - `bounds` – L.LatLngBounds to show instead of panning, optional
+ * - `layer` – L.Layer of the map that was found, optional
+ * - `url` – Link to more information, optional
+ *
+ * @class Kartographer.Dialog.Search
+ * @constructor
+ * @param {Object[]} [backends] Defaults to {@link #static-property-backends}
+ */
+function Search( backends ) {
+	this.backends = backends || Search.backends;
+}
+
+/**
+ * Maximum number of results of each backend.
+ *
+ * @static
+ * @property {number}
+ */
+Search.limit = 10;
+
+/**
+ * Searches the titles and descriptions of the features of the map's data layers.
+ *
+ * @static
+ * @property {Object}
+ */
+Search.dataLayerBackend = {
+	name: 'map',
+	search: function ( query, map ) {
+		var needle = query.toLowerCase(),
+			titleMatches = [],
+			descriptionMatches = [];
+
+		function visit( layer ) {
+			if ( layer.eachLayer && !layer.feature ) {
+				layer.eachLayer( visit );
+				return;
+			}
+			if ( !layer.getLatLng && !layer.getBounds ) {
+				return;
+			}
+			var properties = layer.feature && layer.feature.properties || {},
+				title = toPlainText( properties.title ),
+				description = toPlainText( properties.description ),
+				matches;
+
+			if ( title.toLowerCase().indexOf( needle ) !== -1 ) {
+				matches = titleMatches;
+			} else if ( description.toLowerCase().indexOf( needle ) !== -1 ) {
+				matches = descriptionMatches;
+			} else {
+				return;
+			}
+
+			matches.push( {
+				title: title || description,
+				description: title ? description : '',
+				latLng: layer.getLatLng ? layer.getLatLng() : layer.getBounds().getCenter(),
+				bounds: layer.getLatLng ? undefined : layer.getBounds(),
+				layer: layer
+			} );
+		}
+
+		( map.dataLayers || [] ).forEach( visit );
+		return $.Deferred().resolve(
+			titleMatches.concat( descriptionMatches ).slice( 0, Search.limit )
+		).promise();
+	}
+};
+
+/**
+ * Searches the articles of the wiki that have coordinates.
+ *
+ * @static
+ * @property {Object}
+ */
+Search.wikiBackend = {
+	name: 'wiki',
+	search: function ( query ) {
+		var request = mwApi( {
+				action: 'query',
+				format: 'json',
+				formatversion: 2,
+				prop: 'coordinates|description',
+				// co… arguments belong to prop=coordinates
+				colimit: 'max',
+				generator: 'search',
+				// gsr… arguments belong to generator=search
+				gsrsearch: query,
+				gsrnamespace: 0,
+				gsrlimit: Search.limit
+			} ),
+			promise = request.then( function ( response ) {
+				var pages = response.query && response.query.pages || [];
+
+				return pages
+					.filter( function ( page ) {
+						return page.coordinates && page.coordinates[ 0 ];
+					} )
+					// Pages are not sorted by relevance
+					.sort( function ( a, b ) {
+						return a.index - b.index;
+					} )
+					.map( function ( page ) {
+						var coordinates = page.coordinates[ 0 ];
+						return {
+							title: page.title,
+							description: page.description || '',
+							latLng: L.latLng( coordinates.lat, coordinates.lon ),
+							url: mw.Title.newFromText( page.title ).getUrl()
+						};
+					} );
+			} );
+
+		return promise.promise( {
+			abort: function () {
+				request.abort();
+			}
+		} );
+	}
+};
+
+/**
+ * @static
+ * @property {Object[]}
+ */
+Search.backends = [ Search.dataLayerBackend, Search.wikiBackend ];
+
+/**
+ * Ask all backends.
+ *
+ * A backend that fails doesn't return any results, but doesn't stop the others.
+ *
+ * @param {string} query
+ * @param {L.Map} map
+ * @return {jQuery.Promise} Resolved with the results of all backends, in order. Each result has
+ *  a `backend` property with the name of its backend. The promise has an `abort` method.
+ */
+Search.prototype.search = function ( query, map ) {
+	var requests = [];
+
+	query = query.trim();
+	if ( !query ) {
+		return $.Deferred().resolve( [] ).promise( { abort: function () {} } );
+	}
+
+	var promises = this.backends.map( function ( backend ) {
+		var request = backend.search( query, map );
+		requests.push( request );
+		return request.then( function ( results ) {
+			return results.map( function ( result ) {
+				return $.extend( { backend: backend.name }, result );
+			} );
+		}, function () {
+			return $.Deferred().resolve( [] ).promise();
+		} );
+	} );
+
+	return $.when.apply( $, promises ).then( function () {
+		return Array.prototype.concat.apply( [], arguments );
+	} ).promise( {
+		abort: function () {
+			requests.forEach( function ( request ) {
+				if ( request.abort ) {
+					request.abort();
+				}
+			} );
+		}
+	} );
+};
+
+module.exports = Search;
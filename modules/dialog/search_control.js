@@ -0,0 +1,154 @@
+/**
+ * # Control to search the map and the wiki for places.
+ *
+ * Choosing a result pans the map to it and highlights it. The search is done by a
+ * {@link Kartographer.Dialog.Search}, which can be replaced with the `search` option.
+ *
+ * See [L.Control](https://www.mapbox.com/mapbox.js/api/v2.3.0/l-control/)
+ * documentation for more details.
+ *
+ * @class Kartographer.Dialog.SearchControl
+ * @extends L.Control
+ */
+var Search = require( './search.js' ),
+	SearchWidget = require( './search_widget.js' ),
+	// Results without bounds are shown at least at this zoom level
+	RESULT_ZOOM = 14,
+	HIGHLIGHT_STYLE = {
+		className: 'mw-kartographer-search-highlight',
+		color: '#36c',
+		weight: 4,
+		opacity: 0.8,
+		fill: false
+	};
+
+var SearchControl = L.Control.extend( {
+	options: {
+		position: 'topleft',
+		/**
+		 * @cfg {Kartographer.Dialog.Search} [search] Defaults to a search with all backends
+		 */
+		search: null,
+		/**
+		 * @cfg {jQuery} [$overlay] Where to show the menu with the results
+		 */
+		$overlay: null
+	},
+
+	/**
+	 * Creates the control element.
+	 *
+	 * @override
+	 * @protected
+	 * @param {L.Map} map
+	 * @return {HTMLElement}
+	 */
+	onAdd: function ( map ) {
+		var container = L.DomUtil.create( 'div', 'mw-kartographer-search' );
+
+		this.widget = new SearchWidget( {
+			search: this.options.search || new Search(),
+			map: map,
+			$overlay: this.options.$overlay || undefined
+		} );
+		this.widget.connect( this, {
+			choose: 'showResult',
+			change: 'onChange'
+		} );
+		container.appendChild( this.widget.$element[ 0 ] );
+
+		L.DomEvent.disableClickPropagation( container );
+		L.DomEvent.disableScrollPropagation( container );
+		// Typing shouldn't move the map, and the dialog shouldn't take the focus away
+		L.DomEvent.on( container, 'keydown keypress keyup mouseup', function ( e ) {
+			if ( e.which !== OO.ui.Keys.ESCAPE ) {
+				L.DomEvent.stopPropagation( e );
+			}
+		} );
+
+		return container;
+	},
+
+	/**
+	 * @override
+	 * @protected
+	 */
+	onRemove: function () {
+		this.clearHighlight();
+	},
+
+	/**
+	 * @param {string} value
+	 * @protected
+	 */
+	onChange: function ( value ) {
+		if ( !value ) {
+			this.clearHighlight();
+		}
+	},
+
+	/**
+	 * Pan to a search result and highlight it.
+	 *
+	 * @param {Object} result See {@link Kartographer.Dialog.Search}
+	 */
+	showResult: function ( result ) {
+		// eslint-disable-next-line no-underscore-dangle
+		var map = this._map,
+			layer = result.layer;
+
+		this.clearHighlight();
+
+		if ( result.bounds && result.bounds.isValid() ) {
+			map.fitBounds( result.bounds );
+		} else {
+			map.setView( result.latLng, Math.max( map.getZoom(), RESULT_ZOOM ) );
+		}
+
+		if ( layer && !layer.getLatLng && layer.toGeoJSON ) {
+			this.highlight = L.geoJSON( layer.toGeoJSON(), { style: HIGHLIGHT_STYLE, interactive: false } );
+		} else {
+			this.highlight = L.circleMarker( result.latLng, $.extend( { radius: 18, interactive: false }, HIGHLIGHT_STYLE ) );
+		}
+		this.highlight.addTo( map );
+
+		if ( layer && layer.getPopup && layer.getPopup() ) {
+			layer.openPopup();
+		} else if ( result.url ) {
+			this.highlight.bindPopup( this.createPopupHtml( result ) ).openPopup();
+		}
+	},
+
+	/**
+	 * Remove the highlight of the last result
+	 */
+	clearHighlight: function () {
+		if ( this.highlight ) {
+			this.highlight.remove();
+			this.highlight = null;
+		}
+	},
+
+	/**
+	 * @private
+	 * @param {Object} result
+	 * @return {string}
+	 */
+	createPopupHtml: function ( result ) {
+		var html = mw.html.element( 'div', {
+			class: 'marker-title'
+		}, new mw.html.Raw( mw.html.element( 'a', {
+			href: result.url,
+			target: '_blank'
+		}, result.title ) ) );
+
+		if ( result.description ) {
+			html += mw.html.element( 'div', {
+				class: 'marker-description'
+			}, result.description );
+		}
+		return html;
+	}
+} );
+
+module.exports = SearchControl;
@@ -0,0 +1,107 @@
+/**
+ * Search field with a menu of places found by a {@link Kartographer.Dialog.Search}.
+ *
+ * See [OO.ui.SearchInputWidget](https://doc.wikimedia.org/oojs-ui/master/js/#!/api/OO.ui.SearchInputWidget)
+ * documentation for more details.
+ *
+ * @class Kartographer.Dialog.SearchWidget
+ * @extends OO.ui.SearchInputWidget
+ * @mixins OO.ui.mixin.LookupElement
+ * @constructor
+ * @param {Object} config
+ * @param {Kartographer.Dialog.Search} config.search
+ * @param {L.Map} config.map
+ */
+function SearchWidget( config ) {
+	// Parent constructor
+	SearchWidget.super.call( this, $.extend( {
+		placeholder: mw.msg( 'kartographer-search-placeholder' )
+	}, config ) );
+	// Mixin constructor
+	OO.ui.mixin.LookupElement.call( this, config );
+
+	this.search = config.search;
+	this.map = config.map;
+
+	this.$element.addClass( 'mw-kartographer-searchWidget' );
+}
+
+/* Inheritance */
+
+OO.inheritClass( SearchWidget, OO.ui.SearchInputWidget );
+OO.mixinClass( SearchWidget, OO.ui.mixin.LookupElement );
+
+/* Events */
+
+/**
+ * @event choose
+ * @param {Object} result The chosen search result
+ */
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+SearchWidget.prototype.getLookupRequest = function () {
+	return this.search.search( this.getValue(), this.map );
+};
+
+/**
+ * @inheritdoc
+ */
+SearchWidget.prototype.getLookupCacheDataFromResponse = function ( results ) {
+	return results;
+};
+
+/**
+ * @inheritdoc
+ */
+SearchWidget.prototype.getLookupMenuOptionsFromData = function ( results ) {
+	var items = [],
+		backend;
+
+	if ( !results.length && this.getValue().trim() ) {
+		return [ new OO.ui.MenuOptionWidget( {
+			label: mw.msg( 'kartographer-search-noresults' ),
+			disabled: true
+		} ) ];
+	}
+
+	results.forEach( function ( result ) {
+		if ( result.backend !== backend ) {
+			backend = result.backend;
+			// Messages that can be used here:
+			// * kartographer-search-map
+			// * kartographer-search-wiki
+			var heading = mw.message( 'kartographer-search-' + backend );
+			items.push( new OO.ui.MenuSectionOptionWidget( {
+				label: heading.exists() ? heading.text() : backend
+			} ) );
+		}
+		items.push( new OO.ui.MenuOptionWidget( {
+			data: result,
+			label: $( '<span>' ).append(
+				$( '<span>' ).addClass( 'mw-kartographer-searchWidget-title' ).text( result.title ),
+				$( '<span>' ).addClass( 'mw-kartographer-searchWidget-description' ).text( result.description || '' )
+			)
+		} ) );
+	} );
+	return items;
+};
+
+/**
+ * @inheritdoc
+ * @fires choose
+ */
+SearchWidget.prototype.onLookupMenuChoose = function ( item ) {
+	var result = item.getData();
+
+	// Don't search again for the title
+	this.setLookupsDisabled( true );
+	this.setValue( result.title );
+	this.setLookupsDisabled( false );
+	this.emit( 'choose', result );
+};
+
+module.exports = SearchWidget;
@@ -0,0 +1,114 @@
+/**
+ * Builds links to the current view of a full screen map, so readers can share or embed it.
+ *
+ * @alternateClassName Share
+ * @class Kartographer.Dialog.Share
+ * @singleton
+ */
+
+/**
+ * @private
+ * @param {Kartographer.Box.MapClass} map
+ * @return {string[]} Latitude and longitude of the center, rounded for the current zoom
+ */
+function getScaledCenter( map ) {
+	var position = map.getMapPosition();
+	return map.getScaleLatLng( position.center.lat, position.center.lng, position.zoom );
+}
+
+/**
+ * Size of the `<mapframe>` in {@link #getWikitext}, in pixels.
+ *
+ * @property {Object} size
+ * @property {number} size.width
+ * @property {number} size.height
+ */
+var size = {
+	width: 400,
+	height: 300
+};
+
+/**
+ * The URL of the page, with the route to the current view of the map when it has one.
+ *
+ * @param {Kartographer.Box.MapClass} map
+ * @return {string}
+ */
+function getUrl( map ) {
+	var url = location.href.replace( /#.*$/, '' );
+	return map.fullScreenRoute ? url + '#' + map.getHash() : url;
+}
+
+/**
+ * A `<mapframe>` tag that shows the current view of the map.
+ *
+ * @param {Kartographer.Box.MapClass} map
+ * @return {string}
+ */
+function getWikitext( map ) {
+	var center = getScaledCenter( map ),
+		attributes = {
+			latitude: center[ 0 ],
+			longitude: center[ 1 ],
+			zoom: map.getZoom(),
+			width: size.width,
+			height: size.height
+		};
+
+	if ( map.options.style && map.options.style !== mw.config.get( 'wgKartographerDfltStyle' ) ) {
+		attributes.mapstyle = map.options.style;
+	}
+	if ( map.captionText ) {
+		attributes.text = map.captionText;
+	}
+
+	return '<mapframe ' + Object.keys( attributes ).map( function ( name ) {
+		return name + '="' + mw.html.escape( String( attributes[ name ] ) ) + '"';
+	} ).join( ' ' ) + ' />';
+}
+
+/**
+ * A [geo URI](https://en.wikipedia.org/wiki/Geo_URI_scheme) of the center of the map.
+ *
+ * @param {Kartographer.Box.MapClass} map
+ * @return {string}
+ */
+function getGeoUri( map ) {
+	return 'geo:' + getScaledCenter( map ).join( ',' ) + '?z=' + map.getZoom();
+}
+
+/**
+ * @param {string} text
+ * @return {jQuery.Promise} Rejected when the browser doesn't allow it
+ */
+function copy( text ) {
+	if ( navigator.clipboard && navigator.clipboard.writeText ) {
+		return $.Deferred( function ( deferred ) {
+			navigator.clipboard.writeText( text ).then( deferred.resolve, deferred.reject );
+		} ).promise();
+	}
+
+	// Fallback for browsers without the asynchronous clipboard API
+	var $textarea = $( '<textarea>' )
+			.val( text )
+			.attr( 'readonly', true )
+			.css( { position: 'fixed', top: 0, left: '-9999px' } )
+			.appendTo( document.body ),
+		copied = false;
+
+	$textarea.trigger( 'select' );
+	try {
+		copied = document.execCommand( 'copy' );
+	} catch ( e ) {}
+	$textarea.remove();
+
+	return copied ? $.Deferred().resolve().promise() : $.Deferred().reject().promise();
+}
+
+module.exports = {
+	size: size,
+	getUrl: getUrl,
+	getWikitext: getWikitext,
+	getGeoUri: getGeoUri,
+	copy: copy
+};
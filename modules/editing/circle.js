@@ -0,0 +1,211 @@
+/**
+ * Circles drawn in the map editor.
+ *
+ * GeoJSON has no circles, so they are stored as polygons approximating the circle. The center,
+ * radius and number of segments are kept in the properties `circle-center`, `circle-radius`
+ * (in meters) and `circle-segments`, which allows to edit them as circles again.
+ *
+ * @alternateClassName Circle
+ * @class Kartographer.Editing.Circle
+ * @singleton
+ */
+
+// Same as L.CRS.Earth.R, so the polygon matches the circle Leaflet draws
+var EARTH_RADIUS = 6371000,
+	DEFAULT_SEGMENTS = 64,
+	MAX_SEGMENTS = 360,
+	CircleLayer;
+
+/**
+ * @private
+ * @param {number} value
+ * @param {number} decimals
+ * @return {number}
+ */
+function round( value, decimals ) {
+	var factor = Math.pow( 10, decimals );
+	return Math.round( value * factor ) / factor;
+}
+
+/**
+ * @private
+ * @param {Object} [properties]
+ * @return {number} Number of segments to approximate the circle with
+ */
+function getSegments( properties ) {
+	var segments = Math.round( properties && properties[ 'circle-segments' ] );
+	return segments >= 3 && segments <= MAX_SEGMENTS ? segments : DEFAULT_SEGMENTS;
+}
+
+/**
+ * Approximate a circle on the earth's surface with a polygon.
+ *
+ * @param {number[]} center Longitude and latitude
+ * @param {number} radius In meters
+ * @param {number} [segments=64]
+ * @return {Object} GeoJSON Polygon, with the ring going counterclockwise
+ */
+function toPolygon( center, radius, segments ) {
+	var lat = center[ 1 ] * Math.PI / 180,
+		lng = center[ 0 ] * Math.PI / 180,
+		distance = radius / EARTH_RADIUS,
+		ring = [];
+
+	segments = segments || DEFAULT_SEGMENTS;
+	for ( var i = 0; i < segments; i++ ) {
+		// Bearings go clockwise, starting in the north
+		var bearing = -2 * Math.PI * i / segments,
+			pointLat = Math.asin( Math.sin( lat ) * Math.cos( distance ) +
+				Math.cos( lat ) * Math.sin( distance ) * Math.cos( bearing ) ),
+			pointLng = lng + Math.atan2(
+				Math.sin( bearing ) * Math.sin( distance ) * Math.cos( lat ),
+				Math.cos( distance ) - Math.sin( lat ) * Math.sin( pointLat )
+			);
+		// Same precision as the map position in the editor
+		ring.push( [ round( pointLng * 180 / Math.PI, 6 ), round( pointLat * 180 / Math.PI, 6 ) ] );
+	}
+	ring.push( ring[ 0 ].slice() );
+
+	return { type: 'Polygon', coordinates: [ ring ] };
+}
+
+/**
+ * @param {number[]} center Longitude and latitude
+ * @param {number} radius In meters
+ * @param {Object} [properties] Other properties of the feature, `circle-segments` is used as
+ *  the number of segments
+ * @return {Object} GeoJSON Feature with a Polygon geometry
+ */
+function toFeature( center, radius, properties ) {
+	var segments = getSegments( properties );
+
+	return {
+		type: 'Feature',
+		properties: $.extend( {}, properties, {
+			'circle-center': [ round( center[ 0 ], 6 ), round( center[ 1 ], 6 ) ],
+			'circle-radius': round( radius, 1 ),
+			'circle-segments': segments
+		} ),
+		geometry: toPolygon( center, radius, segments )
+	};
+}
+
+/**
+ * @param {Object} [feature] GeoJSON Feature
+ * @return {boolean} The feature was drawn as a circle
+ */
+function isCircle( feature ) {
+	var properties = feature && feature.properties,
+		center = properties && properties[ 'circle-center' ];
+
+	return Array.isArray( center ) && center.length === 2 &&
+		isFinite( center[ 0 ] ) && isFinite( center[ 1 ] ) &&
+		typeof center[ 0 ] === 'number' && typeof center[ 1 ] === 'number' &&
+		typeof properties[ 'circle-radius' ] === 'number' && properties[ 'circle-radius' ] > 0;
+}
+
+/**
+ * Leaflet loads after this module, so the class can't be created right away.
+ *
+ * @private
+ * @return {Function} Subclass of L.Circle that serializes to a polygon
+ */
+function getLayerClass() {
+	if ( !CircleLayer ) {
+		CircleLayer = L.Circle.extend( {
+			setLatLng: function () {
+				L.Circle.prototype.setLatLng.apply( this, arguments );
+				this.updateProperties();
+				return this;
+			},
+			setRadius: function () {
+				L.Circle.prototype.setRadius.apply( this, arguments );
+				this.updateProperties();
+				return this;
+			},
+			// Keep the properties in sync while the circle is moved and resized
+			updateProperties: function () {
+				if ( this.feature ) {
+					$.extend( this.feature.properties, this.toGeoJSON().properties );
+				}
+			},
+			toGeoJSON: function () {
+				var latLng = this.getLatLng();
+				return toFeature(
+					[ latLng.lng, latLng.lat ],
+					this.getRadius(),
+					this.feature && this.feature.properties
+				);
+			}
+		} );
+	}
+	return CircleLayer;
+}
+
+/**
+ * Create a layer for editing a circle.
+ *
+ * @param {number[]} center Longitude and latitude
+ * @param {number} radius In meters
+ * @param {Object} [properties] Other properties of the feature
+ * @return {L.Circle}
+ */
+function createLayer( center, radius, properties ) {
+	var Layer = getLayerClass(),
+		layer = new Layer( [ center[ 1 ], center[ 0 ] ], { radius: radius } );
+
+	// Without a geometry, it would only get outdated
+	layer.feature = { type: 'Feature', properties: $.extend( {}, properties ) };
+	layer.updateProperties();
+	layer.setStyle( L.mapbox.simplestyle.style( layer.feature ) );
+	return layer;
+}
+
+/**
+ * Turn a layer created from a stored circle back into a circle.
+ *
+ * @param {L.Layer} layer Layer created from GeoJSON, with the `feature` it was created from
+ * @return {L.Layer} New layer if the feature was a circle, the same layer otherwise
+ */
+function fromFeatureLayer( layer ) {
+	if ( layer instanceof L.Circle || !isCircle( layer.feature ) ) {
+		return layer;
+	}
+
+	var properties = layer.feature.properties,
+		circle = createLayer( properties[ 'circle-center' ], properties[ 'circle-radius' ], properties );
+
+	if ( layer.getPopup && layer.getPopup() ) {
+		circle.bindPopup( layer.getPopup() );
+	}
+	return circle;
+}
+
+/**
+ * Apply the properties to a circle, after they have been edited.
+ *
+ * @param {L.Layer} layer
+ */
+function updateLayer( layer ) {
+	if ( !( CircleLayer && layer instanceof CircleLayer ) || !isCircle( layer.feature ) ) {
+		return;
+	}
+	var center = layer.feature.properties[ 'circle-center' ],
+		radius = layer.feature.properties[ 'circle-radius' ];
+	// The properties are rounded, don't move the circle because of that
+	if ( Math.abs( radius - layer.getRadius() ) > 0.05 ) {
+		layer.setRadius( radius );
+	}
+	if ( !layer.getLatLng().equals( [ center[ 1 ], center[ 0 ] ], 1e-6 ) ) {
+		layer.setLatLng( [ center[ 1 ], center[ 0 ] ] );
+	}
+}
+
+module.exports = {
+	toPolygon: toPolygon,
+	toFeature: toFeature,
+	isCircle: isCircle,
+	createLayer: createLayer,
+	fromFeatureLayer: fromFeatureLayer,
+	updateLayer: updateLayer
+};
@@ -6,6 +6,12 @@
  * @class Kartographer.Editing
  * @singleton
  */
+var circle = require( './circle.js' ),
+	History = require( './history.js' ),
+	importer = require( './import.js' ),
+	simplifier = require( './simplify.js' ),
+	snap = require( './snap.js' ),
+	validator = require( './validator.js' );
 
 /**
  * Get "editable" GeoJSON layer for the map.
@@ -19,10 +25,36 @@
 function getKartographerLayer( map ) {
 	if ( !map.kartographerLayer ) {
 		map.kartographerLayer = L.mapbox.featureLayer().addTo( map );
+		// Circles are stored as polygons, but should be edited as circles
+		map.kartographerLayer.addLayer = function ( layer ) {
+			return L.mapbox.FeatureLayer.prototype.addLayer.call( this, circle.fromFeatureLayer( layer ) );
+		};
 	}
 	return map.kartographerLayer;
 }
 
+/**
+ * Append GeoJSON to the "editable" layer, e.g. after importing it from a file.
+ *
+ * The data is not sanitized. Update the GeoJSON text from the layer and then the layer from the
+ * text to get there.
+ *
+ * @param {L.Map} map Map to add the GeoJSON to
+ * @param {Object|Object[]} geoJson GeoJSON data
+ * @return {L.Layer[]} The new layers
+ */
+function addToKartographerLayer( map, geoJson ) {
+	var layer = getKartographerLayer( map ),
+		source = L.mapbox.featureLayer( geoJson ),
+		newLayers = source.getLayers();
+
+	source.clearLayers();
+	newLayers.forEach( function ( child ) {
+		layer.addLayer( child );
+	} );
+	return newLayers;
+}
+
 /**
  * Updates "editable" GeoJSON layer from a string.
  *
@@ -82,5 +114,37 @@ function restoreUnparsedText( geoJson ) {
 module.exports = {
 	getKartographerLayer: getKartographerLayer,
 	updateKartographerLayer: updateKartographerLayer,
-	restoreUnparsedText: restoreUnparsedText
+	addToKartographerLayer: addToKartographerLayer,
+	restoreUnparsedText: restoreUnparsedText,
+
+	/**
+	 * @type {Kartographer.Editing.Circle}
+	 */
+	circle: circle,
+
+	/**
+	 * @type {Function}
+	 * @see Kartographer.Editing.History
+	 */
+	History: History,
+
+	/**
+	 * @type {Kartographer.Editing.Import}
+	 */
+	importer: importer,
+
+	/**
+	 * @type {Kartographer.Editing.Simplify}
+	 */
+	simplifier: simplifier,
+
+	/**
+	 * @type {Kartographer.Editing.Snap}
+	 */
+	snap: snap,
+
+	/**
+	 * @type {Kartographer.Editing.Validator}
+	 */
+	validator: validator
 };
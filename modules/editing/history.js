@@ -0,0 +1,105 @@
+/**
+ * Linear undo/redo history of GeoJSON snapshots.
+ *
+ * Snapshots are the serialized GeoJSON text as shown in the editor, so
+ * restoring one keeps the text and the drawing layer in sync.
+ *
+ * @alternateClassName History
+ * @class Kartographer.Editing.History
+ * @constructor
+ * @param {number} [limit=100] Maximum number of snapshots to keep
+ */
+function History( limit ) {
+	this.limit = limit || 100;
+	this.reset( '' );
+}
+
+/**
+ * Forget all snapshots and start over.
+ *
+ * @param {string} snapshot Current state
+ */
+History.prototype.reset = function ( snapshot ) {
+	/**
+	 * @property {string[]} stack
+	 * @private
+	 */
+	this.stack = [ snapshot ];
+	/**
+	 * @property {number} position Index of the current state in the stack
+	 * @private
+	 */
+	this.position = 0;
+};
+
+/**
+ * Add a new state. Anything that could be redone before is lost.
+ *
+ * Recording the current state again is a no-op, so it's safe to call this
+ * for any change without checking first.
+ *
+ * @param {string} snapshot
+ * @return {boolean} True if a new state was added
+ */
+History.prototype.record = function ( snapshot ) {
+	if ( snapshot === this.getCurrent() ) {
+		return false;
+	}
+
+	this.stack.splice( this.position + 1 );
+	this.stack.push( snapshot );
+	if ( this.stack.length > this.limit ) {
+		this.stack.shift();
+	}
+	this.position = this.stack.length - 1;
+	return true;
+};
+
+/**
+ * @return {string} Current state
+ */
+History.prototype.getCurrent = function () {
+	return this.stack[ this.position ];
+};
+
+/**
+ * @return {boolean}
+ */
+History.prototype.canUndo = function () {
+	return this.position > 0;
+};
+
+/**
+ * @return {boolean}
+ */
+History.prototype.canRedo = function () {
+	return this.position < this.stack.length - 1;
+};
+
+/**
+ * Step back in history.
+ *
+ * @return {string|null} State to restore, or null if there is nothing to undo
+ */
+History.prototype.undo = function () {
+	if ( !this.canUndo() ) {
+		return null;
+	}
+	this.position--;
+	return this.getCurrent();
+};
+
+/**
+ * Step forward in history.
+ *
+ * @return {string|null} State to restore, or null if there is nothing to redo
+ */
+History.prototype.redo = function () {
+	if ( !this.canRedo() ) {
+		return null;
+	}
+	this.position++;
+	return this.getCurrent();
+};
+
+module.exports = History;
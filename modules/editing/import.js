@@ -0,0 +1,580 @@
+/**
+ * Conversion of GPX, KML and CSV files to GeoJSON.
+ *
+ * Names and descriptions become the simplestyle `title` and `description`, and colors, widths
+ * and opacities are taken over where the source format has them.
+ *
+ * @alternateClassName Import
+ * @class Kartographer.Editing.Import
+ * @singleton
+ */
+
+var LAT_COLUMNS = [ 'lat', 'latitude', 'y' ],
+	LON_COLUMNS = [ 'lon', 'lng', 'long', 'longitude', 'x' ],
+	// Columns that are renamed, all other simplestyle properties are taken as they are
+	COLUMN_ALIASES = {
+		name: 'title',
+		desc: 'description',
+		color: 'marker-color',
+		symbol: 'marker-symbol'
+	},
+	CSV_PROPERTIES = [ 'title', 'description', 'marker-size', 'marker-symbol', 'marker-color' ],
+	// Colors of Garmin's GPX extension
+	GARMIN_COLORS = {
+		black: '#000000',
+		darkred: '#8b0000',
+		darkgreen: '#006400',
+		darkyellow: '#b5b500',
+		darkblue: '#00008b',
+		darkmagenta: '#8b008b',
+		darkcyan: '#008b8b',
+		lightgray: '#d3d3d3',
+		darkgray: '#a9a9a9',
+		red: '#ff0000',
+		green: '#00ff00',
+		yellow: '#ffff00',
+		blue: '#0000ff',
+		magenta: '#ff00ff',
+		cyan: '#00ffff',
+		white: '#ffffff'
+	};
+
+/**
+ * @private
+ * @param {Element} parent
+ * @param {string} [name] Local name of the child elements, in any namespace
+ * @return {Element[]} Direct children only
+ */
+function getChildren( parent, name ) {
+	return Array.prototype.filter.call( parent.childNodes, function ( node ) {
+		return node.nodeType === 1 && ( !name || node.localName === name );
+	} );
+}
+
+/**
+ * @private
+ * @param {Element} parent
+ * @param {string} name Local name of the descendant elements, in any namespace
+ * @return {Element[]}
+ */
+function getDescendants( parent, name ) {
+	return Array.prototype.slice.call( parent.getElementsByTagNameNS( '*', name ) );
+}
+
+/**
+ * @private
+ * @param {Element} parent
+ * @param {string} name
+ * @return {string|undefined} Trimmed text of the first direct child with that name
+ */
+function getChildText( parent, name ) {
+	var child = getChildren( parent, name )[ 0 ],
+		text = child && child.textContent.trim();
+	return text || undefined;
+}
+
+/**
+ * @private
+ * @param {string} text
+ * @return {Document}
+ * @throws {Error} With the code "parse" if the text is not well-formed XML
+ */
+function parseXml( text ) {
+	var doc = new DOMParser().parseFromString( text, 'application/xml' );
+	if ( doc.getElementsByTagName( 'parsererror' ).length ) {
+		throw importError( 'parse' );
+	}
+	return doc;
+}
+
+/**
+ * @private
+ * @param {string} code Reason, see {@link #readFile}
+ * @return {Error}
+ */
+function importError( code ) {
+	var error = new Error( 'Import failed: ' + code );
+	error.code = code;
+	return error;
+}
+
+/**
+ * @private
+ * @param {Object} geometry
+ * @param {Object} properties Simplestyle properties, undefined values are left out
+ * @return {Object} GeoJSON feature
+ */
+function createFeature( geometry, properties ) {
+	var feature = { type: 'Feature', properties: {}, geometry: geometry };
+	Object.keys( properties ).forEach( function ( key ) {
+		if ( properties[ key ] !== undefined ) {
+			feature.properties[ key ] = properties[ key ];
+		}
+	} );
+	return feature;
+}
+
+/**
+ * @private
+ * @param {Object[]} geometries
+ * @return {Object|null} A single geometry, or a collection if there are several
+ */
+function combineGeometries( geometries ) {
+	if ( geometries.length < 2 ) {
+		return geometries[ 0 ] || null;
+	}
+	return { type: 'GeometryCollection', geometries: geometries };
+}
+
+/**
+ * @private
+ * @param {Element} node Element with lat and lon attributes
+ * @return {number[]|null} GeoJSON position
+ */
+function getGpxPosition( node ) {
+	var lat = parseFloat( node.getAttribute( 'lat' ) ),
+		lon = parseFloat( node.getAttribute( 'lon' ) );
+	return isFinite( lat ) && isFinite( lon ) ? [ lon, lat ] : null;
+}
+
+/**
+ * @private
+ * @param {Element[]} nodes
+ * @return {number[][]}
+ */
+function getGpxPositions( nodes ) {
+	return nodes.map( getGpxPosition ).filter( Boolean );
+}
+
+/**
+ * Line style from the gpx_style or Garmin extensions of a track or route.
+ *
+ * @private
+ * @param {Element} node
+ * @return {Object} Simplestyle properties
+ */
+function getGpxLineStyle( node ) {
+	var style = {},
+		extensions = getChildren( node, 'extensions' )[ 0 ];
+
+	if ( !extensions ) {
+		return style;
+	}
+
+	var line = getDescendants( extensions, 'line' )[ 0 ],
+		garminColor = getDescendants( extensions, 'DisplayColor' )[ 0 ];
+
+	if ( line ) {
+		var color = getChildText( line, 'color' ),
+			opacity = parseFloat( getChildText( line, 'opacity' ) ),
+			width = parseFloat( getChildText( line, 'width' ) );
+		if ( color && /^([0-9a-fA-F]{3}){1,2}$/.test( color ) ) {
+			style.stroke = '#' + color.toLowerCase();
+		}
+		if ( opacity >= 0 && opacity <= 1 ) {
+			style[ 'stroke-opacity' ] = opacity;
+		}
+		if ( width >= 0 ) {
+			style[ 'stroke-width' ] = width;
+		}
+	}
+	if ( !style.stroke && garminColor ) {
+		style.stroke = GARMIN_COLORS[ garminColor.textContent.trim().toLowerCase() ];
+	}
+	return style;
+}
+
+/**
+ * @private
+ * @param {Element} node Waypoint, track or route element
+ * @return {Object} Simplestyle properties
+ */
+function getGpxTexts( node ) {
+	return {
+		title: getChildText( node, 'name' ),
+		description: getChildText( node, 'desc' ) || getChildText( node, 'cmt' )
+	};
+}
+
+/**
+ * Convert GPX waypoints, routes and tracks.
+ *
+ * @param {string} text GPX document
+ * @return {Object} GeoJSON FeatureCollection
+ * @throws {Error} If the text is not well-formed XML
+ */
+function fromGpx( text ) {
+	var root = parseXml( text ).documentElement,
+		features = [];
+
+	getChildren( root, 'wpt' ).forEach( function ( wpt ) {
+		var position = getGpxPosition( wpt );
+		if ( position ) {
+			features.push( createFeature( { type: 'Point', coordinates: position }, getGpxTexts( wpt ) ) );
+		}
+	} );
+
+	getChildren( root, 'rte' ).forEach( function ( rte ) {
+		var positions = getGpxPositions( getChildren( rte, 'rtept' ) );
+		if ( positions.length > 1 ) {
+			features.push( createFeature(
+				{ type: 'LineString', coordinates: positions },
+				$.extend( getGpxTexts( rte ), getGpxLineStyle( rte ) )
+			) );
+		}
+	} );
+
+	getChildren( root, 'trk' ).forEach( function ( trk ) {
+		var segments = getChildren( trk, 'trkseg' ).map( function ( trkseg ) {
+			return getGpxPositions( getChildren( trkseg, 'trkpt' ) );
+		} ).filter( function ( positions ) {
+			return positions.length > 1;
+		} );
+		if ( segments.length ) {
+			features.push( createFeature(
+				segments.length === 1 ?
+					{ type: 'LineString', coordinates: segments[ 0 ] } :
+					{ type: 'MultiLineString', coordinates: segments },
+				$.extend( getGpxTexts( trk ), getGpxLineStyle( trk ) )
+			) );
+		}
+	} );
+
+	return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * @private
+ * @param {Element} node Element containing a coordinates element
+ * @return {number[][]} GeoJSON positions
+ */
+function getKmlPositions( node ) {
+	var text = getChildText( node, 'coordinates' ) || '';
+	return text.split( /\s+/ ).map( function ( tuple ) {
+		var parts = tuple.split( ',' ).map( parseFloat );
+		return parts.length >= 2 && isFinite( parts[ 0 ] ) && isFinite( parts[ 1 ] ) ?
+			[ parts[ 0 ], parts[ 1 ] ] :
+			null;
+	} ).filter( Boolean );
+}
+
+/**
+ * @private
+ * @param {Element} node Geometry element
+ * @return {Object[]} GeoJSON geometries, MultiGeometry is flattened
+ */
+function getKmlGeometries( node ) {
+	var positions;
+
+	switch ( node.localName ) {
+		case 'Point':
+			positions = getKmlPositions( node );
+			return positions.length ? [ { type: 'Point', coordinates: positions[ 0 ] } ] : [];
+		case 'LineString':
+			positions = getKmlPositions( node );
+			return positions.length > 1 ? [ { type: 'LineString', coordinates: positions } ] : [];
+		case 'Polygon':
+			var rings = getDescendants( node, 'LinearRing' ).map( getKmlPositions ).filter( function ( ring ) {
+				return ring.length > 3;
+			} );
+			return rings.length ? [ { type: 'Polygon', coordinates: rings } ] : [];
+		case 'MultiGeometry':
+			return Array.prototype.concat.apply( [], getChildren( node ).map( getKmlGeometries ) );
+	}
+	return [];
+}
+
+/**
+ * KML colors are "aabbggrr".
+ *
+ * @private
+ * @param {string|undefined} kmlColor
+ * @return {Array|null} Hex color and opacity
+ */
+function parseKmlColor( kmlColor ) {
+	var match = /^([0-9a-fA-F]{2})([0-9a-fA-F]{2})([0-9a-fA-F]{2})([0-9a-fA-F]{2})$/.exec( kmlColor || '' );
+	if ( !match ) {
+		return null;
+	}
+	return [
+		( '#' + match[ 4 ] + match[ 3 ] + match[ 2 ] ).toLowerCase(),
+		Math.round( parseInt( match[ 1 ], 16 ) / 255 * 100 ) / 100
+	];
+}
+
+/**
+ * @private
+ * @param {Element} style Style element
+ * @return {Object} Simplestyle properties
+ */
+function getKmlStyle( style ) {
+	var properties = {},
+		iconStyle = getChildren( style, 'IconStyle' )[ 0 ],
+		lineStyle = getChildren( style, 'LineStyle' )[ 0 ],
+		polyStyle = getChildren( style, 'PolyStyle' )[ 0 ],
+		color;
+
+	if ( iconStyle && ( color = parseKmlColor( getChildText( iconStyle, 'color' ) ) ) ) {
+		properties[ 'marker-color' ] = color[ 0 ];
+	}
+	if ( lineStyle ) {
+		if ( ( color = parseKmlColor( getChildText( lineStyle, 'color' ) ) ) ) {
+			properties.stroke = color[ 0 ];
+			properties[ 'stroke-opacity' ] = color[ 1 ];
+		}
+		var width = parseFloat( getChildText( lineStyle, 'width' ) );
+		if ( width >= 0 ) {
+			properties[ 'stroke-width' ] = width;
+		}
+	}
+	if ( polyStyle && ( color = parseKmlColor( getChildText( polyStyle, 'color' ) ) ) ) {
+		$.extend( properties, { fill: color[ 0 ], 'fill-opacity': color[ 1 ] } );
+	}
+	return properties;
+}
+
+/**
+ * Convert KML placemarks, including their shared and inline styles.
+ *
+ * @param {string} text KML document
+ * @return {Object} GeoJSON FeatureCollection
+ * @throws {Error} If the text is not well-formed XML
+ */
+function fromKml( text ) {
+	var doc = parseXml( text ),
+		styles = {},
+		features = [];
+
+	getDescendants( doc, 'Style' ).forEach( function ( style ) {
+		if ( style.getAttribute( 'id' ) ) {
+			styles[ '#' + style.getAttribute( 'id' ) ] = getKmlStyle( style );
+		}
+	} );
+	// Style maps switch between styles on hover, only the normal one is of interest here
+	getDescendants( doc, 'StyleMap' ).forEach( function ( styleMap ) {
+		getChildren( styleMap, 'Pair' ).forEach( function ( pair ) {
+			if ( getChildText( pair, 'key' ) === 'normal' && styleMap.getAttribute( 'id' ) ) {
+				styles[ '#' + styleMap.getAttribute( 'id' ) ] = styles[ getChildText( pair, 'styleUrl' ) ];
+			}
+		} );
+	} );
+
+	getDescendants( doc, 'Placemark' ).forEach( function ( placemark ) {
+		var geometry = combineGeometries( Array.prototype.concat.apply( [],
+			getChildren( placemark ).map( getKmlGeometries )
+		) );
+		if ( !geometry ) {
+			return;
+		}
+
+		var inlineStyle = getChildren( placemark, 'Style' )[ 0 ];
+		features.push( createFeature( geometry, $.extend(
+			{
+				title: getChildText( placemark, 'name' ),
+				description: getChildText( placemark, 'description' )
+			},
+			styles[ getChildText( placemark, 'styleUrl' ) ],
+			inlineStyle && getKmlStyle( inlineStyle )
+		) ) );
+	} );
+
+	return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * @private
+ * @param {string} text
+ * @param {string} delimiter
+ * @return {string[][]} Rows of cells, empty lines are skipped
+ */
+function splitCsv( text, delimiter ) {
+	var rows = [],
+		row = [],
+		cell = '',
+		inQuotes = false;
+
+	for ( var i = 0; i < text.length; i++ ) {
+		var character = text[ i ];
+		if ( inQuotes ) {
+			if ( character === '"' && text[ i + 1 ] === '"' ) {
+				cell += '"';
+				i++;
+			} else if ( character === '"' ) {
+				inQuotes = false;
+			} else {
+				cell += character;
+			}
+		} else if ( character === '"' ) {
+			inQuotes = true;
+		} else if ( character === delimiter ) {
+			row.push( cell );
+			cell = '';
+		} else if ( character === '\n' || character === '\r' ) {
+			if ( character === '\r' && text[ i + 1 ] === '\n' ) {
+				i++;
+			}
+			row.push( cell );
+			rows.push( row );
+			row = [];
+			cell = '';
+		} else {
+			cell += character;
+		}
+	}
+	row.push( cell );
+	rows.push( row );
+
+	return rows.filter( function ( cells ) {
+		return cells.some( function ( value ) {
+			return value.trim();
+		} );
+	} );
+}
+
+/**
+ * @private
+ * @param {string[]} columns Normalized column names
+ * @param {string[]} candidates Names to look for
+ * @return {number} Index of the first matching column, -1 if there is none
+ */
+function findColumn( columns, candidates ) {
+	for ( var i = 0; i < columns.length; i++ ) {
+		if ( candidates.indexOf( columns[ i ] ) !== -1 ) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Convert a table with one point per row.
+ *
+ * The first row must name the columns. Latitude and longitude columns are required, other
+ * columns named like simplestyle properties (or "name") are taken over. Commas, semicolons
+ * and tabs are recognized as delimiters.
+ *
+ * @param {string} text CSV document
+ * @return {Object} GeoJSON FeatureCollection
+ * @throws {Error} If there are no latitude and longitude columns
+ */
+function fromCsv( text ) {
+	var header = text.split( /\r?\n/, 1 )[ 0 ],
+		delimiter = [ ',', ';', '\t' ].reduce( function ( best, candidate ) {
+			return header.split( candidate ).length > header.split( best ).length ? candidate : best;
+		} ),
+		rows = splitCsv( text, delimiter ),
+		columns = ( rows.shift() || [] ).map( function ( name ) {
+			name = name.trim().toLowerCase();
+			return COLUMN_ALIASES[ name ] || name;
+		} ),
+		latColumn = findColumn( columns, LAT_COLUMNS ),
+		lonColumn = findColumn( columns, LON_COLUMNS );
+
+	if ( latColumn === -1 || lonColumn === -1 ) {
+		throw importError( 'parse' );
+	}
+
+	var features = rows.map( function ( cells ) {
+		var lat = parseFloat( cells[ latColumn ] ),
+			lon = parseFloat( cells[ lonColumn ] ),
+			properties = {};
+
+		if ( !isFinite( lat ) || !isFinite( lon ) ) {
+			return null;
+		}
+		columns.forEach( function ( name, i ) {
+			var value = ( cells[ i ] || '' ).trim();
+			if ( value && CSV_PROPERTIES.indexOf( name ) !== -1 ) {
+				properties[ name ] = value;
+			}
+		} );
+		return createFeature( { type: 'Point', coordinates: [ lon, lat ] }, properties );
+	} ).filter( Boolean );
+
+	return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * Find out the format of a file from its name, or from its content if that doesn't help.
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @return {string|null} "gpx", "kml", "csv" or null if unknown
+ */
+function detectFormat( fileName, text ) {
+	var extension = /\.(gpx|kml|csv|tsv|txt)$/i.exec( fileName || '' );
+	if ( extension ) {
+		return extension[ 1 ].toLowerCase() === 'gpx' || extension[ 1 ].toLowerCase() === 'kml' ?
+			extension[ 1 ].toLowerCase() :
+			'csv';
+	}
+	if ( /<gpx[\s>]/.test( text ) ) {
+		return 'gpx';
+	}
+	if ( /<kml[\s>]/.test( text ) ) {
+		return 'kml';
+	}
+	return null;
+}
+
+/**
+ * Convert a file of any supported format.
+ *
+ * @param {string} fileName Used to detect the format
+ * @param {string} text File contents
+ * @return {Object} GeoJSON FeatureCollection with at least one feature
+ * @throws {Error} With a `code` as described in {@link #readFile}
+ */
+function fromText( fileName, text ) {
+	var converters = { gpx: fromGpx, kml: fromKml, csv: fromCsv },
+		format = detectFormat( fileName, text );
+
+	if ( !format ) {
+		throw importError( 'format' );
+	}
+	var geoJson = converters[ format ]( text );
+	if ( !geoJson.features.length ) {
+		throw importError( 'empty' );
+	}
+	return geoJson;
+}
+
+/**
+ * Read and convert a file the user picked or dropped.
+ *
+ * The promise is rejected with one of these codes:
+ *
+ * - `read`: The file could not be read
+ * - `format`: The file is not GPX, KML or CSV
+ * - `parse`: The file is broken, or a CSV file without coordinate columns
+ * - `empty`: There is nothing in the file that could be shown on a map
+ *
+ * @param {File} file
+ * @return {jQuery.Promise} Resolved with a GeoJSON FeatureCollection
+ */
+function readFile( file ) {
+	var deferred = $.Deferred(),
+		reader = new FileReader();
+
+	reader.onload = function () {
+		try {
+			deferred.resolve( fromText( file.name, reader.result ) );
+		} catch ( e ) {
+			deferred.reject( e.code || 'parse' );
+		}
+	};
+	reader.onerror = function () {
+		deferred.reject( 'read' );
+	};
+	reader.readAsText( file );
+
+	return deferred.promise();
+}
+
+module.exports = {
+	fromGpx: fromGpx,
+	fromKml: fromKml,
+	fromCsv: fromCsv,
+	fromText: fromText,
+	readFile: readFile
+};
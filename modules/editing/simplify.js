@@ -0,0 +1,384 @@
+/**
+ * Reduces the size of GeoJSON geometries, by removing vertices that hardly change the shape
+ * and by rounding coordinates.
+ *
+ * Tolerances are in meters. Distances are measured in a local equirectangular projection of
+ * each line or ring, which is precise enough for anything that's sensible to draw by hand.
+ *
+ * @alternateClassName Simplify
+ * @class Kartographer.Editing.Simplify
+ * @singleton
+ */
+
+// Approximate length of one degree of latitude, and one degree of longitude at the equator
+var METERS_PER_DEGREE_LAT = 110574,
+	METERS_PER_DEGREE_LON = 111320;
+
+/**
+ * @private
+ * @param {number[][]} positions
+ * @return {number[][]} Projected points, in meters
+ */
+function project( positions ) {
+	var scaleX = METERS_PER_DEGREE_LON * Math.cos( positions[ 0 ][ 1 ] * Math.PI / 180 );
+	return positions.map( function ( position ) {
+		return [ position[ 0 ] * scaleX, position[ 1 ] * METERS_PER_DEGREE_LAT ];
+	} );
+}
+
+/**
+ * @private
+ * @param {number[]} p
+ * @param {number[]} a
+ * @param {number[]} b
+ * @return {number} Square of the distance of p to the segment from a to b
+ */
+function getSegmentDistanceSquared( p, a, b ) {
+	var x = a[ 0 ],
+		y = a[ 1 ],
+		dx = b[ 0 ] - x,
+		dy = b[ 1 ] - y;
+
+	if ( dx !== 0 || dy !== 0 ) {
+		var t = ( ( p[ 0 ] - x ) * dx + ( p[ 1 ] - y ) * dy ) / ( dx * dx + dy * dy );
+		if ( t > 1 ) {
+			x = b[ 0 ];
+			y = b[ 1 ];
+		} else if ( t > 0 ) {
+			x += dx * t;
+			y += dy * t;
+		}
+	}
+	dx = p[ 0 ] - x;
+	dy = p[ 1 ] - y;
+	return dx * dx + dy * dy;
+}
+
+/**
+ * @private
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number[]} c
+ * @return {number} Area of the triangle
+ */
+function getTriangleArea( a, b, c ) {
+	return Math.abs( ( b[ 0 ] - a[ 0 ] ) * ( c[ 1 ] - a[ 1 ] ) - ( c[ 0 ] - a[ 0 ] ) * ( b[ 1 ] - a[ 1 ] ) ) / 2;
+}
+
+/**
+ * Ramer–Douglas–Peucker: keep the vertex farthest from the simplified line, as long as it's
+ * farther away than the tolerance.
+ *
+ * @private
+ * @param {number[][]} points Projected points
+ * @param {number} tolerance
+ * @return {boolean[]} Which points to keep
+ */
+function douglasPeucker( points, tolerance ) {
+	var keep = points.map( function () {
+			return false;
+		} ),
+		stack = [ [ 0, points.length - 1 ] ],
+		toleranceSquared = tolerance * tolerance;
+
+	keep[ 0 ] = keep[ points.length - 1 ] = true;
+	while ( stack.length ) {
+		var range = stack.pop(),
+			maxDistance = 0,
+			index = -1;
+
+		for ( var i = range[ 0 ] + 1; i < range[ 1 ]; i++ ) {
+			var distance = getSegmentDistanceSquared( points[ i ], points[ range[ 0 ] ], points[ range[ 1 ] ] );
+			if ( distance > maxDistance ) {
+				maxDistance = distance;
+				index = i;
+			}
+		}
+		if ( maxDistance > toleranceSquared ) {
+			keep[ index ] = true;
+			stack.push( [ range[ 0 ], index ], [ index, range[ 1 ] ] );
+		}
+	}
+	return keep;
+}
+
+/**
+ * Visvalingam–Whyatt: repeatedly drop the vertex that forms the smallest triangle with its
+ * neighbours. The tolerance is turned into an area as if it was the height of a triangle with a
+ * base of the same length.
+ *
+ * @private
+ * @param {number[][]} points Projected points
+ * @param {number} tolerance
+ * @return {boolean[]} Which points to keep
+ */
+function visvalingam( points, tolerance ) {
+	var minArea = tolerance * tolerance / 2,
+		previous = [],
+		next = [],
+		areas = [],
+		heap = [],
+		keep = points.map( function ( point, vertex ) {
+			previous[ vertex ] = vertex - 1;
+			next[ vertex ] = vertex + 1;
+			return true;
+		} );
+
+	function heapLess( a, b ) {
+		return heap[ a ][ 0 ] < heap[ b ][ 0 ];
+	}
+
+	function heapSwap( a, b ) {
+		var tmp = heap[ a ];
+		heap[ a ] = heap[ b ];
+		heap[ b ] = tmp;
+	}
+
+	function heapPush( item ) {
+		heap.push( item );
+		for ( var pos = heap.length - 1; pos > 0; ) {
+			var parent = Math.floor( ( pos - 1 ) / 2 );
+			if ( !heapLess( pos, parent ) ) {
+				break;
+			}
+			heapSwap( pos, parent );
+			pos = parent;
+		}
+	}
+
+	function heapPop() {
+		var top = heap[ 0 ],
+			last = heap.pop();
+		if ( heap.length ) {
+			heap[ 0 ] = last;
+			for ( var pos = 0; ; ) {
+				var smallest = pos,
+					left = 2 * pos + 1,
+					right = left + 1;
+				if ( left < heap.length && heapLess( left, smallest ) ) {
+					smallest = left;
+				}
+				if ( right < heap.length && heapLess( right, smallest ) ) {
+					smallest = right;
+				}
+				if ( smallest === pos ) {
+					break;
+				}
+				heapSwap( pos, smallest );
+				pos = smallest;
+			}
+		}
+		return top;
+	}
+
+	function update( vertex ) {
+		// Stale heap entries are recognized by their outdated area
+		areas[ vertex ] = getTriangleArea( points[ previous[ vertex ] ], points[ vertex ], points[ next[ vertex ] ] );
+		heapPush( [ areas[ vertex ], vertex ] );
+	}
+
+	for ( var i = 1; i < points.length - 1; i++ ) {
+		update( i );
+	}
+	while ( heap.length ) {
+		var entry = heapPop(),
+			index = entry[ 1 ];
+		if ( !keep[ index ] || entry[ 0 ] !== areas[ index ] ) {
+			continue;
+		}
+		if ( entry[ 0 ] >= minArea ) {
+			break;
+		}
+		keep[ index ] = false;
+		next[ previous[ index ] ] = next[ index ];
+		previous[ next[ index ] ] = previous[ index ];
+		if ( previous[ index ] > 0 ) {
+			update( previous[ index ] );
+		}
+		if ( next[ index ] < points.length - 1 ) {
+			update( next[ index ] );
+		}
+	}
+	return keep;
+}
+
+/**
+ * @private
+ * @param {number[][]} positions Line or ring
+ * @param {Object} options See #simplify
+ * @param {number} minLength Lines need at least 2 positions, rings 4
+ * @return {number[][]}
+ */
+function simplifyPositions( positions, options, minLength ) {
+	var result = positions;
+
+	if ( options.tolerance > 0 && positions.length > minLength ) {
+		var keep = ( options.method === 'visvalingam' ? visvalingam : douglasPeucker )(
+			project( positions ),
+			options.tolerance
+		);
+		result = positions.filter( function ( position, i ) {
+			return keep[ i ];
+		} );
+	}
+
+	result = result.map( function ( position ) {
+		return roundPosition( position, options.decimals );
+	} ).filter( function ( position, i, rounded ) {
+		// Rounding can make neighbours equal
+		return i === 0 || position[ 0 ] !== rounded[ i - 1 ][ 0 ] || position[ 1 ] !== rounded[ i - 1 ][ 1 ];
+	} );
+
+	// Don't break the geometry, rather leave it alone
+	return result.length < Math.min( minLength, positions.length ) ? positions : result;
+}
+
+/**
+ * @private
+ * @param {number[]} position
+ * @param {number} [decimals] Keep all digits if not given
+ * @return {number[]}
+ */
+function roundPosition( position, decimals ) {
+	if ( decimals === undefined ) {
+		return position.slice();
+	}
+	var factor = Math.pow( 10, decimals );
+	return position.map( function ( value ) {
+		return Math.round( value * factor ) / factor;
+	} );
+}
+
+/**
+ * @private
+ * @param {Object} geometry
+ * @param {Object} options See #simplify
+ * @return {Object} New geometry
+ */
+function simplifyGeometry( geometry, options ) {
+	var copy = $.extend( {}, geometry );
+
+	function line( positions ) {
+		return simplifyPositions( positions, options, 2 );
+	}
+	function polygon( rings ) {
+		return rings.map( function ( ring ) {
+			return simplifyPositions( ring, options, 4 );
+		} );
+	}
+	function point( position ) {
+		return roundPosition( position, options.decimals );
+	}
+
+	switch ( geometry.type ) {
+		case 'Point':
+			copy.coordinates = point( geometry.coordinates );
+			break;
+		case 'MultiPoint':
+			copy.coordinates = geometry.coordinates.map( point );
+			break;
+		case 'LineString':
+			copy.coordinates = line( geometry.coordinates );
+			break;
+		case 'MultiLineString':
+			copy.coordinates = geometry.coordinates.map( line );
+			break;
+		case 'Polygon':
+			copy.coordinates = polygon( geometry.coordinates );
+			break;
+		case 'MultiPolygon':
+			copy.coordinates = geometry.coordinates.map( polygon );
+			break;
+		case 'GeometryCollection':
+			copy.geometries = geometry.geometries.map( function ( child ) {
+				return simplifyGeometry( child, options );
+			} );
+			break;
+	}
+	return copy;
+}
+
+/**
+ * Simplify all geometries in a GeoJSON object.
+ *
+ * @param {Object|Object[]} geoJson Is not modified
+ * @param {Object} options
+ * @param {string} [options.method='douglas-peucker'] "douglas-peucker" or "visvalingam"
+ * @param {number} [options.tolerance=0] In meters, 0 to not remove any vertices
+ * @param {number} [options.decimals] Number of decimals to round coordinates to, keep all
+ *  if not given
+ * @return {Object|Object[]} Simplified copy
+ */
+function simplify( geoJson, options ) {
+	if ( Array.isArray( geoJson ) ) {
+		return geoJson.map( function ( item ) {
+			return simplify( item, options );
+		} );
+	}
+	if ( !geoJson || typeof geoJson !== 'object' ) {
+		return geoJson;
+	}
+
+	var copy = $.extend( {}, geoJson );
+	switch ( geoJson.type ) {
+		case 'FeatureCollection':
+			copy.features = simplify( geoJson.features, options );
+			break;
+		case 'Feature':
+			copy.geometry = simplify( geoJson.geometry, options );
+			break;
+		default:
+			if ( geoJson.coordinates || geoJson.geometries ) {
+				copy = simplifyGeometry( geoJson, options );
+			}
+	}
+	return copy;
+}
+
+/**
+ * @param {Object|Object[]} geoJson
+ * @return {number} Number of positions in all geometries
+ */
+function countVertices( geoJson ) {
+	if ( Array.isArray( geoJson ) ) {
+		// Either a list of GeoJSON objects, or coordinates
+		return typeof geoJson[ 0 ] === 'number' ? 1 : geoJson.reduce( function ( sum, item ) {
+			return sum + countVertices( item );
+		}, 0 );
+	}
+	if ( !geoJson || typeof geoJson !== 'object' ) {
+		return 0;
+	}
+	return countVertices( geoJson.features || geoJson.geometries || [] ) +
+		countVertices( geoJson.geometry ) +
+		countVertices( geoJson.coordinates || [] );
+}
+
+/**
+ * @param {string} text
+ * @return {number} Size of the text in UTF-8, as counted for wikitext size limits
+ */
+function getByteLength( text ) {
+	var bytes = 0;
+	for ( var i = 0; i < text.length; i++ ) {
+		var code = text.charCodeAt( i );
+		if ( code < 0x80 ) {
+			bytes += 1;
+		} else if ( code < 0x800 ) {
+			bytes += 2;
+		} else if ( code >= 0xD800 && code < 0xDC00 ) {
+			// Surrogate pair, together they take 4 bytes
+			bytes += 4;
+			i++;
+		} else {
+			bytes += 3;
+		}
+	}
+	return bytes;
+}
+
+module.exports = {
+	simplify: simplify,
+	countVertices: countVertices,
+	getByteLength: getByteLength
+};
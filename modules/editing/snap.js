@@ -0,0 +1,302 @@
+/**
+ * Snapping of new and moved vertices to the vertices and edges of other features, and merging
+ * of vertices that are meant to be shared, e.g. along the border of two districts.
+ *
+ * leaflet.draw has no API to change positions while drawing, so some of its handlers are
+ * wrapped. This only has an effect on maps that have snapping turned on with #setEnabled.
+ *
+ * @alternateClassName Snap
+ * @class Kartographer.Editing.Snap
+ * @singleton
+ */
+
+// Same approximation as used for simplifying
+var METERS_PER_DEGREE_LAT = 110574,
+	METERS_PER_DEGREE_LON = 111320,
+	installed = false;
+
+/**
+ * Call a function for each vertex and each edge of a layer.
+ *
+ * @private
+ * @param {L.Layer} layer
+ * @param {Function} onVertex Called with the L.LatLng of each vertex
+ * @param {Function} onEdge Called with the two L.LatLng of each edge
+ */
+function eachVertexAndEdge( layer, onVertex, onEdge ) {
+	function walk( latLngs, isRing ) {
+		if ( latLngs.length && Array.isArray( latLngs[ 0 ] ) ) {
+			latLngs.forEach( function ( child ) {
+				walk( child, isRing );
+			} );
+			return;
+		}
+		latLngs.forEach( function ( latLng, i ) {
+			onVertex( latLng );
+			if ( i > 0 ) {
+				onEdge( latLngs[ i - 1 ], latLng );
+			}
+		} );
+		if ( isRing && latLngs.length > 2 ) {
+			onEdge( latLngs[ latLngs.length - 1 ], latLngs[ 0 ] );
+		}
+	}
+
+	if ( layer instanceof L.LayerGroup ) {
+		layer.eachLayer( function ( child ) {
+			eachVertexAndEdge( child, onVertex, onEdge );
+		} );
+	} else if ( layer instanceof L.Polyline ) {
+		walk( layer.getLatLngs(), layer instanceof L.Polygon );
+	} else if ( layer.getLatLng ) {
+		onVertex( layer.getLatLng() );
+	}
+}
+
+/**
+ * Find the position to snap to.
+ *
+ * Vertices win over edges, so shared vertices are created whenever possible.
+ *
+ * @param {L.Map} map
+ * @param {L.Layer} layer Layer with the features to snap to
+ * @param {L.LatLng} latLng Position to snap
+ * @param {number} tolerance Maximum distance to snap over, in pixels
+ * @param {L.LatLng} [exclude] Vertex that is being moved, it can't snap to itself or the edges
+ *  it is part of
+ * @return {L.LatLng} The snapped position, or the original one if there's nothing to snap to
+ */
+function snapLatLng( map, layer, latLng, tolerance, exclude ) {
+	// Layer points are rounded, which is too imprecise
+	var point = map.project( latLng ),
+		vertex = null,
+		vertexDistance = tolerance,
+		edgePoint = null,
+		edgeDistance = tolerance;
+
+	eachVertexAndEdge( layer, function ( candidate ) {
+		if ( candidate === exclude ) {
+			return;
+		}
+		var distance = map.project( candidate ).distanceTo( point );
+		if ( distance <= vertexDistance ) {
+			vertex = candidate;
+			vertexDistance = distance;
+		}
+	}, function ( a, b ) {
+		if ( a === exclude || b === exclude ) {
+			return;
+		}
+		var closest = L.LineUtil.closestPointOnSegment(
+				point,
+				map.project( a ),
+				map.project( b )
+			),
+			distance = closest.distanceTo( point );
+		if ( distance <= edgeDistance ) {
+			edgePoint = closest;
+			edgeDistance = distance;
+		}
+	} );
+
+	if ( vertex ) {
+		// Exactly the same coordinates, but not the same object
+		return L.latLng( vertex.lat, vertex.lng );
+	}
+	return edgePoint ? map.unproject( edgePoint ) : latLng;
+}
+
+/**
+ * @private
+ * @param {L.Map} map
+ * @param {L.LatLng} latLng
+ * @param {L.LatLng} [exclude]
+ * @return {L.LatLng}
+ */
+function snapIfEnabled( map, latLng, exclude ) {
+	var options = map && map.kartographerSnapping;
+	return options ? snapLatLng( map, options.layer, latLng, options.tolerance, exclude ) : latLng;
+}
+
+/**
+ * @private
+ * @param {Object} proto
+ * @param {string} name
+ * @param {Function} wrapper Called with the original method, followed by its arguments
+ */
+function wrap( proto, name, wrapper ) {
+	var original = proto[ name ];
+	proto[ name ] = function () {
+		return wrapper.apply( this, [ original ].concat( Array.prototype.slice.call( arguments ) ) );
+	};
+}
+
+/**
+ * @private
+ */
+function install() {
+	if ( installed ) {
+		return;
+	}
+	installed = true;
+
+	/* eslint-disable no-underscore-dangle */
+	wrap( L.Draw.Polyline.prototype, 'addVertex', function ( original, latLng ) {
+		return original.call( this, snapIfEnabled( this._map, latLng ) );
+	} );
+	// Let the guide line end where the next vertex would be added
+	wrap( L.Draw.Polyline.prototype, '_updateGuide', function ( original, newPos ) {
+		if ( newPos && this._map.kartographerSnapping ) {
+			newPos = this._map.latLngToLayerPoint(
+				snapIfEnabled( this._map, this._map.layerPointToLatLng( newPos ) )
+			);
+		}
+		return original.call( this, newPos );
+	} );
+	// Includes circle markers
+	wrap( L.Draw.Marker.prototype, '_onMouseMove', function ( original, e ) {
+		return original.call( this, $.extend( {}, e, { latlng: snapIfEnabled( this._map, e.latlng ) } ) );
+	} );
+	wrap( L.Edit.PolyVerticesEdit.prototype, '_onMarkerDrag', function ( original, e ) {
+		var marker = e.target,
+			snapped = snapIfEnabled( this._poly._map, marker.getLatLng(), marker._origLatLng );
+		if ( snapped !== marker.getLatLng() ) {
+			marker.setLatLng( snapped );
+		}
+		return original.call( this, e );
+	} );
+	// Called with the marker as context
+	wrap( L.Edit.Marker.prototype, '_onDragEnd', function ( original, e ) {
+		var snapped = snapIfEnabled( this._map, this.getLatLng(), this.getLatLng() );
+		if ( snapped !== this.getLatLng() ) {
+			this.setLatLng( snapped );
+		}
+		return original.call( this, e );
+	} );
+	/* eslint-enable no-underscore-dangle */
+}
+
+/**
+ * Turn snapping on or off for drawing and editing on a map.
+ *
+ * @param {L.Map} map
+ * @param {L.Layer|null} layer Layer with the features to snap to, null to turn snapping off
+ * @param {number} [tolerance=10] Maximum distance to snap over, in pixels
+ */
+function setEnabled( map, layer, tolerance ) {
+	install();
+	map.kartographerSnapping = layer ? { layer: layer, tolerance: tolerance || 10 } : null;
+}
+
+/**
+ * @private
+ * @param {number[]} a
+ * @param {number[]} b
+ * @return {number} Approximate distance in meters
+ */
+function getDistance( a, b ) {
+	var dx = ( a[ 0 ] - b[ 0 ] ) * METERS_PER_DEGREE_LON * Math.cos( ( a[ 1 ] + b[ 1 ] ) / 2 * Math.PI / 180 ),
+		dy = ( a[ 1 ] - b[ 1 ] ) * METERS_PER_DEGREE_LAT;
+	return Math.sqrt( dx * dx + dy * dy );
+}
+
+/**
+ * Give vertices that are close to each other exactly the same coordinates.
+ *
+ * Each vertex is moved to the first vertex within the tolerance. Vertices of the same line or
+ * ring that end up in the same place are dropped, as long as that doesn't break the geometry.
+ *
+ * @param {Object[]} features GeoJSON Features, are not modified
+ * @param {number} tolerance In meters
+ * @param {Function} [filter] Called with each feature, return false to leave it alone
+ * @return {Object} Result
+ * @return {Object[]} return.features Copy of the features with merged vertices
+ * @return {number} return.merged Number of vertices that were moved
+ */
+function mergeVertices( features, tolerance, filter ) {
+	var anchors = [],
+		// Buckets of anchors, keyed by latitude, for less comparing
+		buckets = {},
+		bucketSize = Math.max( tolerance / METERS_PER_DEGREE_LAT, 1e-9 ),
+		merged = 0;
+
+	function merge( position ) {
+		var row = Math.floor( position[ 1 ] / bucketSize );
+		for ( var r = row - 1; r <= row + 1; r++ ) {
+			var bucket = buckets[ r ] || [];
+			for ( var i = 0; i < bucket.length; i++ ) {
+				var anchor = anchors[ bucket[ i ] ];
+				if ( getDistance( anchor, position ) <= tolerance ) {
+					if ( anchor[ 0 ] !== position[ 0 ] || anchor[ 1 ] !== position[ 1 ] ) {
+						merged++;
+					}
+					return anchor.concat( position.slice( 2 ) );
+				}
+			}
+		}
+		buckets[ row ] = buckets[ row ] || [];
+		buckets[ row ].push( anchors.length );
+		anchors.push( position.slice( 0, 2 ) );
+		return position.slice();
+	}
+
+	function line( positions, minLength ) {
+		var mapped = positions.map( merge ),
+			result = mapped.filter( function ( position, i ) {
+				return i === 0 || position[ 0 ] !== mapped[ i - 1 ][ 0 ] || position[ 1 ] !== mapped[ i - 1 ][ 1 ];
+			} );
+		return result.length < Math.min( minLength, positions.length ) ? mapped : result;
+	}
+
+	function geometry( geom ) {
+		var copy = $.extend( {}, geom );
+		switch ( geom.type ) {
+			case 'Point':
+				copy.coordinates = merge( geom.coordinates );
+				break;
+			case 'MultiPoint':
+				copy.coordinates = geom.coordinates.map( merge );
+				break;
+			case 'LineString':
+				copy.coordinates = line( geom.coordinates, 2 );
+				break;
+			case 'MultiLineString':
+				copy.coordinates = geom.coordinates.map( function ( positions ) {
+					return line( positions, 2 );
+				} );
+				break;
+			case 'Polygon':
+				copy.coordinates = geom.coordinates.map( function ( ring ) {
+					return line( ring, 4 );
+				} );
+				break;
+			case 'MultiPolygon':
+				copy.coordinates = geom.coordinates.map( function ( rings ) {
+					return rings.map( function ( ring ) {
+						return line( ring, 4 );
+					} );
+				} );
+				break;
+			case 'GeometryCollection':
+				copy.geometries = geom.geometries.map( geometry );
+				break;
+		}
+		return copy;
+	}
+
+	return {
+		features: features.map( function ( feature ) {
+			if ( !feature.geometry || ( filter && !filter( feature ) ) ) {
+				return feature;
+			}
+			return $.extend( {}, feature, { geometry: geometry( feature.geometry ) } );
+		} ),
+		merged: merged
+	};
+}
+
+module.exports = {
+	snapLatLng: snapLatLng,
+	setEnabled: setEnabled,
+	mergeVertices: mergeVertices
+};
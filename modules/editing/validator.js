@@ -0,0 +1,679 @@
+/**
+ * Client-side GeoJSON validator.
+ *
+ * Checks GeoJSON text against the same JSON schema the `sanitize-mapdata`
+ * API uses (schemas/geojson.json), and lints it for common mistakes the
+ * schema can't express, like unclosed polygon rings or swapped coordinates.
+ *
+ * Each problem is reported with its position in the text, so editors can
+ * fix it before anything is sent to the server.
+ *
+ * @alternateClassName Validator
+ * @class Kartographer.Editing.Validator
+ * @singleton
+ */
+var schema = require( '../../schemas/geojson.json' ),
+	simplestyleProperties = Object.keys( schema.definitions.simplestyle.properties ),
+	/**
+	 * Properties written by the map editor itself, see Kartographer.Editing.Circle.
+	 *
+	 * @private
+	 */
+	EDITOR_PROPERTIES = [ 'circle-center', 'circle-radius', 'circle-segments' ],
+	/**
+	 * Properties used to tell the different kinds of GeoJSON objects apart.
+	 *
+	 * @private
+	 */
+	DISCRIMINATORS = [ 'type', 'service' ];
+
+/**
+ * A problem found in a GeoJSON text.
+ *
+ * @class Kartographer.Editing.Validator.Problem
+ * @property {string} severity Either `error` or `warning`
+ * @property {string} code Problem identifier, see {@link Kartographer.Editing.Validator#getMessage}
+ * @property {Array} params Message parameters
+ * @property {string} pointer JSON pointer (RFC 6901) to the offending value
+ * @property {number} line 1-based line number
+ * @property {number} column 1-based column number
+ */
+
+/**
+ * @param {string} token
+ * @return {string}
+ * @private
+ */
+function escapePointerToken( token ) {
+	return String( token ).replace( /~/g, '~0' ).replace( /\//g, '~1' );
+}
+
+/**
+ * @param {string} pointer
+ * @return {number}
+ * @private
+ */
+function getPointerDepth( pointer ) {
+	return pointer ? pointer.split( '/' ).length - 1 : 0;
+}
+
+/**
+ * Parses JSON text, remembering where each value starts.
+ *
+ * Like the server (see FormatJson::TRY_FIXING and FormatJson::STRIP_COMMENTS),
+ * this tolerates comments and trailing commas.
+ *
+ * @param {string} text
+ * @return {Object}
+ * @return {*} return.value Parsed value
+ * @return {Object} return.positions Map of JSON pointers to `{ line, column }` objects
+ * @throws {Error} With the syntax problem as `problem`, see {@link #validate}
+ * @private
+ */
+function parseWithPositions( text ) {
+	var pos = 0,
+		line = 1,
+		lineStart = 0,
+		positions = {};
+
+	function location() {
+		return { line: line, column: pos - lineStart + 1 };
+	}
+
+	function fail( code, params ) {
+		var loc = location(),
+			error = new Error( 'Invalid JSON: ' + code );
+		error.problem = {
+			severity: 'error',
+			code: code,
+			params: params || [],
+			pointer: '',
+			line: loc.line,
+			column: loc.column
+		};
+		throw error;
+	}
+
+	function skipWhitespace() {
+		while ( pos < text.length ) {
+			var ch = text[ pos ];
+			if ( ch === '\n' ) {
+				pos++;
+				line++;
+				lineStart = pos;
+			} else if ( ch === ' ' || ch === '\t' || ch === '\r' ) {
+				pos++;
+			} else if ( ch === '/' && text[ pos + 1 ] === '/' ) {
+				while ( pos < text.length && text[ pos ] !== '\n' ) {
+					pos++;
+				}
+			} else if ( ch === '/' && text[ pos + 1 ] === '*' ) {
+				var end = text.indexOf( '*/', pos + 2 );
+				if ( end === -1 ) {
+					pos = text.length;
+					fail( 'json-eof' );
+				}
+				for ( ; pos < end + 2; pos++ ) {
+					if ( text[ pos ] === '\n' ) {
+						line++;
+						lineStart = pos + 1;
+					}
+				}
+			} else {
+				break;
+			}
+		}
+	}
+
+	function unexpected() {
+		if ( pos >= text.length ) {
+			fail( 'json-eof' );
+		}
+		fail( 'json-syntax', [ text[ pos ] ] );
+	}
+
+	function expect( ch ) {
+		skipWhitespace();
+		if ( text[ pos ] !== ch ) {
+			unexpected();
+		}
+		pos++;
+	}
+
+	function parseString() {
+		var start = pos;
+		pos++;
+		while ( pos < text.length && text[ pos ] !== '"' ) {
+			if ( text[ pos ] === '\n' ) {
+				fail( 'json-syntax', [ '\\n' ] );
+			}
+			pos += text[ pos ] === '\\' ? 2 : 1;
+		}
+		if ( pos >= text.length ) {
+			fail( 'json-eof' );
+		}
+		pos++;
+		try {
+			return JSON.parse( text.slice( start, pos ) );
+		} catch ( e ) {
+			pos = start;
+			return fail( 'json-syntax', [ '"' ] );
+		}
+	}
+
+	function parseLiteral() {
+		var match = /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec( text.slice( pos, pos + 400 ) );
+		if ( !match ) {
+			unexpected();
+		}
+		pos += match[ 0 ].length;
+		return JSON.parse( match[ 0 ] );
+	}
+
+	function parseValue( pointer ) {
+		var value, index, key;
+
+		skipWhitespace();
+		positions[ pointer ] = location();
+
+		switch ( text[ pos ] ) {
+			case '{':
+				pos++;
+				value = {};
+				skipWhitespace();
+				while ( text[ pos ] !== '}' ) {
+					if ( text[ pos ] !== '"' ) {
+						unexpected();
+					}
+					key = parseString();
+					expect( ':' );
+					value[ key ] = parseValue( pointer + '/' + escapePointerToken( key ) );
+					skipWhitespace();
+					if ( text[ pos ] === ',' ) {
+						pos++;
+						skipWhitespace();
+					} else if ( text[ pos ] !== '}' ) {
+						unexpected();
+					}
+				}
+				pos++;
+				return value;
+			case '[':
+				pos++;
+				value = [];
+				index = 0;
+				skipWhitespace();
+				while ( text[ pos ] !== ']' ) {
+					value.push( parseValue( pointer + '/' + index++ ) );
+					skipWhitespace();
+					if ( text[ pos ] === ',' ) {
+						pos++;
+						skipWhitespace();
+					} else if ( text[ pos ] !== ']' ) {
+						unexpected();
+					}
+				}
+				pos++;
+				return value;
+			case '"':
+				return parseString();
+			default:
+				return parseLiteral();
+		}
+	}
+
+	var result = parseValue( '' );
+	skipWhitespace();
+	if ( pos < text.length ) {
+		unexpected();
+	}
+	return { value: result, positions: positions };
+}
+
+/**
+ * @param {*} value
+ * @return {string} JSON schema type name
+ * @private
+ */
+function getType( value ) {
+	if ( value === null ) {
+		return 'null';
+	} else if ( Array.isArray( value ) ) {
+		return 'array';
+	}
+	return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type JSON schema type name
+ * @return {boolean}
+ * @private
+ */
+function isOfType( value, type ) {
+	if ( type === 'integer' ) {
+		return typeof value === 'number' && Math.floor( value ) === value;
+	}
+	return getType( value ) === type;
+}
+
+/**
+ * @param {string} ref Local reference, e.g. `#/definitions/feature`
+ * @return {Object} Schema node
+ * @private
+ */
+function resolveRef( ref ) {
+	return ref.slice( 2 ).split( '/' ).reduce( function ( node, token ) {
+		return node[ token ];
+	}, schema );
+}
+
+/**
+ * @param {string} code
+ * @param {string} pointer
+ * @param {Array} [params]
+ * @return {Object} Problem without a position
+ * @private
+ */
+function schemaError( code, pointer, params ) {
+	return { severity: 'error', code: code, params: params || [], pointer: pointer };
+}
+
+/**
+ * Picks the most relevant errors when a value matches none of the `oneOf` or
+ * `anyOf` alternatives.
+ *
+ * Alternatives that fail on a discriminating property (e.g. `type`) are
+ * least relevant. Otherwise the alternative that got the furthest into the
+ * value wins, because it most likely describes what the editor intended.
+ *
+ * @param {Array[]} branchErrors List of errors for each alternative
+ * @param {string} pointer JSON pointer to the value
+ * @return {Object[]}
+ * @private
+ */
+function pickBestBranchErrors( branchErrors, pointer ) {
+	var discriminatorPointers = DISCRIMINATORS.map( function ( key ) {
+			return pointer + '/' + key;
+		} ),
+		scored = branchErrors.map( function ( errors ) {
+			// Failing on `type` is worse than failing on `service`
+			var mismatch = 0;
+			errors.forEach( function ( error ) {
+				var index = discriminatorPointers.indexOf( error.pointer );
+				if ( error.code === 'enum' && index !== -1 ) {
+					mismatch = Math.max( mismatch, DISCRIMINATORS.length - index );
+				}
+			} );
+			return {
+				errors: errors,
+				mismatch: mismatch,
+				depth: Math.max.apply( null, errors.map( function ( error ) {
+					// Missing properties are "located" where the property should be
+					return getPointerDepth( error.pointer ) + ( error.code === 'required' ? 1 : 0 );
+				} ) )
+			};
+		} );
+
+	scored.sort( function ( a, b ) {
+		return ( a.mismatch - b.mismatch ) ||
+			( b.depth - a.depth ) ||
+			( a.errors.length - b.errors.length );
+	} );
+
+	var best = scored[ 0 ];
+	if ( best.mismatch ) {
+		// The discriminator matches none of the alternatives, list all allowed values
+		var enumPointer = discriminatorPointers[ DISCRIMINATORS.length - best.mismatch ],
+			allowed = [];
+		scored.forEach( function ( branch ) {
+			branch.errors.forEach( function ( error ) {
+				if ( error.code === 'enum' && error.pointer === enumPointer ) {
+					error.params[ 0 ].split( ', ' ).forEach( function ( value ) {
+						if ( allowed.indexOf( value ) === -1 ) {
+							allowed.push( value );
+						}
+					} );
+				}
+			} );
+		} );
+		return [ schemaError( 'enum', enumPointer, [ allowed.join( ', ' ) ] ) ];
+	}
+	return best.errors;
+}
+
+/**
+ * Validates a value against a node of the JSON schema.
+ *
+ * Only the subset of JSON schema draft 4 used by schemas/geojson.json is
+ * supported.
+ *
+ * @param {*} value
+ * @param {Object} node Schema node
+ * @param {string} pointer JSON pointer to the value
+ * @return {Object[]} Errors
+ * @private
+ */
+function validateSchema( value, node, pointer ) {
+	var errors = [],
+		type = getType( value ),
+		i;
+
+	if ( node.$ref ) {
+		return validateSchema( value, resolveRef( node.$ref ), pointer );
+	}
+
+	if ( node.type ) {
+		var types = Array.isArray( node.type ) ? node.type : [ node.type ];
+		if ( !types.some( isOfType.bind( null, value ) ) ) {
+			return [ schemaError( 'type', pointer, [ types.join( ', ' ), type ] ) ];
+		}
+	}
+
+	if ( node.enum && node.enum.indexOf( value ) === -1 ) {
+		errors.push( schemaError( 'enum', pointer, [ node.enum.join( ', ' ) ] ) );
+	}
+
+	if ( type === 'object' ) {
+		( node.required || [] ).forEach( function ( key ) {
+			if ( !Object.prototype.hasOwnProperty.call( value, key ) ) {
+				errors.push( schemaError( 'required', pointer, [ key ] ) );
+			}
+		} );
+		Object.keys( value ).forEach( function ( key ) {
+			var childPointer = pointer + '/' + escapePointerToken( key );
+			if ( node.properties && node.properties[ key ] ) {
+				errors = errors.concat( validateSchema( value[ key ], node.properties[ key ], childPointer ) );
+			} else if ( node.additionalProperties === false ) {
+				errors.push( schemaError( 'additional-property', childPointer, [ key ] ) );
+			}
+		} );
+	}
+
+	if ( type === 'array' ) {
+		if ( node.minItems !== undefined && value.length < node.minItems ) {
+			errors.push( schemaError( 'min-items', pointer, [ node.minItems ] ) );
+		}
+		if ( node.items ) {
+			for ( i = 0; i < value.length; i++ ) {
+				errors = errors.concat( validateSchema( value[ i ], node.items, pointer + '/' + i ) );
+			}
+		}
+	}
+
+	if ( type === 'number' ) {
+		if ( node.minimum !== undefined && value < node.minimum ) {
+			errors.push( schemaError( 'minimum', pointer, [ node.minimum ] ) );
+		}
+		if ( node.maximum !== undefined && value > node.maximum ) {
+			errors.push( schemaError( 'maximum', pointer, [ node.maximum ] ) );
+		}
+	}
+
+	if ( type === 'string' && node.pattern && !new RegExp( node.pattern ).test( value ) ) {
+		errors.push( schemaError( 'pattern', pointer, [ value ] ) );
+	}
+
+	( node.allOf || [] ).forEach( function ( subNode ) {
+		errors = errors.concat( validateSchema( value, subNode, pointer ) );
+	} );
+
+	[ 'anyOf', 'oneOf' ].forEach( function ( keyword ) {
+		if ( !node[ keyword ] ) {
+			return;
+		}
+		var branchErrors = node[ keyword ].map( function ( subNode ) {
+				return validateSchema( value, subNode, pointer );
+			} ),
+			matches = branchErrors.filter( function ( branch ) {
+				return !branch.length;
+			} ).length;
+
+		if ( !matches ) {
+			errors = errors.concat( pickBestBranchErrors( branchErrors, pointer ) );
+		} else if ( keyword === 'oneOf' && matches > 1 ) {
+			errors.push( schemaError( 'ambiguous', pointer ) );
+		}
+	} );
+
+	return errors;
+}
+
+/**
+ * @param {*} position
+ * @return {boolean}
+ * @private
+ */
+function isPosition( position ) {
+	return Array.isArray( position ) && position.length >= 2 &&
+		typeof position[ 0 ] === 'number' && typeof position[ 1 ] === 'number';
+}
+
+/**
+ * Lints a GeoJSON object that already passed schema validation.
+ *
+ * @param {Object} geoJSON
+ * @param {string} pointer
+ * @param {Object[]} problems List to add the problems to
+ * @private
+ */
+function lint( geoJSON, pointer, problems ) {
+	var reported = {};
+
+	function report( severity, code, problemPointer, params, once ) {
+		// Some mistakes repeat on every vertex, only report these once per geometry
+		if ( once ) {
+			if ( reported[ code ] ) {
+				return;
+			}
+			reported[ code ] = true;
+		}
+		problems.push( {
+			severity: severity,
+			code: code,
+			params: params || [],
+			pointer: problemPointer
+		} );
+	}
+
+	function lintPosition( position, positionPointer ) {
+		var lng = position[ 0 ],
+			lat = position[ 1 ];
+
+		if ( Math.abs( lat ) > 90 ) {
+			if ( Math.abs( lng ) <= 90 ) {
+				report( 'error', 'coordinates-swapped', positionPointer, [ lng, lat ], true );
+			} else {
+				report( 'error', 'latitude-range', positionPointer, [ lat ], true );
+			}
+		} else if ( Math.abs( lng ) > 180 ) {
+			report( 'warning', 'longitude-range', positionPointer, [ lng ], true );
+		}
+	}
+
+	function lintPositions( positions, positionsPointer, depth ) {
+		if ( !Array.isArray( positions ) ) {
+			return;
+		}
+		if ( depth === 0 ) {
+			if ( isPosition( positions ) ) {
+				lintPosition( positions, positionsPointer );
+			}
+			return;
+		}
+		positions.forEach( function ( child, i ) {
+			lintPositions( child, positionsPointer + '/' + i, depth - 1 );
+		} );
+	}
+
+	function lintRings( rings, ringsPointer ) {
+		( Array.isArray( rings ) ? rings : [] ).forEach( function ( ring, i ) {
+			var first = ring[ 0 ],
+				last = ring[ ring.length - 1 ];
+			if ( isPosition( first ) && isPosition( last ) &&
+				( first[ 0 ] !== last[ 0 ] || first[ 1 ] !== last[ 1 ] )
+			) {
+				report( 'warning', 'ring-unclosed', ringsPointer + '/' + i );
+			}
+		} );
+	}
+
+	function lintProperties( properties, propertiesPointer ) {
+		if ( getType( properties ) !== 'object' ) {
+			return;
+		}
+		Object.keys( properties ).forEach( function ( key ) {
+			if ( simplestyleProperties.indexOf( key ) === -1 && EDITOR_PROPERTIES.indexOf( key ) === -1 ) {
+				report( 'warning', 'unknown-property', propertiesPointer + '/' + escapePointerToken( key ), [ key ] );
+			}
+		} );
+	}
+
+	if ( getType( geoJSON ) !== 'object' ) {
+		return;
+	}
+
+	var coordinates = geoJSON.coordinates,
+		coordinatesPointer = pointer + '/coordinates';
+
+	switch ( geoJSON.type ) {
+		case 'Point':
+			lintPositions( coordinates, coordinatesPointer, 0 );
+			break;
+		case 'MultiPoint':
+		case 'LineString':
+			lintPositions( coordinates, coordinatesPointer, 1 );
+			break;
+		case 'MultiLineString':
+			lintPositions( coordinates, coordinatesPointer, 2 );
+			break;
+		case 'Polygon':
+			lintRings( coordinates, coordinatesPointer );
+			lintPositions( coordinates, coordinatesPointer, 2 );
+			break;
+		case 'MultiPolygon':
+			( Array.isArray( coordinates ) ? coordinates : [] ).forEach( function ( polygon, i ) {
+				lintRings( polygon, coordinatesPointer + '/' + i );
+			} );
+			lintPositions( coordinates, coordinatesPointer, 3 );
+			break;
+		case 'GeometryCollection':
+			( geoJSON.geometries || [] ).forEach( function ( geometry, i ) {
+				lint( geometry, pointer + '/geometries/' + i, problems );
+			} );
+			break;
+		case 'Feature':
+			lintProperties( geoJSON.properties, pointer + '/properties' );
+			lint( geoJSON.geometry, pointer + '/geometry', problems );
+			break;
+		case 'FeatureCollection':
+			( geoJSON.features || [] ).forEach( function ( feature, i ) {
+				lint( feature, pointer + '/features/' + i, problems );
+			} );
+			break;
+		case 'ExternalData':
+			lintProperties( geoJSON.properties, pointer + '/properties' );
+			break;
+	}
+}
+
+/**
+ * Validates and lints GeoJSON text.
+ *
+ * The text may contain a single GeoJSON object or an array of them. An empty
+ * text is valid.
+ *
+ * @param {string} text
+ * @return {Kartographer.Editing.Validator.Problem[]} Problems, sorted by position
+ */
+function validate( text ) {
+	var parsed;
+
+	if ( !text.trim() ) {
+		return [];
+	}
+
+	try {
+		parsed = parseWithPositions( text );
+	} catch ( err ) {
+		if ( !err.problem ) {
+			throw err;
+		}
+		return [ err.problem ];
+	}
+
+	var isArray = Array.isArray( parsed.value ),
+		data = isArray ? parsed.value : [ parsed.value ],
+		problems = [];
+
+	data.forEach( function ( geoJSON, i ) {
+		var pointer = isArray ? '/' + i : '',
+			errors = validateSchema( geoJSON, schema.definitions.root, pointer );
+
+		if ( errors.length ) {
+			problems = problems.concat( errors );
+		} else {
+			lint( geoJSON, pointer, problems );
+		}
+	} );
+
+	problems.forEach( function ( problem ) {
+		// Fall back to the closest parent that has a known position
+		var pointer = problem.pointer;
+		while ( !parsed.positions[ pointer ] ) {
+			pointer = pointer.slice( 0, pointer.lastIndexOf( '/' ) );
+		}
+		problem.line = parsed.positions[ pointer ].line;
+		problem.column = parsed.positions[ pointer ].column;
+	} );
+
+	return problems.sort( function ( a, b ) {
+		return ( a.line - b.line ) || ( a.column - b.column );
+	} );
+}
+
+/**
+ * Checks whether a list of problems contains errors, as opposed to only warnings.
+ *
+ * @param {Kartographer.Editing.Validator.Problem[]} problems
+ * @return {boolean}
+ */
+function hasErrors( problems ) {
+	return problems.some( function ( problem ) {
+		return problem.severity === 'error';
+	} );
+}
+
+/**
+ * Formats a problem as a localized, human readable message.
+ *
+ * @param {Kartographer.Editing.Validator.Problem} problem
+ * @return {string} Plain text
+ */
+function getMessage( problem ) {
+	// Messages that can be used here:
+	// * kartographer-validator-ambiguous
+	// * kartographer-validator-additional-property
+	// * kartographer-validator-coordinates-swapped
+	// * kartographer-validator-enum
+	// * kartographer-validator-json-eof
+	// * kartographer-validator-json-syntax
+	// * kartographer-validator-latitude-range
+	// * kartographer-validator-longitude-range
+	// * kartographer-validator-maximum
+	// * kartographer-validator-min-items
+	// * kartographer-validator-minimum
+	// * kartographer-validator-pattern
+	// * kartographer-validator-required
+	// * kartographer-validator-ring-unclosed
+	// * kartographer-validator-type
+	// * kartographer-validator-unknown-property
+	var message = mw.message.apply( mw, [ 'kartographer-validator-' + problem.code ].concat( problem.params ) ).text();
+	return mw.msg( 'kartographer-validator-location', problem.line, problem.column, message );
+}
+
+module.exports = {
+	validate: validate,
+	hasErrors: hasErrors,
+	getMessage: getMessage
+};
@@ -18,6 +18,10 @@
  * @param {Array|L.LatLng} [options.center] **Initial map center.**
  * @param {number} [options.zoom] **Initial map zoom.**
  * @param {string} [options.lang] Language code
+ * @param {boolean} [options.cluster=false] Whether to cluster the point features of each data
+ *   group, see {@link Kartographer.Box.MapClass#constructor}
+ * @param {Object.<string,Object>} [options.rendering] How to draw the data groups, by group id,
+ *   see {@link Kartographer.Box.MapClass#constructor}
  * @param {string} [options.fullScreenRoute] Route associated to this map
  *   _(internal, used by "`<maplink>`")_.
  * @member Kartographer.Linkbox.LinkClass
@@ -53,6 +57,8 @@ function Link( options ) {
 	link.captionText = options.captionText || '';
 	link.dataGroups = options.dataGroups;
 	link.data = options.data;
+	link.cluster = !!options.cluster;
+	link.rendering = options.rendering;
 	link.featureType = options.featureType;
 
 	/**
@@ -77,9 +83,11 @@ function Link( options ) {
  * **Uses Resource Loader module: {@link Kartographer.Dialog ext.kartographer.dialog}**
  *
  * @param {Object} [position] Map `center` and `zoom`.
+ * @param {string} [selector] Feature to show, with its popup open, see
+ *  {@link Kartographer.Box.FeatureSelector}
  * @member Kartographer.Linkbox.LinkClass
  */
-Link.prototype.openFullScreen = function ( position ) {
+Link.prototype.openFullScreen = function ( position, selector ) {
 	var link = this,
 		map = link.fullScreenMap,
 		mapObject,
@@ -97,7 +105,11 @@ Link.prototype.openFullScreen = function ( position ) {
 		);
 
 		mw.loader.using( 'ext.kartographer.dialog' ).then( function () {
-			require( 'ext.kartographer.dialog' ).render( map );
+			require( 'ext.kartographer.dialog' ).render( map ).then( function () {
+				if ( selector ) {
+					map.focusFeature( selector );
+				}
+			} );
 		} );
 	/* eslint-enable no-underscore-dangle */
 	} else {
@@ -115,12 +127,19 @@ Link.prototype.openFullScreen = function ( position ) {
 			captionText: link.captionText,
 			dataGroups: link.dataGroups,
 			data: link.data,
+			cluster: link.cluster,
+			rendering: link.rendering,
 			fullScreenRoute: link.fullScreenRoute
 		};
 
 		mw.loader.using( 'ext.kartographer.dialog' ).then( function () {
 			require( 'ext.kartographer.dialog' ).renderNewMap( mapObject ).then( function ( m ) {
 				link.fullScreenMap = m;
+				if ( selector ) {
+					m.doWhenReady( function () {
+						m.focusFeature( selector );
+					} );
+				}
 			} );
 		} );
 	}
@@ -37,6 +37,9 @@ var util = require( 'ext.kartographer.util' ),
  * @return {string} return.lang Language code
  * @return {string} return.style Map style
  * @return {string[]} return.overlays Overlay groups
+ * @return {boolean} return.cluster Whether to cluster the point features
+ * @return {Object.<string,Object>|undefined} return.rendering How to draw the data groups, by
+ *  group id
  * @return {string} return.captionText
  */
 function getMapData( element ) {
@@ -55,6 +58,8 @@ function getMapData( element ) {
 		lang: $el.data( 'lang' ) || util.getDefaultLanguage(),
 		style: $el.data( 'style' ),
 		overlays: $el.data( 'overlays' ) || [],
+		cluster: !!$el.data( 'cluster' ),
+		rendering: $el.data( 'rendering' ),
 		captionText: captionText
 	};
 }
@@ -78,6 +83,8 @@ function initMapBox( data, $container ) {
 		fullScreenRoute: '/map/' + index,
 		allowFullScreen: true,
 		dataGroups: data.overlays,
+		cluster: data.cluster,
+		rendering: data.rendering,
 		captionText: data.captionText,
 		alwaysStatic: mw.config.get( 'wgKartographerStaticMapframePreview' )
 	} );
@@ -147,12 +154,14 @@ mw.hook( 'wikipage.content' ).add( function ( $content ) {
 		// execute this piece of code only once
 		routerInited = true;
 
-		// Opens a map in full screen. #/map(/:zoom)(/:latitude)(/:longitude)
+		// Opens a map in full screen. #/map(/:zoom)(/:latitude)(/:longitude)(/:selector)
 		// Examples:
 		//     #/map/0
 		//     #/map/0/5
 		//     #/map/0/16/-122.4006/37.7873
-		router.route( /map\/([0-9]+)(?:\/([0-9]+))?(?:\/([+-]?\d+\.?\d{0,5})?\/([+-]?\d+\.?\d{0,5})?)?/, function ( maptagId, zoom, latitude, longitude ) {
+		//     #/map/0/feature/Golden%20Gate%20Bridge
+		//     #/map/0/group/1/3
+		router.route( /map\/([0-9]+)(?:\/([0-9]+))?(?:\/([+-]?\d+\.?\d{0,5})?\/([+-]?\d+\.?\d{0,5})?)?(?:\/((?:feature|group)\/.+))?/, function ( maptagId, zoom, latitude, longitude, selector ) {
 			var map = maps[ maptagId ],
 				position;
 
@@ -170,7 +179,7 @@ mw.hook( 'wikipage.content' ).add( function ( $content ) {
 				position = map.getInitialMapPosition();
 			}
 
-			map.openFullScreen( position );
+			map.openFullScreen( position, selector );
 		} );
 
 		// Check if we need to open a map in full screen.
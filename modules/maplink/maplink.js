@@ -28,6 +28,9 @@ var router = require( 'mediawiki.router' ),
  * @return {number} return.zoom
  * @return {string} return.style Map style
  * @return {string[]} return.overlays Overlay groups
+ * @return {boolean} return.cluster Whether to cluster the point features
+ * @return {Object.<string,Object>|undefined} return.rendering How to draw the data groups, by
+ *  group id
  */
 function getMapData( element ) {
 	var $el = $( element );
@@ -39,7 +42,9 @@ function getMapData( element ) {
 		lang: $el.data( 'lang' ),
 		style: $el.data( 'style' ),
 		captionText: $el.get( 0 ).innerText,
-		overlays: $el.data( 'overlays' ) || []
+		overlays: $el.data( 'overlays' ) || [],
+		cluster: !!$el.data( 'cluster' ),
+		rendering: $el.data( 'rendering' )
 	};
 }
 
@@ -60,6 +65,8 @@ function handleMapLinks( $content ) {
 			zoom: data.zoom,
 			lang: data.lang,
 			dataGroups: data.overlays,
+			cluster: data.cluster,
+			rendering: data.rendering,
 			captionText: data.captionText,
 			fullScreenRoute: '/maplink/' + index
 		} );
@@ -73,12 +80,14 @@ function handleMapLinks( $content ) {
  * Activate the router for the full screen mode.
  */
 function activateRouter() {
-	// Opens a maplink in full screen. #/maplink(/:zoom)(/:latitude)(/:longitude)
+	// Opens a maplink in full screen. #/maplink(/:zoom)(/:latitude)(/:longitude)(/:selector)
 	// Examples:
 	//     #/maplink/0
 	//     #/maplink/0/5
 	//     #/maplink/0/16/-122.4006/37.7873
-	router.route( /maplink\/([0-9]+)(?:\/([0-9]+))?(?:\/([+-]?\d+\.?\d{0,5})?\/([+-]?\d+\.?\d{0,5})?)?/, function ( maptagId, zoom, latitude, longitude ) {
+	//     #/maplink/0/feature/Golden%20Gate%20Bridge
+	//     #/maplink/0/group/1/3
+	router.route( /maplink\/([0-9]+)(?:\/([0-9]+))?(?:\/([+-]?\d+\.?\d{0,5})?\/([+-]?\d+\.?\d{0,5})?)?(?:\/((?:feature|group)\/.+))?/, function ( maptagId, zoom, latitude, longitude, selector ) {
 		var link = maplinks[ maptagId ],
 			position;
 
@@ -92,7 +101,7 @@ function activateRouter() {
 				zoom: +zoom
 			};
 		}
-		link.openFullScreen( position );
+		link.openFullScreen( position, selector );
 	} );
 }
 
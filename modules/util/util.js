@@ -13,5 +13,16 @@ module.exports = {
 		return mw.config.get( 'wgKartographerUsePageLanguage' ) ?
 			mw.config.get( 'wgPageContentLanguage' ) :
 			'local';
+	},
+
+	/**
+	 * Text of an HTML fragment, e.g. of a feature title or description.
+	 *
+	 * @param {string} [html]
+	 * @return {string}
+	 */
+	toPlainText: function ( html ) {
+		// Parsed into a separate document, so nothing is loaded or executed
+		return html ? $( $.parseHTML( String( html ) ) ).text().trim() : '';
 	}
 };
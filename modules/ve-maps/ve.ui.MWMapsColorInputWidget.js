@@ -0,0 +1,67 @@
+/**
+ * Text input for simplestyle colors, with the browser's native color picker next to it.
+ *
+ * Simplestyle accepts 3 and 6 digit hex colors, with or without a leading "#".
+ *
+ * @class
+ * @extends OO.ui.TextInputWidget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+ve.ui.MWMapsColorInputWidget = function VeUiMWMapsColorInputWidget( config ) {
+	ve.ui.MWMapsColorInputWidget.super.call( this, ve.extend( {
+		validate: /^(|#?([0-9a-fA-F]{3}){1,2})$/
+	}, config ) );
+
+	this.$picker = $( '<input>' )
+		.attr( { type: 'color', tabindex: -1 } )
+		.addClass( 've-ui-mwMapsColorInputWidget-picker' )
+		.on( 'input', this.onPickerInput.bind( this ) );
+
+	this.connect( this, { change: 'updatePicker' } );
+
+	this.$element
+		.addClass( 've-ui-mwMapsColorInputWidget' )
+		.append( this.$picker );
+	this.updatePicker();
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWMapsColorInputWidget, OO.ui.TextInputWidget );
+
+/* Methods */
+
+/**
+ * Handle input events from the native color picker
+ */
+ve.ui.MWMapsColorInputWidget.prototype.onPickerInput = function () {
+	this.setValue( this.$picker.val() );
+};
+
+/**
+ * Show the current value in the native color picker, if it's a valid color
+ */
+ve.ui.MWMapsColorInputWidget.prototype.updatePicker = function () {
+	var match = /^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.exec( this.getValue() );
+	if ( !match ) {
+		return;
+	}
+	var hex = match[ 1 ];
+	if ( hex.length === 3 ) {
+		hex = hex.replace( /./g, '$&$&' );
+	}
+	this.$picker.val( '#' + hex.toLowerCase() );
+};
+
+/**
+ * @inheritdoc
+ */
+ve.ui.MWMapsColorInputWidget.prototype.setDisabled = function ( disabled ) {
+	ve.ui.MWMapsColorInputWidget.super.prototype.setDisabled.call( this, disabled );
+	if ( this.$picker ) {
+		this.$picker.prop( 'disabled', this.isDisabled() );
+	}
+	return this;
+};
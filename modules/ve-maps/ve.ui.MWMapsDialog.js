@@ -18,6 +18,7 @@ ve.ui.MWMapsDialog = function VeUiMWMapsDialog() {
 	ve.ui.MWMapsDialog.super.apply( this, arguments );
 
 	this.updateMapContentsDebounced = OO.ui.debounce( this.updateMapContents.bind( this ), 300 );
+	this.updateGeoJsonFromMapDebounced = OO.ui.debounce( this.updateGeoJsonFromMap.bind( this ), 300 );
 
 	this.$content.addClass( 've-ui-mwMapsDialog' );
 };
@@ -40,6 +41,14 @@ ve.ui.MWMapsDialog.static.selfCloseEmptyBody = true;
 
 ve.ui.MWMapsDialog.static.modelClasses = [ ve.dm.MWMapsNode, ve.dm.MWInlineMapsNode ];
 
+/**
+ * Distance in pixels within which vertices are snapped and merged
+ *
+ * @static
+ * @property {number}
+ */
+ve.ui.MWMapsDialog.static.snapTolerance = 10;
+
 /* Methods */
 
 /**
@@ -127,14 +136,79 @@ ve.ui.MWMapsDialog.prototype.initialize = function () {
 		.setLanguage( 'json' )
 		.toggleLineNumbers( false )
 		.setDir( 'ltr' );
-	var geoJsonField = new OO.ui.FieldLayout( this.input, {
+	this.geoJsonField = new OO.ui.FieldLayout( this.input, {
 		align: 'top',
 		label: ve.msg( 'visualeditor-mwmapsdialog-geojson' )
 	} );
 
+	this.history = null;
+	this.undoButton = new OO.ui.ButtonWidget( {
+		icon: 'undo',
+		title: ve.msg( 'visualeditor-mwmapsdialog-undo' ),
+		disabled: true
+	} ).connect( this, { click: 'undo' } );
+	this.redoButton = new OO.ui.ButtonWidget( {
+		icon: 'redo',
+		title: ve.msg( 'visualeditor-mwmapsdialog-redo' ),
+		disabled: true
+	} ).connect( this, { click: 'redo' } );
+	var historyButtons = new OO.ui.ButtonGroupWidget( {
+		items: [ this.undoButton, this.redoButton ]
+	} );
+
+	this.$importInput = $( '<input>' )
+		.attr( { type: 'file', accept: '.gpx,.kml,.csv,.tsv,.txt', multiple: true } )
+		.on( 'change', this.onImportInputChange.bind( this ) );
+	var importButton = new OO.ui.ButtonWidget( {
+		icon: 'upload',
+		label: ve.msg( 'visualeditor-mwmapsdialog-import' ),
+		title: ve.msg( 'visualeditor-mwmapsdialog-import-title' )
+	} ).connect( this, { click: 'onImportButtonClick' } );
+
+	this.simplifyWidget = new ve.ui.MWMapsSimplifyWidget( {
+		$overlay: this.$body
+	} ).connect( this, { change: 'updateSimplifyPreview', apply: 'onSimplifyApply' } );
+	this.simplifyButton = new OO.ui.PopupButtonWidget( {
+		label: ve.msg( 'visualeditor-mwmapsdialog-simplify' ),
+		title: ve.msg( 'visualeditor-mwmapsdialog-simplify-title' ),
+		$overlay: this.$body,
+		popup: {
+			$content: this.simplifyWidget.$element,
+			padded: true,
+			width: 300,
+			align: 'forwards'
+		}
+	} );
+	this.simplifyButton.getPopup().connect( this, { toggle: 'onSimplifyPopupToggle' } );
+
+	this.snapButton = new OO.ui.ToggleButtonWidget( {
+		label: ve.msg( 'visualeditor-mwmapsdialog-snap' ),
+		title: ve.msg( 'visualeditor-mwmapsdialog-snap-title' )
+	} ).connect( this, { change: 'updateSnapping' } );
+	var mergeButton = new OO.ui.ButtonWidget( {
+		label: ve.msg( 'visualeditor-mwmapsdialog-merge' ),
+		title: ve.msg( 'visualeditor-mwmapsdialog-merge-title' )
+	} ).connect( this, { click: 'mergeSharedVertices' } );
+
+	this.$contentTools = $( '<div>' )
+		.addClass( 've-ui-mwMapsDialog-contentTools' )
+		.append(
+			historyButtons.$element,
+			importButton.$element,
+			this.simplifyButton.$element,
+			this.snapButton.$element,
+			mergeButton.$element
+		);
+
+	this.featureProperties = new ve.ui.MWMapsFeaturePropertiesWidget( {
+		$overlay: this.$body
+	} ).connect( this, { change: 'onFeaturePropertiesChange' } );
+
 	this.contentPanel.$element.append(
 		this.$contentMap,
-		geoJsonField.$element
+		this.featureProperties.$element,
+		this.$contentTools,
+		this.geoJsonField.$element
 	);
 
 	// Options panel
@@ -211,6 +285,331 @@ ve.ui.MWMapsDialog.prototype.initialize = function () {
 		this.indexLayout.$element,
 		helpLink.$element
 	);
+
+	this.$mapContainer.on( {
+		keydown: this.onMapKeyDown.bind( this ),
+		dragover: this.onMapDragOver.bind( this ),
+		drop: this.onMapDrop.bind( this )
+	} );
+};
+
+/**
+ * Check whether files can be imported into the map contents right now
+ *
+ * @private
+ * @return {boolean}
+ */
+ve.ui.MWMapsDialog.prototype.canImport = function () {
+	return !!this.map && !this.isReadOnly() &&
+		this.indexLayout.getCurrentTabPanel() === this.contentPanel;
+};
+
+/**
+ * Handle drag over events on the map, to accept dropped files
+ *
+ * @param {jQuery.Event} e Drag over event
+ */
+ve.ui.MWMapsDialog.prototype.onMapDragOver = function ( e ) {
+	var dataTransfer = e.originalEvent.dataTransfer;
+	if ( this.canImport() && dataTransfer && Array.prototype.indexOf.call( dataTransfer.types, 'Files' ) !== -1 ) {
+		dataTransfer.dropEffect = 'copy';
+		e.preventDefault();
+	}
+};
+
+/**
+ * Handle drop events on the map, to import dropped files
+ *
+ * @param {jQuery.Event} e Drop event
+ */
+ve.ui.MWMapsDialog.prototype.onMapDrop = function ( e ) {
+	var dataTransfer = e.originalEvent.dataTransfer;
+	if ( this.canImport() && dataTransfer && dataTransfer.files.length ) {
+		e.preventDefault();
+		this.importFiles( dataTransfer.files );
+	}
+};
+
+/**
+ * Handle click events on the import button
+ */
+ve.ui.MWMapsDialog.prototype.onImportButtonClick = function () {
+	if ( this.canImport() ) {
+		this.$importInput.trigger( 'click' );
+	}
+};
+
+/**
+ * Handle change events on the hidden file input
+ */
+ve.ui.MWMapsDialog.prototype.onImportInputChange = function () {
+	var files = this.$importInput[ 0 ].files;
+	if ( files.length ) {
+		this.importFiles( files );
+	}
+	// Allow picking the same file again
+	this.$importInput.val( '' );
+};
+
+/**
+ * Convert GPX, KML or CSV files and add them to the map contents
+ *
+ * @param {FileList|File[]} files
+ */
+ve.ui.MWMapsDialog.prototype.importFiles = function ( files ) {
+	var dialog = this,
+		editing = require( 'ext.kartographer.editing' );
+
+	Array.prototype.forEach.call( files, function ( file ) {
+		dialog.pushPending();
+		editing.importer.readFile( file )
+			.then( function ( geoJson ) {
+				if ( !dialog.map ) {
+					return;
+				}
+				var layers = editing.addToKartographerLayer( dialog.map, geoJson );
+				dialog.updateGeoJsonFromMap();
+				dialog.map.fitBounds( L.featureGroup( layers ).getBounds(), { maxZoom: 14 } );
+			}, function ( code ) {
+				// Messages that can be used here:
+				// * kartographer-import-error-empty
+				// * kartographer-import-error-format
+				// * kartographer-import-error-parse
+				// * kartographer-import-error-read
+				mw.notify( mw.msg( 'kartographer-import-error-' + code, file.name ), { type: 'error' } );
+			} )
+			.always( dialog.popPending.bind( dialog ) );
+	} );
+};
+
+/**
+ * Simplify the selected feature, or all of them if none is selected
+ *
+ * @private
+ * @param {Object|null} options See ve.ui.MWMapsSimplifyWidget#getOptions
+ * @return {Object|null} Null if there is no map
+ * @return {boolean} return.selected Only the selected feature was simplified
+ * @return {Object} return.before GeoJSON of the map contents as they are
+ * @return {Object|null} return.after Simplified GeoJSON, null if the options are invalid
+ */
+ve.ui.MWMapsDialog.prototype.getSimplifiedGeoJson = function ( options ) {
+	if ( !this.map ) {
+		return null;
+	}
+
+	var editing = require( 'ext.kartographer.editing' ),
+		geoJsonLayer = editing.getKartographerLayer( this.map ),
+		selectedIndex = geoJsonLayer.getLayers().indexOf( this.featureProperties.getFeatureLayer() ),
+		before = geoJsonLayer.toGeoJSON();
+
+	editing.restoreUnparsedText( before );
+	return {
+		selected: selectedIndex !== -1,
+		before: before,
+		after: options && $.extend( {}, before, {
+			// Features are in the same order as the layers
+			features: before.features.map( function ( feature, i ) {
+				return selectedIndex === -1 || i === selectedIndex ?
+					editing.simplifier.simplify( feature, options ) :
+					feature;
+			} )
+		} )
+	};
+};
+
+/**
+ * Handle toggle events on the simplify popup
+ *
+ * @param {boolean} visible
+ */
+ve.ui.MWMapsDialog.prototype.onSimplifyPopupToggle = function ( visible ) {
+	if ( visible ) {
+		this.updateSimplifyPreview( this.simplifyWidget.getOptions() );
+	}
+};
+
+/**
+ * Show the vertex count and size before and after simplifying
+ *
+ * @param {Object|null} options See ve.ui.MWMapsSimplifyWidget#getOptions
+ */
+ve.ui.MWMapsDialog.prototype.updateSimplifyPreview = function ( options ) {
+	var simplifier = require( 'ext.kartographer.editing' ).simplifier,
+		result = this.getSimplifiedGeoJson( options );
+
+	function getSize( geoJson ) {
+		return geoJson && {
+			vertices: simplifier.countVertices( geoJson ),
+			// Same formatting as the GeoJSON input
+			bytes: simplifier.getByteLength( JSON.stringify( geoJson, null, '  ' ) )
+		};
+	}
+
+	if ( result ) {
+		this.simplifyWidget.setPreview( result.selected, getSize( result.before ), getSize( result.after ) );
+	}
+};
+
+/**
+ * Handle apply events from the simplify form
+ *
+ * @param {Object} options See ve.ui.MWMapsSimplifyWidget#getOptions
+ */
+ve.ui.MWMapsDialog.prototype.onSimplifyApply = function ( options ) {
+	var result = this.getSimplifiedGeoJson( options );
+
+	this.simplifyButton.getPopup().toggle( false );
+	if ( !result || this.isReadOnly() ) {
+		return;
+	}
+	// Keep manual edits of the text, they are about to be replaced
+	this.recordHistory();
+	// Not flagged as updatingGeoJson, so the map gets redrawn from the text
+	this.input.setValue( JSON.stringify( result.after, null, '  ' ) );
+	this.recordHistory();
+};
+
+/**
+ * Get the distance on the ground that corresponds to a distance on the screen
+ *
+ * @param {number} pixels
+ * @param {L.LatLng} [latLng] Where to measure, defaults to the center of the map
+ * @return {number} Distance in meters, at the current zoom level
+ */
+ve.ui.MWMapsDialog.prototype.getPixelDistance = function ( pixels, latLng ) {
+	latLng = latLng || this.map.getCenter();
+	return latLng.distanceTo( this.map.containerPointToLatLng(
+		this.map.latLngToContainerPoint( latLng ).add( [ pixels, 0 ] )
+	) );
+};
+
+/**
+ * Turn snapping to other features on or off, depending on the snap button
+ */
+ve.ui.MWMapsDialog.prototype.updateSnapping = function () {
+	if ( !this.map ) {
+		return;
+	}
+	var editing = require( 'ext.kartographer.editing' );
+	editing.snap.setEnabled(
+		this.map,
+		this.snapButton.getValue() ? editing.getKartographerLayer( this.map ) : null,
+		this.constructor.static.snapTolerance
+	);
+};
+
+/**
+ * Give vertices that are almost at the same place the same coordinates
+ *
+ * The distance is the same as for snapping, so it depends on the zoom level.
+ */
+ve.ui.MWMapsDialog.prototype.mergeSharedVertices = function () {
+	if ( !this.map || this.isReadOnly() ) {
+		return;
+	}
+
+	var editing = require( 'ext.kartographer.editing' ),
+		geoJson = editing.getKartographerLayer( this.map ).toGeoJSON();
+
+	editing.restoreUnparsedText( geoJson );
+	var result = editing.snap.mergeVertices(
+		geoJson.features,
+		this.getPixelDistance( this.constructor.static.snapTolerance ),
+		function ( feature ) {
+			// Circles are redrawn from their center and radius anyway
+			return !editing.circle.isCircle( feature );
+		}
+	);
+
+	if ( result.merged ) {
+		// Keep manual edits of the text, they are about to be replaced
+		this.recordHistory();
+		// Not flagged as updatingGeoJson, so the map gets redrawn from the text
+		this.input.setValue( JSON.stringify( $.extend( {}, geoJson, { features: result.features } ), null, '  ' ) );
+		this.recordHistory();
+	}
+	mw.notify( result.merged ?
+		ve.msg( 'visualeditor-mwmapsdialog-merge-done', mw.language.convertNumber( result.merged ) ) :
+		ve.msg( 'visualeditor-mwmapsdialog-merge-none' )
+	);
+};
+
+/**
+ * Handle key down events on the map, for the undo and redo shortcuts
+ *
+ * @param {jQuery.Event} e Key down event
+ */
+ve.ui.MWMapsDialog.prototype.onMapKeyDown = function ( e ) {
+	if ( !( e.ctrlKey || e.metaKey ) || e.altKey ||
+		this.indexLayout.getCurrentTabPanel() !== this.contentPanel
+	) {
+		return;
+	}
+
+	var key = e.key && e.key.toLowerCase();
+	if ( key === 'z' && !e.shiftKey ) {
+		this.undo();
+	} else if ( key === 'y' || ( key === 'z' && e.shiftKey ) ) {
+		this.redo();
+	} else {
+		return;
+	}
+	e.preventDefault();
+};
+
+/**
+ * Record the current GeoJSON input as a new state in the drawing history
+ */
+ve.ui.MWMapsDialog.prototype.recordHistory = function () {
+	if ( this.history ) {
+		this.history.record( this.input.getValue() );
+		this.updateHistoryButtons();
+	}
+};
+
+/**
+ * Go back to the previous state of the map contents
+ */
+ve.ui.MWMapsDialog.prototype.undo = function () {
+	if ( !this.history || this.isReadOnly() ) {
+		return;
+	}
+	// Text typed since the last drawing action should be redoable as well
+	this.recordHistory();
+	this.restoreHistory( this.history.undo() );
+};
+
+/**
+ * Reapply a state of the map contents that was undone
+ */
+ve.ui.MWMapsDialog.prototype.redo = function () {
+	if ( !this.history || this.isReadOnly() ) {
+		return;
+	}
+	// Typing after an undo starts a new branch, like it does for drawing
+	this.recordHistory();
+	this.restoreHistory( this.history.redo() );
+};
+
+/**
+ * @private
+ * @param {string|null} snapshot GeoJSON text to restore
+ */
+ve.ui.MWMapsDialog.prototype.restoreHistory = function ( snapshot ) {
+	if ( snapshot !== null ) {
+		// Not flagged as updatingGeoJson, so the map gets redrawn from the text
+		this.input.setValue( snapshot );
+	}
+	this.updateHistoryButtons();
+};
+
+/**
+ * Update the disabled state of the undo and redo buttons
+ */
+ve.ui.MWMapsDialog.prototype.updateHistoryButtons = function () {
+	var isReadOnly = this.isReadOnly();
+	this.undoButton.setDisabled( isReadOnly || !this.history || !this.history.canUndo() );
+	this.redoButton.setDisabled( isReadOnly || !this.history || !this.history.canRedo() );
 };
 
 /**
@@ -343,6 +742,88 @@ ve.ui.MWMapsDialog.prototype.onIndexLayoutSet = function ( tabPanel ) {
 		this.mapArea.remove();
 		this.contentsDraw.remove();
 	}
+	if ( tabPanel !== this.contentPanel ) {
+		this.featureProperties.setFeatureLayer( null );
+	}
+};
+
+/**
+ * Handle click events on the drawing layer
+ *
+ * @param {Object} e Leaflet event
+ * @param {L.Layer} e.layer Innermost layer that was clicked
+ */
+ve.ui.MWMapsDialog.prototype.onFeatureClick = function ( e ) {
+	if ( this.isReadOnly() || this.drawToolActive ||
+		this.indexLayout.getCurrentTabPanel() !== this.contentPanel
+	) {
+		return;
+	}
+
+	var geoJsonLayer = require( 'ext.kartographer.editing' ).getKartographerLayer( this.map );
+	// Multi geometries are groups, but the feature belongs to the whole group
+	var feature = geoJsonLayer.getLayers().filter( function ( layer ) {
+		return layer === e.layer || ( layer instanceof L.LayerGroup && layer.hasLayer( e.layer ) );
+	} )[ 0 ];
+	if ( feature ) {
+		this.featureProperties.setFeatureLayer( feature );
+	}
+};
+
+/**
+ * Handle change events from the feature properties form
+ *
+ * @param {L.Layer} layer Layer of the modified feature
+ */
+ve.ui.MWMapsDialog.prototype.onFeaturePropertiesChange = function ( layer ) {
+	var feature = layer.feature;
+
+	// Preview the new style right away, without waiting for the data to be sanitized again
+	function restyle( child ) {
+		if ( child instanceof L.LayerGroup ) {
+			child.eachLayer( restyle );
+		} else if ( child instanceof L.Marker ) {
+			child.setIcon( L.mapbox.marker.icon( feature.properties ) );
+		} else if ( child instanceof L.Path ) {
+			child.setStyle( L.mapbox.simplestyle.style( feature ) );
+		}
+	}
+	restyle( layer );
+	// The radius of circles can be typed in as well
+	require( 'ext.kartographer.editing' ).circle.updateLayer( layer );
+
+	this.updateGeoJsonFromMapDebounced();
+};
+
+/**
+ * Update the GeoJSON input from the current state of the drawing layer
+ */
+ve.ui.MWMapsDialog.prototype.updateGeoJsonFromMap = function () {
+	if ( !this.map ) {
+		return;
+	}
+
+	var editing = require( 'ext.kartographer.editing' ),
+		geoJsonLayer = editing.getKartographerLayer( this.map );
+
+	if ( !geoJsonLayer.hasLayer( this.featureProperties.getFeatureLayer() ) ) {
+		this.featureProperties.setFeatureLayer( null );
+	}
+
+	// Keep manual edits of the text, they are about to be replaced
+	this.recordHistory();
+	// Prevent circular update of map
+	this.updatingGeoJson = true;
+	try {
+		var geoJson = geoJsonLayer.toGeoJSON();
+		// Undo the sanitization step's parsing of wikitext
+		editing.restoreUnparsedText( geoJson );
+		this.input.setValue( JSON.stringify( geoJson, null, '  ' ) );
+	} finally {
+		this.updatingGeoJson = false;
+	}
+	this.recordHistory();
+	this.updateActions();
 };
 
 /**
@@ -520,6 +1001,7 @@ ve.ui.MWMapsDialog.prototype.getSetupProcess = function ( data ) {
 			this.align.selectItemByData( mwAttrs.align || 'right' ).setDisabled( isReadOnly );
 			this.frame.setValue( !frameless ).setDisabled( isReadOnly || mwAttrs.text );
 			this.language.setValue( mwAttrs.lang || util.getDefaultLanguage() ).setReadOnly( isReadOnly );
+			this.$contentTools.toggle( !isReadOnly );
 
 			this.updateActions();
 		}, this );
@@ -581,6 +1063,10 @@ ve.ui.MWMapsDialog.prototype.setupMap = function () {
 			// * Allow large bleed when drawing map cutout area.
 			dialog.map.getRenderer( dialog.mapCutout ).options.padding = 10;
 
+			dialog.history = new editing.History();
+			dialog.history.reset( dialog.input.getValue() );
+			dialog.updateHistoryButtons();
+
 			dialog.updateMapContents();
 			dialog.updateMapArea();
 			dialog.resetMapZoomAndPosition( true );
@@ -640,8 +1126,9 @@ ve.ui.MWMapsDialog.prototype.setupMap = function () {
 			dialog.contentsDraw = new L.Control.Draw( {
 				edit: { featureGroup: geoJsonLayer },
 				draw: {
-					circle: false,
-					circlemarker: false,
+					// Both are stored as polygons, see Kartographer.Editing.Circle
+					circle: defaultShapeOptions,
+					circlemarker: defaultShapeOptions,
 					// TODO: Determine metric preference from locale information
 					polyline: defaultShapeOptions,
 					polygon: defaultShapeOptions,
@@ -650,29 +1137,35 @@ ve.ui.MWMapsDialog.prototype.setupMap = function () {
 				}
 			} );
 
-			function update() {
-				// Prevent circular update of map
-				dialog.updatingGeoJson = true;
-				try {
-					var geoJson = geoJsonLayer.toGeoJSON();
-					// Undo the sanitization step's parsing of wikitext
-					editing.restoreUnparsedText( geoJson );
-					dialog.input.setValue( JSON.stringify( geoJson, null, '  ' ) );
-				} finally {
-					dialog.updatingGeoJson = false;
+			function created( e ) {
+				var layer = e.layer;
+				if ( e.layerType === 'circle' || e.layerType === 'circlemarker' ) {
+					var center = layer.getLatLng(),
+						// The radius of circle markers is in pixels
+						radius = e.layerType === 'circle' ?
+							layer.getRadius() :
+							dialog.getPixelDistance( layer.getRadius(), center );
+					layer = editing.circle.createLayer( [ center.lng, center.lat ], radius );
 				}
-				dialog.updateActions();
+				layer.addTo( geoJsonLayer );
+				dialog.updateGeoJsonFromMap();
 			}
 
-			function created( e ) {
-				e.layer.addTo( geoJsonLayer );
-				update();
+			function toggleDrawTool( e ) {
+				dialog.drawToolActive = /start$/.test( e.type );
+				if ( dialog.drawToolActive ) {
+					dialog.featureProperties.setFeatureLayer( null );
+				}
 			}
 
 			dialog.map
-				.on( 'draw:edited', update )
-				.on( 'draw:deleted', update )
-				.on( 'draw:created', created );
+				.on( 'draw:edited', dialog.updateGeoJsonFromMap, dialog )
+				.on( 'draw:deleted', dialog.updateGeoJsonFromMap, dialog )
+				.on( 'draw:created', created )
+				.on( 'draw:drawstart draw:editstart draw:deletestart', toggleDrawTool )
+				.on( 'draw:drawstop draw:editstop draw:deletestop', toggleDrawTool );
+			geoJsonLayer.on( 'click', dialog.onFeatureClick, dialog );
+			dialog.updateSnapping();
 
 			dialog.onIndexLayoutSet( dialog.indexLayout.getCurrentTabPanel() );
 			deferred.resolve();
@@ -723,11 +1216,28 @@ ve.ui.MWMapsDialog.prototype.updateMapContents = function () {
 		return;
 	}
 
+	var editing = require( 'ext.kartographer.editing' ),
+		problems = editing.validator.validate( this.input.getValue() );
+
+	this.showValidationProblems( problems );
+	if ( editing.validator.hasErrors( problems ) ) {
+		// Don't bother the API with input we already know is broken
+		this.input.setValidityFlag( false );
+		this.updateActions();
+		return;
+	}
+
+	var geoJsonLayer = editing.getKartographerLayer( this.map ),
+		editedIndex = geoJsonLayer.getLayers().indexOf( this.featureProperties.getFeatureLayer() );
+
 	this.input.pushPending();
-	require( 'ext.kartographer.editing' )
-		.updateKartographerLayer( this.map, this.input.getValue() )
+	editing.updateKartographerLayer( this.map, this.input.getValue() )
 		.done( function () {
 			self.input.setValidityFlag( true );
+			// The drawing layer was rebuilt, continue with the new layer of the edited feature
+			if ( editedIndex !== -1 ) {
+				self.featureProperties.setFeatureLayer( geoJsonLayer.getLayers()[ editedIndex ] || null );
+			}
 		} )
 		.fail( function () {
 			self.input.setValidityFlag( false );
@@ -738,6 +1248,23 @@ ve.ui.MWMapsDialog.prototype.updateMapContents = function () {
 		} );
 };
 
+/**
+ * Show the result of the client-side validation below the GeoJSON input
+ *
+ * @param {Kartographer.Editing.Validator.Problem[]} problems
+ */
+ve.ui.MWMapsDialog.prototype.showValidationProblems = function ( problems ) {
+	var validator = require( 'ext.kartographer.editing' ).validator,
+		errors = [],
+		warnings = [];
+
+	problems.forEach( function ( problem ) {
+		( problem.severity === 'error' ? errors : warnings ).push( validator.getMessage( problem ) );
+	} );
+	this.geoJsonField.setErrors( errors );
+	this.geoJsonField.setWarnings( warnings );
+};
+
 /**
  * @inheritdoc
  */
@@ -763,6 +1290,10 @@ ve.ui.MWMapsDialog.prototype.getTeardownProcess = function ( data ) {
 				this.map.remove();
 				this.map = null;
 			}
+			this.history = null;
+			this.updateHistoryButtons();
+			this.featureProperties.setFeatureLayer( null );
+			this.simplifyButton.getPopup().toggle( false );
 		}, this );
 };
 
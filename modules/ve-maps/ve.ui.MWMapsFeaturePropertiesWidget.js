@@ -0,0 +1,266 @@
+/**
+ * Form for editing the simplestyle properties of a single feature on the drawing layer.
+ *
+ * The widget edits `layer.feature.properties` in place, in the sanitized form used by the
+ * drawing layer: title and description are written to their `_orig…` keys, so
+ * {@link Kartographer.Editing#restoreUnparsedText} turns them back into wikitext.
+ *
+ * @class
+ * @extends OO.ui.Widget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @param {jQuery} [config.$overlay] Overlay to render dropdowns in
+ */
+ve.ui.MWMapsFeaturePropertiesWidget = function VeUiMWMapsFeaturePropertiesWidget( config ) {
+	config = config || {};
+
+	// Parent constructor
+	ve.ui.MWMapsFeaturePropertiesWidget.super.call( this, config );
+
+	this.layer = null;
+	this.loading = false;
+	this.inputs = {};
+	this.fields = {};
+
+	this.addField( 'title', new OO.ui.TextInputWidget() );
+	this.addField( 'description', new OO.ui.MultilineTextInputWidget( {
+		rows: 2,
+		autosize: true
+	} ) );
+	this.addField( 'circle-radius', new OO.ui.NumberInputWidget( { min: 0, step: 100 } ), 'circle' );
+	this.addField( 'circle-segments', new OO.ui.NumberInputWidget( { min: 3, max: 360, step: 1, isInteger: true } ), 'circle' );
+	this.addField( 'marker-symbol', new OO.ui.ComboBoxInputWidget( {
+		options: this.constructor.static.markerSymbols.map( function ( symbol ) {
+			return { data: symbol };
+		} ),
+		menu: { filterFromInput: true },
+		validate: /^(|[a-zA-Z0-9-]+)$/,
+		$overlay: config.$overlay
+	} ), 'point' );
+	this.addField( 'marker-size', new OO.ui.DropdownInputWidget( {
+		// Messages that can be used here:
+		// * visualeditor-mwmapsdialog-properties-marker-size-default
+		// * visualeditor-mwmapsdialog-properties-marker-size-small
+		// * visualeditor-mwmapsdialog-properties-marker-size-medium
+		// * visualeditor-mwmapsdialog-properties-marker-size-large
+		options: [ 'default', 'small', 'medium', 'large' ].map( function ( size ) {
+			return {
+				data: size === 'default' ? '' : size,
+				label: ve.msg( 'visualeditor-mwmapsdialog-properties-marker-size-' + size )
+			};
+		} ),
+		$overlay: config.$overlay
+	} ), 'point' );
+	this.addField( 'marker-color', new ve.ui.MWMapsColorInputWidget(), 'point' );
+	this.addField( 'stroke', new ve.ui.MWMapsColorInputWidget(), 'line' );
+	this.addField( 'stroke-width', new OO.ui.NumberInputWidget( { min: 0, step: 1 } ), 'line' );
+	this.addField( 'stroke-opacity', new OO.ui.NumberInputWidget( { min: 0, max: 1, step: 0.1 } ), 'line' );
+	this.addField( 'fill', new ve.ui.MWMapsColorInputWidget(), 'polygon' );
+	this.addField( 'fill-opacity', new OO.ui.NumberInputWidget( { min: 0, max: 1, step: 0.1 } ), 'polygon' );
+
+	var closeButton = new OO.ui.ButtonWidget( {
+		icon: 'close',
+		framed: false,
+		title: ve.msg( 'visualeditor-mwmapsdialog-properties-close' ),
+		classes: [ 've-ui-mwMapsFeaturePropertiesWidget-close' ]
+	} ).connect( this, { click: [ 'setFeatureLayer', null ] } );
+
+	this.$element
+		.addClass( 've-ui-mwMapsFeaturePropertiesWidget' )
+		.append(
+			$( '<div>' )
+				.addClass( 've-ui-mwMapsFeaturePropertiesWidget-header' )
+				.text( ve.msg( 'visualeditor-mwmapsdialog-properties' ) ),
+			closeButton.$element
+		);
+	Object.keys( this.fields ).forEach( function ( key ) {
+		this.$element.append( this.fields[ key ].$element );
+	}, this );
+
+	this.toggle( false );
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWMapsFeaturePropertiesWidget, OO.ui.Widget );
+
+/* Events */
+
+/**
+ * A property of the feature was changed by the user
+ *
+ * @event change
+ * @param {L.Layer} layer Layer of the modified feature
+ */
+
+/* Static Properties */
+
+/**
+ * Suggestions for the marker symbol, from the Maki icon set.
+ *
+ * Any other icon name, a letter or a number can still be typed in.
+ *
+ * @static
+ * @property {string[]}
+ */
+ve.ui.MWMapsFeaturePropertiesWidget.static.markerSymbols = [
+	'airport', 'bank', 'bar', 'bicycle', 'building', 'bus', 'cafe', 'camera', 'campsite',
+	'car', 'castle', 'cemetery', 'cinema', 'college', 'embassy', 'ferry', 'fire-station',
+	'fuel', 'garden', 'golf', 'grocery', 'harbor', 'hospital', 'industrial', 'library',
+	'lighthouse', 'lodging', 'marker', 'monument', 'museum', 'music', 'park', 'parking',
+	'pharmacy', 'place-of-worship', 'police', 'post', 'prison', 'rail', 'restaurant',
+	'school', 'shop', 'stadium', 'star', 'swimming', 'theatre', 'toilets', 'town-hall',
+	'viewpoint', 'zoo'
+];
+
+/* Methods */
+
+/**
+ * @private
+ * @param {string} key Simplestyle property name
+ * @param {OO.ui.InputWidget} input
+ * @param {string} [geometry] Only show the field for this kind of geometry, "point", "line",
+ *  "polygon" or "circle". Polygons also have the line properties for their outline, circles
+ *  all polygon properties.
+ */
+ve.ui.MWMapsFeaturePropertiesWidget.prototype.addField = function ( key, input, geometry ) {
+	input.connect( this, { change: 'onInputChange' } );
+	this.inputs[ key ] = input;
+	// Messages that can be used here:
+	// * visualeditor-mwmapsdialog-properties-title
+	// * visualeditor-mwmapsdialog-properties-description
+	// * visualeditor-mwmapsdialog-properties-circle-radius
+	// * visualeditor-mwmapsdialog-properties-circle-segments
+	// * visualeditor-mwmapsdialog-properties-marker-symbol
+	// * visualeditor-mwmapsdialog-properties-marker-size
+	// * visualeditor-mwmapsdialog-properties-marker-color
+	// * visualeditor-mwmapsdialog-properties-stroke
+	// * visualeditor-mwmapsdialog-properties-stroke-width
+	// * visualeditor-mwmapsdialog-properties-stroke-opacity
+	// * visualeditor-mwmapsdialog-properties-fill
+	// * visualeditor-mwmapsdialog-properties-fill-opacity
+	this.fields[ key ] = new OO.ui.FieldLayout( input, {
+		align: 'left',
+		label: ve.msg( 'visualeditor-mwmapsdialog-properties-' + key )
+	} );
+	this.fields[ key ].geometry = geometry;
+};
+
+/**
+ * Find out which kinds of geometry a layer consists of
+ *
+ * @private
+ * @param {L.Layer} layer
+ * @param {Object} [kinds] Object to add to
+ * @return {Object} Map of "point", "line", "polygon" and "circle" to true
+ */
+ve.ui.MWMapsFeaturePropertiesWidget.prototype.getGeometryKinds = function ( layer, kinds ) {
+	kinds = kinds || {};
+	if ( layer instanceof L.Marker ) {
+		kinds.point = true;
+	} else if ( layer instanceof L.Circle ) {
+		kinds.circle = kinds.polygon = kinds.line = true;
+	} else if ( layer instanceof L.Polygon ) {
+		kinds.polygon = kinds.line = true;
+	} else if ( layer instanceof L.Polyline ) {
+		kinds.line = true;
+	} else if ( layer instanceof L.LayerGroup ) {
+		layer.eachLayer( function ( child ) {
+			this.getGeometryKinds( child, kinds );
+		}, this );
+	}
+	return kinds;
+};
+
+/**
+ * Start editing a feature, or hide the form
+ *
+ * @param {L.Layer|null} layer Layer from the drawing layer, null to hide the form
+ */
+ve.ui.MWMapsFeaturePropertiesWidget.prototype.setFeatureLayer = function ( layer ) {
+	this.layer = layer;
+	this.toggle( !!layer );
+	if ( !layer ) {
+		return;
+	}
+
+	// Freshly drawn layers don't have a feature yet, toGeoJSON() picks this one up
+	layer.feature = layer.feature || { type: 'Feature', properties: {} };
+	layer.feature.properties = layer.feature.properties || {};
+
+	var properties = layer.feature.properties,
+		kinds = this.getGeometryKinds( layer );
+
+	this.loading = true;
+	Object.keys( this.inputs ).forEach( function ( key ) {
+		var value = ( '_orig' + key ) in properties ? properties[ '_orig' + key ] : properties[ key ],
+			// Localized texts like { "en": "…", "de": "…" } can only be edited as JSON
+			isEditable = typeof value !== 'object' || value === null;
+
+		this.inputs[ key ]
+			.setValue( isEditable && value !== undefined && value !== null ? String( value ) : '' )
+			.setDisabled( !isEditable );
+		this.fields[ key ].toggle( !this.fields[ key ].geometry || !!kinds[ this.fields[ key ].geometry ] );
+	}, this );
+	this.loading = false;
+};
+
+/**
+ * @return {L.Layer|null} Layer of the feature being edited
+ */
+ve.ui.MWMapsFeaturePropertiesWidget.prototype.getFeatureLayer = function () {
+	return this.layer;
+};
+
+/**
+ * Write the form back to the feature properties
+ *
+ * @private
+ * @fires change
+ */
+ve.ui.MWMapsFeaturePropertiesWidget.prototype.onInputChange = function () {
+	if ( this.loading || !this.layer ) {
+		return;
+	}
+
+	var properties = this.layer.feature.properties,
+		changed = false;
+
+	Object.keys( this.inputs ).forEach( function ( key ) {
+		var input = this.inputs[ key ],
+			value = input.getValue(),
+			origKey = '_orig' + key;
+
+		if ( input.isDisabled() ) {
+			return;
+		}
+		if ( input instanceof OO.ui.NumberInputWidget ) {
+			var number = Number( value ),
+				range = input.getRange();
+			if ( value !== '' && !( isFinite( number ) && number >= range[ 0 ] && number <= range[ 1 ] ) ) {
+				return;
+			}
+			value = value === '' ? value : number;
+		} else if ( input.validate instanceof RegExp && !input.validate.test( value ) ) {
+			return;
+		}
+
+		if ( typeof value === 'string' && !value.trim() ) {
+			changed = changed || key in properties || origKey in properties;
+			delete properties[ key ];
+			delete properties[ origKey ];
+		} else if ( origKey in properties ) {
+			// The parsed text stays outdated until the data is sanitized again
+			changed = changed || properties[ origKey ] !== value;
+			properties[ origKey ] = value;
+		} else {
+			changed = changed || properties[ key ] !== value;
+			properties[ key ] = value;
+		}
+	}, this );
+
+	if ( changed ) {
+		this.emit( 'change', this.layer );
+	}
+};
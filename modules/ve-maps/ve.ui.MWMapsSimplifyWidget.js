@@ -0,0 +1,148 @@
+/**
+ * Form for simplifying the geometries of the map contents, with a preview of the savings.
+ *
+ * The widget only collects the options, see {@link Kartographer.Editing.Simplify} for the
+ * actual work.
+ *
+ * @class
+ * @extends OO.ui.Widget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @param {jQuery} [config.$overlay] Overlay to render dropdowns in
+ */
+ve.ui.MWMapsSimplifyWidget = function VeUiMWMapsSimplifyWidget( config ) {
+	config = config || {};
+
+	// Parent constructor
+	ve.ui.MWMapsSimplifyWidget.super.call( this, config );
+
+	this.method = new OO.ui.DropdownInputWidget( {
+		// Messages that can be used here:
+		// * visualeditor-mwmapsdialog-simplify-method-douglas-peucker
+		// * visualeditor-mwmapsdialog-simplify-method-visvalingam
+		options: [ 'douglas-peucker', 'visvalingam' ].map( function ( method ) {
+			return {
+				data: method,
+				label: ve.msg( 'visualeditor-mwmapsdialog-simplify-method-' + method )
+			};
+		} ),
+		$overlay: config.$overlay
+	} );
+	this.tolerance = new OO.ui.NumberInputWidget( { min: 0, step: 1, value: 10 } );
+	// 6 decimals are about 10 cm, more than enough for anything drawn on a map
+	this.decimals = new OO.ui.NumberInputWidget( { min: 0, max: 15, step: 1, isInteger: true, value: 6 } );
+	this.$scope = $( '<p>' ).addClass( 've-ui-mwMapsSimplifyWidget-scope' );
+	this.$preview = $( '<p>' ).addClass( 've-ui-mwMapsSimplifyWidget-preview' );
+	this.applyButton = new OO.ui.ButtonWidget( {
+		label: ve.msg( 'visualeditor-mwmapsdialog-simplify-apply' ),
+		flags: [ 'primary', 'progressive' ]
+	} ).connect( this, { click: 'onApplyClick' } );
+
+	this.method.connect( this, { change: 'onInputChange' } );
+	this.tolerance.connect( this, { change: 'onInputChange' } );
+	this.decimals.connect( this, { change: 'onInputChange' } );
+
+	this.$element
+		.addClass( 've-ui-mwMapsSimplifyWidget' )
+		.append(
+			new OO.ui.FieldLayout( this.method, {
+				align: 'top',
+				label: ve.msg( 'visualeditor-mwmapsdialog-simplify-method' )
+			} ).$element,
+			new OO.ui.FieldLayout( this.tolerance, {
+				align: 'top',
+				label: ve.msg( 'visualeditor-mwmapsdialog-simplify-tolerance' )
+			} ).$element,
+			new OO.ui.FieldLayout( this.decimals, {
+				align: 'top',
+				label: ve.msg( 'visualeditor-mwmapsdialog-simplify-decimals' )
+			} ).$element,
+			this.$scope,
+			this.$preview,
+			this.applyButton.$element
+		);
+};
+
+/* Inheritance */
+
+OO.inheritClass( ve.ui.MWMapsSimplifyWidget, OO.ui.Widget );
+
+/* Events */
+
+/**
+ * The options were changed, the preview should be updated
+ *
+ * @event change
+ * @param {Object|null} options See #getOptions
+ */
+
+/**
+ * The user wants to apply the simplification
+ *
+ * @event apply
+ * @param {Object} options See #getOptions
+ */
+
+/* Methods */
+
+/**
+ * @return {Object|null} Options for {@link Kartographer.Editing.Simplify#simplify}, null if
+ *  any input is invalid
+ */
+ve.ui.MWMapsSimplifyWidget.prototype.getOptions = function () {
+	var tolerance = this.tolerance.getNumericValue(),
+		decimals = this.decimals.getNumericValue(),
+		decimalsRange = this.decimals.getRange();
+
+	if ( !isFinite( tolerance ) || tolerance < 0 ||
+		!isFinite( decimals ) || decimals % 1 !== 0 ||
+		decimals < decimalsRange[ 0 ] || decimals > decimalsRange[ 1 ]
+	) {
+		return null;
+	}
+	return {
+		method: this.method.getValue(),
+		tolerance: tolerance,
+		decimals: decimals
+	};
+};
+
+/**
+ * Show what the current options would do
+ *
+ * @param {boolean} selected Only the selected feature is affected, not all of them
+ * @param {Object|null} before Size of the map contents now, with `vertices` and `bytes`
+ * @param {Object|null} after Size after simplifying, null if the options are invalid
+ */
+ve.ui.MWMapsSimplifyWidget.prototype.setPreview = function ( selected, before, after ) {
+	this.$scope.text( ve.msg( selected ?
+		'visualeditor-mwmapsdialog-simplify-scope-selected' :
+		'visualeditor-mwmapsdialog-simplify-scope-all'
+	) );
+	this.$preview.text( before && after ? ve.msg(
+		'visualeditor-mwmapsdialog-simplify-preview',
+		mw.language.convertNumber( before.vertices ),
+		mw.language.convertNumber( after.vertices ),
+		mw.language.convertNumber( before.bytes ),
+		mw.language.convertNumber( after.bytes )
+	) : '' );
+	this.applyButton.setDisabled( !after || before.vertices === after.vertices && before.bytes === after.bytes );
+};
+
+/**
+ * @private
+ */
+ve.ui.MWMapsSimplifyWidget.prototype.onInputChange = function () {
+	this.emit( 'change', this.getOptions() );
+};
+
+/**
+ * @private
+ */
+ve.ui.MWMapsSimplifyWidget.prototype.onApplyClick = function () {
+	var options = this.getOptions();
+	if ( options ) {
+		this.emit( 'apply', options );
+	}
+};
@@ -3,6 +3,7 @@
 namespace Kartographer\Tests;
 
 use JsonConfig\JCMapDataContent;
+use JsonConfig\JCTabularContent;
 use Kartographer\SimpleStyleParser;
 use Kartographer\WikitextParser;
 use LogicException;
@@ -20,9 +21,16 @@ class SimpleStyleParserTest extends MediaWikiIntegrationTestCase {
 
 	protected function setUp(): void {
 		$this->setMwGlobals( [
-			'wgJsonConfigModels' => [ 'Map.JsonConfig' => [ 'class' => JCMapDataContent::class ] ],
-			'wgJsonConfigs' => [ 'Map.JsonConfig' => [ 'namespace' => 486, 'nsName' => 'Data' ] ],
+			'wgJsonConfigModels' => [
+				'Map.JsonConfig' => [ 'class' => JCMapDataContent::class ],
+				'Tabular.JsonConfig' => [ 'class' => JCTabularContent::class ],
+			],
+			'wgJsonConfigs' => [
+				'Map.JsonConfig' => [ 'namespace' => 486, 'nsName' => 'Data', 'pattern' => '/.\.map$/' ],
+				'Tabular.JsonConfig' => [ 'namespace' => 486, 'nsName' => 'Data', 'pattern' => '/.\.tab$/' ],
+			],
 			'wgKartographerMapServer' => 'https://maps.wikimedia.org',
+			'wgKartographerExternalDataUrlAllowlist' => [ 'data.example.org' ],
 			'wgScriptPath' => '',
 			'wgServer' => 'https://de.wikipedia.org',
 		] );
@@ -209,6 +217,59 @@ class SimpleStyleParserTest extends MediaWikiIntegrationTestCase {
 				null,
 				'kartographer-error-title',
 			],
+			[
+				'{
+					"type": "ExternalData",
+					"service": "tabular",
+					"title": "Data:Cities.tab",
+					"properties": { "marker-color": "#ff0000" }
+				}',
+				'{
+					"type": "ExternalData",
+					"service": "tabular",
+					"url": "https://de.wikipedia.org/api.php?format=json&formatversion=2&action=jsondata&title=Data%3ACities.tab",
+					"properties": { "marker-color": "#ff0000" }
+				}',
+			],
+			[
+				'[ {
+					"type": "ExternalData",
+					"service": "tabular",
+					"title": "Data:Germany.map"
+				} ]',
+				null,
+				'kartographer-error-tabular',
+			],
+			[
+				'{
+					"type": "ExternalData",
+					"service": "url",
+					"url": "https://data.example.org/cities.geojson"
+				}',
+				'{
+					"type": "ExternalData",
+					"service": "url",
+					"url": "https://data.example.org/cities.geojson"
+				}',
+			],
+			[
+				'[ {
+					"type": "ExternalData",
+					"service": "url",
+					"url": "https://evil.example.org/cities.geojson"
+				} ]',
+				null,
+				'kartographer-error-url',
+			],
+			[
+				'[ {
+					"type": "ExternalData",
+					"service": "url",
+					"url": "http://data.example.org/cities.geojson"
+				} ]',
+				null,
+				'kartographer-error-url',
+			],
 
 			// Test cases specifically for SimpleStyleParser::sanitize()
 			[
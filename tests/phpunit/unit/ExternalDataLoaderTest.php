@@ -318,6 +318,8 @@ class ExternalDataLoaderTest extends MediaWikiUnitTestCase {
 			'missing url' => [ '{ "type": "ExternalData", "service": "" }' ],
 			'wrong type' => [ '{ "type": "Feature", "service": "", "url": "…" }' ],
 			'empty url' => [ '{ "type": "ExternalData", "service": "", "url": "" }' ],
+			'tabular service' => [ '{ "type": "ExternalData", "service": "tabular", "url": "…" }' ],
+			'url service' => [ '{ "type": "ExternalData", "service": "url", "url": "…" }' ],
 		];
 	}
 
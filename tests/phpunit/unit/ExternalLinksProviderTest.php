@@ -32,6 +32,29 @@ class ExternalLinksProviderTest extends \MediaWikiUnitTestCase {
 		// Check for an example value
 		$this->assertContains( 'map', $data->types );
 		$this->assertSame( '<kartographer-linktype-map>', $data->localization['map'] );
+		$this->assertContains( 'directions', $data->types );
+		$this->assertNotSame( 'local-routing', $data->services[0]->id );
+	}
+
+	public function testGetDataWithRoutingUrl() {
+		$context = $this->createMock( Context::class );
+		$context->method( 'getConfig' )->willReturn( new \HashConfig( [
+			'KartographerRoutingUrl' => 'https://routing.example/?to={destLatitude},{destLongitude}',
+		] ) );
+		$context->method( 'msg' )->willReturnCallback( function ( $key ) {
+			$msg = $this->createMock( \Message::class );
+			$msg->method( 'plain' )->willReturn( "<$key>" );
+			return $msg;
+		} );
+
+		$data = ExternalLinksProvider::getData( $context );
+
+		$service = $data->services[0];
+		$this->assertSame( 'local-routing', $service->id );
+		$this->assertSame( '<kartographer-link-local-routing>', $service->name );
+		$this->assertTrue( $service->featured );
+		$this->assertSame( 'directions', $service->links[0]->type );
+		$this->assertSame( 'https://routing.example/?to={destLatitude},{destLongitude}', $service->links[0]->url );
 	}
 
 }
@@ -0,0 +1,48 @@
+( function () {
+	const ResponseCache = require( 'ext.kartographer.box' ).ResponseCache;
+
+	QUnit.module( 'ext.kartographer.box.ResponseCache', QUnit.newMwEnvironment( {
+		afterEach: function () {
+			new ResponseCache( 'kartographer-test' ).clear();
+		}
+	} ) );
+
+	QUnit.test( 'get() and set()', function ( assert ) {
+		const cache = new ResponseCache( 'kartographer-test' );
+
+		assert.strictEqual( cache.get( 'a' ), null );
+		assert.true( cache.set( 'a', { query: { pages: [] } } ) );
+		assert.deepEqual( cache.get( 'a' ), { query: { pages: [] } } );
+		assert.deepEqual( new ResponseCache( 'kartographer-test' ).get( 'a' ), { query: { pages: [] } }, 'kept across instances' );
+
+		cache.clear();
+		assert.strictEqual( cache.get( 'a' ), null, 'cleared' );
+	} );
+
+	QUnit.test( 'The least recently used responses are removed', function ( assert ) {
+		// Each response takes up 14 characters
+		const cache = new ResponseCache( 'kartographer-test', { maxSize: 30 } );
+
+		cache.set( 'a', { value: 'aa' } );
+		cache.set( 'b', { value: 'bb' } );
+		cache.get( 'a' );
+		cache.set( 'c', { value: 'cc' } );
+
+		assert.deepEqual( cache.get( 'a' ), { value: 'aa' } );
+		assert.strictEqual( cache.get( 'b' ), null );
+		assert.deepEqual( cache.get( 'c' ), { value: 'cc' } );
+		assert.false( cache.set( 'd', { value: 'This is much too long for the cache' } ) );
+		assert.deepEqual( cache.get( 'a' ), { value: 'aa' }, 'nothing is removed for a response that is too large' );
+	} );
+
+	QUnit.test( 'Responses expire', function ( assert ) {
+		const clock = this.sandbox.useFakeTimers( { now: 1000000, toFake: [ 'Date' ] } ),
+			cache = new ResponseCache( 'kartographer-test', { ttl: 60 } );
+
+		cache.set( 'a', { value: 'aa' } );
+		clock.tick( 59 * 1000 );
+		assert.deepEqual( cache.get( 'a' ), { value: 'aa' } );
+		clock.tick( 1000 );
+		assert.strictEqual( cache.get( 'a' ), null );
+	} );
+}() );
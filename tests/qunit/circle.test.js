@@ -0,0 +1,43 @@
+( function () {
+	const circle = require( 'ext.kartographer.editing' ).circle;
+
+	QUnit.module( 'ext.kartographer.editing.circle', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'toPolygon()', function ( assert ) {
+		// One degree of latitude on Leaflet's earth
+		const ring = circle.toPolygon( [ 10, 0 ], 111195, 4 ).coordinates[ 0 ],
+			rounded = ring.map( ( position ) => position.map( ( value ) => Math.round( value * 1000 ) / 1000 ) );
+
+		assert.deepEqual(
+			rounded,
+			[ [ 10, 1 ], [ 9, 0 ], [ 10, -1 ], [ 11, 0 ], [ 10, 1 ] ],
+			'closed ring, counterclockwise from the north'
+		);
+		assert.strictEqual( circle.toPolygon( [ 0, 0 ], 1000 ).coordinates[ 0 ].length, 65, 'default segments' );
+	} );
+
+	QUnit.test( 'toFeature()', function ( assert ) {
+		const feature = circle.toFeature( [ 13.123456789, 52.5 ], 5000.04, { title: 'Zone', 'circle-segments': 8 } );
+
+		assert.deepEqual( feature.properties, {
+			title: 'Zone',
+			'circle-center': [ 13.123457, 52.5 ],
+			'circle-radius': 5000,
+			'circle-segments': 8
+		} );
+		assert.strictEqual( feature.geometry.coordinates[ 0 ].length, 9 );
+		assert.strictEqual(
+			circle.toFeature( [ 0, 0 ], 10, { 'circle-segments': 2 } ).properties[ 'circle-segments' ],
+			64,
+			'invalid number of segments'
+		);
+	} );
+
+	QUnit.test( 'isCircle()', function ( assert ) {
+		assert.true( circle.isCircle( circle.toFeature( [ 1, 2 ], 3 ) ) );
+		assert.false( circle.isCircle( { type: 'Feature', properties: { 'circle-center': [ 1, 2 ] } } ) );
+		assert.false( circle.isCircle( { type: 'Feature', properties: { 'circle-center': [ '1', 2 ], 'circle-radius': 3 } } ) );
+		assert.false( circle.isCircle( { type: 'Feature', properties: { 'circle-center': [ 1, 2 ], 'circle-radius': 0 } } ) );
+		assert.false( circle.isCircle( undefined ) );
+	} );
+}() );
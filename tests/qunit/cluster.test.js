@@ -0,0 +1,79 @@
+( function () {
+	const MarkerCluster = require( 'ext.kartographer.box' ).MarkerCluster;
+
+	function point( lng, lat, properties ) {
+		return { type: 'Feature', properties: properties || {}, geometry: { type: 'Point', coordinates: [ lng, lat ] } };
+	}
+
+	function createLayer( features ) {
+		return L.mapbox.featureLayer( { type: 'FeatureCollection', features: features }, {
+			sanitizer: ( geoJSON ) => geoJSON
+		} );
+	}
+
+	function getMarkers( group ) {
+		const markers = [];
+		group.eachLayer( ( marker ) => markers.push( marker ) );
+		return markers;
+	}
+
+	QUnit.module( 'ext.kartographer.box.MarkerCluster', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'clusterMarkers()', function ( assert ) {
+		const layer = createLayer( [
+			point( 1, 1, { title: 'A' } ),
+			{ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [ [ 0, 0 ], [ 1, 1 ] ] } },
+			point( 2, 2, { title: 'B' } )
+		] );
+
+		const group = MarkerCluster.clusterMarkers( layer );
+		const children = layer.getLayers();
+
+		assert.strictEqual( children.length, 2, 'the line stays, the markers are grouped' );
+		assert.true( children.indexOf( group ) !== -1 );
+		assert.deepEqual( getMarkers( group ).map( ( marker ) => marker.feature.properties.title ).sort(), [ 'A', 'B' ] );
+		assert.false( group.options.zoomToBoundsOnClick );
+		assert.true( group.options.spiderfyOnEveryZoom, 'clusters spiderfy on click' );
+
+		assert.strictEqual( MarkerCluster.clusterMarkers( createLayer( [] ) ), null, 'no markers' );
+	} );
+
+	QUnit.test( 'Cluster icons have the most common marker-color', function ( assert ) {
+		const group = MarkerCluster.clusterMarkers( createLayer( [
+			point( 1, 1, { 'marker-color': '#ff0000' } ),
+			point( 2, 2, { 'marker-color': '00F' } ),
+			point( 3, 3, { 'marker-color': '#0000ff' } ),
+			point( 4, 4, { 'marker-color': '00f' } ),
+			point( 5, 5 )
+		] ) );
+		const markers = getMarkers( group );
+		const getIcon = ( children ) => $( group.options.iconCreateFunction( {
+			getAllChildMarkers: () => children,
+			getChildCount: () => children.length
+		} ).options.html );
+		const withColor = ( color ) => markers.filter(
+			( marker ) => marker.feature.properties[ 'marker-color' ] === color
+		);
+
+		assert.strictEqual( getIcon( markers ).text(), '5' );
+		assert.strictEqual( getIcon( markers ).attr( 'style' ), 'background-color: #00f' );
+		assert.strictEqual( getIcon( withColor( '#ff0000' ) ).attr( 'style' ), 'background-color: #ff0000' );
+		assert.strictEqual( getIcon( withColor( undefined ) ).attr( 'style' ), 'background-color: #7e7e7e', 'default color' );
+	} );
+
+	QUnit.test( 'Opening the popup of a clustered marker shows it first', function ( assert ) {
+		const layer = createLayer( [ point( 1, 1, { title: 'A' } ), point( 1, 1, { title: 'B' } ) ] );
+		const group = MarkerCluster.clusterMarkers( layer );
+		const marker = getMarkers( group )[ 0 ];
+		const zoomToShowLayer = this.sandbox.stub( group, 'zoomToShowLayer' );
+
+		layer.addTo( L.map( $( '<div>' ).css( { width: 300, height: 200 } ).appendTo( '#qunit-fixture' )[ 0 ], {
+			// Needed by clusters
+			maxZoom: 18
+		} ).setView( [ 0, 0 ], 2 ) );
+		marker.bindPopup( 'A' ).openPopup();
+
+		assert.true( zoomToShowLayer.calledOnce );
+		assert.strictEqual( zoomToShowLayer.firstCall.args[ 0 ], marker );
+	} );
+}() );
@@ -0,0 +1,277 @@
+( function () {
+	const Box = require( 'ext.kartographer.box' ),
+		DataManager = Box.DataManager,
+		ResponseCache = Box.ResponseCache;
+
+	function mockApi( sandbox ) {
+		const requests = [];
+		sandbox.stub( mw.Api.prototype, 'get' ).callsFake( function ( params ) {
+			const deferred = $.Deferred(),
+				request = { params: params, deferred: deferred, aborted: false };
+			requests.push( request );
+			return deferred.promise( {
+				abort: function () {
+					request.aborted = true;
+					deferred.reject( 'http' );
+				}
+			} );
+		} );
+		return requests;
+	}
+
+	function respond( request, mapdata ) {
+		request.deferred.resolve( { query: { pages: [ { mapdata: JSON.stringify( mapdata ) } ] } } );
+	}
+
+	const geoJSON = { type: 'Feature', geometry: { type: 'Point', coordinates: [ 0, 0 ] } };
+
+	QUnit.module( 'ext.kartographer.box.DataManager', QUnit.newMwEnvironment( {
+		afterEach: function () {
+			new ResponseCache( 'kartographer-externaldata' ).clear();
+		}
+	} ) );
+
+	QUnit.test( 'Groups that are loading already are not requested again', function ( assert ) {
+		const requests = mockApi( this.sandbox ),
+			first = DataManager().loadGroups( [ 'a', 'b' ], 'Test' ),
+			second = DataManager().loadGroups( [ 'b', 'c' ], 'Test' );
+
+		assert.strictEqual( requests.length, 2 );
+		assert.strictEqual( requests[ 0 ].params.mpdgroups, 'a|b' );
+		assert.strictEqual( requests[ 1 ].params.mpdgroups, 'c', 'only the missing group' );
+
+		respond( requests[ 0 ], { a: geoJSON, b: geoJSON } );
+		respond( requests[ 1 ], { c: geoJSON } );
+
+		return $.when( first, second ).then( function ( firstGroups, secondGroups ) {
+			assert.deepEqual( firstGroups.map( ( group ) => group.name ), [ 'a', 'b' ] );
+			assert.deepEqual( secondGroups.map( ( group ) => group.name ), [ 'b', 'c' ] );
+			assert.false( secondGroups[ 0 ].failed, 'shared group' );
+		} );
+	} );
+
+	QUnit.test( 'Loading can be aborted', function ( assert ) {
+		const requests = mockApi( this.sandbox ),
+			// eslint-disable-next-line compat/compat
+			controller = new AbortController(),
+			aborted = DataManager( { signal: controller.signal } ).loadGroups( [ 'a' ], 'Test' ),
+			shared = DataManager( { signal: controller.signal } ).loadGroups( [ 'a' ], 'Test' ),
+			other = DataManager().loadGroups( [ 'a' ], 'Test' );
+
+		controller.abort();
+		assert.false( requests[ 0 ].aborted, 'a request other maps wait for is kept' );
+
+		respond( requests[ 0 ], { a: geoJSON } );
+
+		return $.when(
+			aborted.then( null, ( err ) => err.name ),
+			shared.then( null, ( err ) => err.name ),
+			other
+		).then( function ( abortedError, sharedError, groups ) {
+			assert.strictEqual( abortedError, 'AbortError' );
+			assert.strictEqual( sharedError, 'AbortError' );
+			assert.false( groups[ 0 ].failed );
+		} );
+	} );
+
+	QUnit.test( 'Requests no one waits for are aborted', function ( assert ) {
+		const requests = mockApi( this.sandbox ),
+			// eslint-disable-next-line compat/compat
+			controller = new AbortController(),
+			promise = DataManager( { signal: controller.signal } ).loadGroups( [ 'a' ], 'Test' );
+
+		controller.abort();
+		assert.true( requests[ 0 ].aborted );
+
+		return promise.then( null, function ( err ) {
+			assert.strictEqual( err.name, 'AbortError' );
+		} );
+	} );
+
+	QUnit.test( 'Removing the map cancels loading its ExternalData', function ( assert ) {
+		const requests = mockApi( this.sandbox ),
+			map = Box.map( {
+				container: $( '<div>' ).css( { width: 300, height: 200 } ).appendTo( '#qunit-fixture' )[ 0 ],
+				center: [ 0, 0 ],
+				zoom: 2
+			} ),
+			addGroups = this.sandbox.spy( map, 'addGroups' );
+		this.sandbox.stub( $, 'getJSON' ).callsFake( function () {
+			map.remove();
+			return $.Deferred().promise( { abort: function () {} } );
+		} );
+
+		const promise = map.addDataGroups( [ 'a' ] );
+		respond( requests[ 0 ], { a: [ {
+			type: 'ExternalData',
+			service: 'url',
+			url: 'https://data.example.org/a.geojson'
+		} ] } );
+
+		return promise.then( function () {
+			assert.true( false, 'loading is cancelled' );
+		}, function ( err ) {
+			assert.strictEqual( err.name, 'AbortError' );
+			assert.false( addGroups.called, 'nothing is added to the removed map' );
+			assert.strictEqual( map.dataErrorControl, undefined );
+		} );
+	} );
+
+	QUnit.test( 'Only data groups that failed are taken from the offline store', function ( assert ) {
+		const requests = mockApi( this.sandbox ),
+			map = Box.map( {
+				container: $( '<div>' ).css( { width: 300, height: 200 } ).appendTo( '#qunit-fixture' )[ 0 ],
+				center: [ 0, 0 ],
+				zoom: 2
+			} ),
+			addGroups = this.sandbox.stub( map, 'addGroups' ),
+			saved = [ 'a', 'b' ].map( ( id ) => ( {
+				name: id,
+				groupId: id,
+				failed: false,
+				getGeoJSON: () => geoJSON
+			} ) );
+		this.sandbox.stub( $, 'getJSON' ).returns( $.Deferred().reject( 'http' ).promise( { abort: function () {} } ) );
+		this.sandbox.stub( Box.OfflineStore, 'getGroups' ).returns( $.Deferred().resolve( saved ).promise() );
+
+		const promise = map.addDataGroups( [ 'a', 'b' ] );
+		respond( requests[ 0 ], {
+			a: geoJSON,
+			b: [ { type: 'ExternalData', service: 'url', url: 'https://data.example.org/b.geojson' } ]
+		} );
+
+		return promise.then( function () {
+			const groups = addGroups.firstCall.args[ 0 ];
+			assert.deepEqual( groups.map( ( group ) => group.groupId ), [ 'a', 'b' ] );
+			assert.notStrictEqual( groups[ 0 ], saved[ 0 ], 'loaded group is kept' );
+			assert.strictEqual( groups[ 1 ], saved[ 1 ], 'failed group is replaced' );
+			map.remove();
+		} );
+	} );
+
+	QUnit.test( 'Groups that time out are marked as failed', function ( assert ) {
+		const requests = mockApi( this.sandbox ),
+			promise = DataManager( { timeout: 10 } ).loadGroups( [ 'a', 'b' ], 'Test' );
+
+		return promise.then( function ( groups ) {
+			assert.true( requests[ 0 ].aborted );
+			assert.deepEqual( groups.map( ( group ) => group.name ), [ 'a', 'b' ] );
+			assert.true( groups[ 0 ].failed );
+			assert.strictEqual( groups[ 0 ].failureReason.name, 'TimeoutError' );
+		} );
+	} );
+
+	QUnit.test( 'TopoJSON is decoded', function ( assert ) {
+		const requests = mockApi( this.sandbox ),
+			topology = {
+				type: 'Topology',
+				arcs: [ [ [ 0, 0 ], [ 1, 1 ] ] ],
+				objects: {
+					data: {
+						type: 'GeometryCollection',
+						geometries: [
+							{ type: 'LineString', arcs: [ 0 ], properties: {} },
+							{ type: 'LineString', arcs: [ 0 ], properties: { stroke: '#ff0000' } }
+						]
+					}
+				}
+			};
+		this.sandbox.stub( $, 'getJSON' ).returns( $.Deferred().resolve( topology ).promise( {
+			abort: function () {}
+		} ) );
+
+		const promise = DataManager().loadGroups( [ 'a' ], 'Test' );
+		respond( requests[ 0 ], { a: [ {
+			type: 'ExternalData',
+			service: 'geoline',
+			url: 'https://maps.example/geoline?query=test',
+			properties: { stroke: '#0000ff', title: 'Test' }
+		} ] } );
+
+		return promise.then( function ( groups ) {
+			const data = groups[ 0 ].getGeoJSON();
+			assert.strictEqual( data.type, 'FeatureCollection' );
+			assert.deepEqual( data.features.map( ( feature ) => feature.geometry.type ), [ 'LineString', 'LineString' ] );
+			assert.deepEqual( data.features.map( ( feature ) => feature.properties ), [
+				{ stroke: '#0000ff', title: 'Test' },
+				{ stroke: '#ff0000', title: 'Test' }
+			], 'merged with the properties of the ExternalData' );
+		} );
+	} );
+
+	QUnit.test( 'ExternalData that is not GeoJSON fails', function ( assert ) {
+		const requests = mockApi( this.sandbox );
+		this.sandbox.stub( $, 'getJSON' ).returns( $.Deferred().resolve( { error: 'Not found' } ).promise( {
+			abort: function () {}
+		} ) );
+
+		const promise = DataManager().loadGroups( [ 'a' ], 'Test' );
+		respond( requests[ 0 ], { a: [ {
+			type: 'ExternalData',
+			service: 'url',
+			url: 'https://data.example.org/missing.geojson'
+		} ] } );
+
+		return promise.then( function ( groups ) {
+			assert.true( groups[ 0 ].failed );
+			assert.true( groups[ 0 ].failureReason instanceof Error );
+			assert.strictEqual( groups[ 0 ].getGeoJSON().service, 'url', 'service is kept' );
+		} );
+	} );
+
+	QUnit.test( 'HTML in ExternalData from other hosts is escaped', function ( assert ) {
+		const requests = mockApi( this.sandbox );
+		this.sandbox.stub( $, 'getJSON' ).returns( $.Deferred().resolve( {
+			type: 'FeatureCollection',
+			features: [
+				$.extend( {}, geoJSON, { properties: { title: '<img src=x onerror=alert(1)>', description: [ '<b>' ] } } ),
+				{ type: 'FeatureCollection', features: [ $.extend( {}, geoJSON, { properties: { title: '<b>' } } ) ] }
+			]
+		} ).promise( { abort: function () {} } ) );
+
+		const promise = DataManager().loadGroups( [ 'a' ], 'Test' );
+		respond( requests[ 0 ], { a: [ {
+			type: 'ExternalData',
+			service: 'url',
+			url: 'https://data.example.org/a.geojson',
+			properties: { 'marker-color': '#ff0000' }
+		} ] } );
+
+		return promise.then( function ( groups ) {
+			const features = groups[ 0 ].getGeoJSON().features;
+			assert.deepEqual( features[ 0 ].properties, {
+				title: '&lt;img src=x onerror=alert(1)&gt;',
+				description: '&lt;b&gt;',
+				'marker-color': '#ff0000'
+			} );
+			assert.strictEqual( features[ 1 ].features[ 0 ].properties.title, '&lt;b&gt;', 'nested collections' );
+		} );
+	} );
+
+	QUnit.test( 'Groups know their data group, and can be loaded again', function ( assert ) {
+		const requests = mockApi( this.sandbox ),
+			getJSON = this.sandbox.stub( $, 'getJSON' );
+		getJSON.returns( $.Deferred().reject( 'http' ).promise( { abort: function () {} } ) );
+
+		const promise = DataManager().loadGroups( [ 'a', 'b' ], 'Test' );
+		respond( requests[ 0 ], { a: [
+			{ type: 'ExternalData', service: 'url', url: 'https://data.example.org/a.geojson' },
+			geoJSON
+		] } );
+
+		return promise.then( function ( groups ) {
+			assert.deepEqual( groups.map( ( group ) => group.groupId ), [ 'a', 'a', 'b' ] );
+			assert.deepEqual( groups.map( ( group ) => group.failed ), [ true, false, true ] );
+
+			getJSON.returns( $.Deferred().resolve( { type: 'FeatureCollection', features: [ geoJSON ] } ).promise( {
+				abort: function () {}
+			} ) );
+			return DataManager().retryGroup( groups[ 0 ], 'Test' );
+		} ).then( function ( groups ) {
+			assert.strictEqual( requests.length, 1, 'only the ExternalData is loaded again' );
+			assert.strictEqual( groups.length, 1 );
+			assert.false( groups[ 0 ].failed );
+			assert.strictEqual( groups[ 0 ].groupId, 'a' );
+		} );
+	} );
+}() );
@@ -0,0 +1,72 @@
+( function () {
+	const DataErrorControl = require( 'ext.kartographer.box' ).DataErrorControl;
+
+	function createGroup( groupId, geoJSON, name ) {
+		const err = new Error( 'Timed out after 20 seconds' );
+		err.name = name || 'TimeoutError';
+		return {
+			groupId: groupId,
+			failed: true,
+			failureReason: err,
+			getGeoJSON: () => geoJSON
+		};
+	}
+
+	function createMap() {
+		return L.map( $( '<div>' ).css( { width: 300, height: 200 } ).appendTo( '#qunit-fixture' )[ 0 ] )
+			.setView( [ 0, 0 ], 2 );
+	}
+
+	QUnit.module( 'ext.kartographer.box.DataErrorControl', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'Failed groups are listed', function ( assert ) {
+		const map = createMap(),
+			control = new DataErrorControl().addTo( map ),
+			$container = $( control.getContainer() );
+
+		assert.strictEqual( $container.css( 'display' ), 'none', 'hidden without failed groups' );
+
+		control.addGroup( createGroup( 'sights', null ) )
+			.addGroup( createGroup( '_0123abcd', { type: 'ExternalData', service: 'geoshape', url: 'https://maps.example/geoshape' }, 'Error' ) );
+
+		const $items = $container.find( 'li' );
+		assert.strictEqual( $items.length, 2 );
+		assert.strictEqual( $items.eq( 0 ).find( 'strong' ).text(), 'sights' );
+		assert.strictEqual( $items.eq( 1 ).find( 'strong' ).text(), '(kartographer-data-error-externaldata: geoshape)' );
+		assert.strictEqual( $items.eq( 0 ).find( 'span' ).text(), '(kartographer-data-error-timeout)', 'with the reason' );
+		assert.strictEqual( $items.eq( 1 ).find( 'span' ).text(), '(kartographer-data-error-unknown)', 'not the message for developers' );
+		assert.strictEqual( $container.find( '.mw-kartographer-data-error-details' ).length, 0 );
+
+		map.remove();
+	} );
+
+	QUnit.test( 'Details', function ( assert ) {
+		const map = createMap(),
+			control = new DataErrorControl( { details: true } ).addTo( map );
+
+		control.addGroup( createGroup( '_0123abcd', { type: 'ExternalData', service: 'geoshape', url: 'https://maps.example/geoshape' } ) );
+
+		const $details = $( control.getContainer() ).find( '.mw-kartographer-data-error-details' );
+		assert.strictEqual( $details.find( 'code' ).first().text(), '_0123abcd' );
+		assert.strictEqual( $details.find( 'span' ).text(), 'Timed out after 20 seconds' );
+		assert.strictEqual( $details.find( 'a' ).attr( 'href' ), 'https://maps.example/geoshape' );
+
+		map.remove();
+	} );
+
+	QUnit.test( 'Retry', function ( assert ) {
+		const map = createMap(),
+			control = new DataErrorControl().addTo( map ),
+			group = createGroup( 'sights', null );
+
+		map.retryDataGroup = this.sandbox.stub();
+		control.addGroup( group );
+		$( control.getContainer() ).find( '.mw-kartographer-data-error-retry' ).trigger( 'click' );
+
+		assert.true( map.retryDataGroup.calledWith( group ) );
+		assert.strictEqual( control.groups.length, 0 );
+		assert.strictEqual( $( control.getContainer() ).find( 'li' ).length, 0 );
+
+		map.remove();
+	} );
+}() );
@@ -0,0 +1,69 @@
+( function () {
+	const exporter = require( 'ext.kartographer.dialog' ).private.exporter;
+
+	function getMap( geoJSON ) {
+		return { dataLayers: [ { getGeoJSON: () => geoJSON } ] };
+	}
+
+	QUnit.module( 'ext.kartographer.dialog.export', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'Collects features from all data layers', function ( assert ) {
+		const features = exporter.getFeatures( getMap( [
+			{
+				type: 'Feature',
+				properties: { title: '<b>Berlin</b> &amp; more', 'marker-color': '#f00' },
+				geometry: { type: 'Point', coordinates: [ 13.4, 52.5 ] }
+			},
+			// Resolved ExternalData
+			{
+				type: 'FeatureCollection',
+				service: 'geoshape',
+				features: [ { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [ 1, 2 ] } } ]
+			},
+			{ type: 'Feature', service: 'geomask', properties: {}, geometry: { type: 'Polygon', coordinates: [] } },
+			{ type: 'ExternalData', service: 'page', title: 'Unresolved.map' }
+		] ) );
+
+		assert.deepEqual( features, [
+			{
+				type: 'Feature',
+				properties: { title: 'Berlin & more', 'marker-color': '#f00' },
+				geometry: { type: 'Point', coordinates: [ 13.4, 52.5 ] }
+			},
+			{
+				type: 'Feature',
+				properties: {},
+				geometry: { type: 'Point', coordinates: [ 1, 2 ] }
+			}
+		] );
+	} );
+
+	QUnit.test( 'GPX', function ( assert ) {
+		assert.strictEqual(
+			exporter.toGpx( [
+				{ type: 'Feature', properties: { title: 'A & B' }, geometry: { type: 'Point', coordinates: [ 1, 2 ] } },
+				{ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [ [ 1, 2 ], [ 3, 4 ] ] } }
+			] ),
+			'<?xml version="1.0" encoding="UTF-8"?>\n' +
+			'<gpx version="1.1" creator="Kartographer" xmlns="http://www.topografix.com/GPX/1/1">' +
+			'<wpt lat="2" lon="1"><name>A &#38; B</name></wpt>' +
+			'<trk><trkseg><trkpt lat="2" lon="1"></trkpt><trkpt lat="4" lon="3"></trkpt></trkseg></trk>' +
+			'</gpx>\n'
+		);
+	} );
+
+	QUnit.test( 'KML', function ( assert ) {
+		assert.strictEqual(
+			exporter.toKml( [ {
+				type: 'Feature',
+				properties: { title: 'Area', stroke: '#ff0000', 'stroke-width': 2, fill: '00f', 'fill-opacity': 0.5 },
+				geometry: { type: 'Polygon', coordinates: [ [ [ 0, 0 ], [ 0, 1 ], [ 1, 1 ], [ 0, 0 ] ] ] }
+			} ] ),
+			'<?xml version="1.0" encoding="UTF-8"?>\n' +
+			'<kml xmlns="http://www.opengis.net/kml/2.2"><Document><Placemark><name>Area</name>' +
+			'<Style><LineStyle><color>ff0000ff</color><width>2</width></LineStyle><PolyStyle><color>80ff0000</color></PolyStyle></Style>' +
+			'<Polygon><outerBoundaryIs><LinearRing><coordinates>0,0 0,1 1,1 0,0</coordinates></LinearRing></outerBoundaryIs></Polygon>' +
+			'</Placemark></Document></kml>\n'
+		);
+	} );
+}() );
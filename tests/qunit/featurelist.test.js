@@ -0,0 +1,35 @@
+( function () {
+	const FeatureList = require( 'ext.kartographer.dialog.sidebar' ).FeatureList;
+
+	function point( title ) {
+		return { type: 'Feature', properties: { title: title }, geometry: { type: 'Point', coordinates: [ 1, 2 ] } };
+	}
+
+	QUnit.module( 'ext.kartographer.dialog.sidebar.FeatureList', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'getGroups()', function ( assert ) {
+		const map = {
+				dataLayers: [
+					L.mapbox.featureLayer( [ point( '<b>Museum</b>' ), point( 'Station' ) ], { name: 'Sights' } ),
+					L.mapbox.featureLayer( [], { name: 'Empty' } ),
+					L.mapbox.featureLayer( [ point( '' ) ], { name: '_0123456789abcdef' } )
+				]
+			},
+			groups = FeatureList.getGroups( map );
+
+		assert.deepEqual(
+			groups.map( ( group ) => [ group.name, group.items.map( ( item ) => item.title ) ] ),
+			[ [ 'Sights', [ 'Museum', 'Station' ] ], [ '', [ '' ] ] ],
+			'empty groups are skipped, hashes are not shown as names'
+		);
+		assert.strictEqual( groups[ 0 ].items[ 1 ].layer.getLatLng().lat, 2 );
+	} );
+
+	QUnit.test( 'matches()', function ( assert ) {
+		const item = { title: 'Central Station' };
+
+		assert.true( FeatureList.matches( item, 'station ' ) );
+		assert.true( FeatureList.matches( item, '' ) );
+		assert.false( FeatureList.matches( item, 'museum' ) );
+	} );
+}() );
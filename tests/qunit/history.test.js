@@ -0,0 +1,39 @@
+( function () {
+	const History = require( 'ext.kartographer.editing' ).History;
+
+	QUnit.module( 'ext.kartographer.editing.history', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'Undo and redo', function ( assert ) {
+		const history = new History();
+		history.reset( 'a' );
+
+		assert.false( history.canUndo(), 'nothing to undo initially' );
+		assert.strictEqual( history.undo(), null );
+
+		assert.true( history.record( 'b' ) );
+		assert.false( history.record( 'b' ), 'recording the current state is a no-op' );
+		history.record( 'c' );
+
+		assert.strictEqual( history.undo(), 'b' );
+		assert.strictEqual( history.undo(), 'a' );
+		assert.false( history.canUndo() );
+		assert.strictEqual( history.redo(), 'b' );
+		assert.true( history.canRedo() );
+
+		history.record( 'd' );
+		assert.false( history.canRedo(), 'recording drops the redo states' );
+		assert.strictEqual( history.undo(), 'b' );
+		assert.strictEqual( history.redo(), 'd' );
+		assert.strictEqual( history.redo(), null );
+	} );
+
+	QUnit.test( 'Limit', function ( assert ) {
+		const history = new History( 3 );
+		history.reset( 'a' );
+		[ 'b', 'c', 'd' ].forEach( ( snapshot ) => history.record( snapshot ) );
+
+		assert.strictEqual( history.undo(), 'c' );
+		assert.strictEqual( history.undo(), 'b' );
+		assert.false( history.canUndo(), 'oldest state was dropped' );
+	} );
+}() );
@@ -0,0 +1,95 @@
+( function () {
+	const importer = require( 'ext.kartographer.editing' ).importer;
+
+	QUnit.module( 'ext.kartographer.editing.import', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'GPX', function ( assert ) {
+		const gpx = '<?xml version="1.0"?>' +
+			'<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpx_style="http://www.topografix.com/GPX/gpx_style/0/2">' +
+			'<wpt lat="52.5" lon="13.4"><name>Berlin</name><desc>Capital</desc></wpt>' +
+			'<rte><name>Route</name><rtept lat="1" lon="2"/><rtept lat="3" lon="4"/></rte>' +
+			'<trk><name>Track</name>' +
+			'<extensions><gpx_style:line><gpx_style:color>FF0000</gpx_style:color><gpx_style:width>3</gpx_style:width></gpx_style:line></extensions>' +
+			'<trkseg><trkpt lat="1" lon="2"/><trkpt lat="3" lon="4"/></trkseg>' +
+			'<trkseg><trkpt lat="5" lon="6"/><trkpt lat="7" lon="8"/></trkseg>' +
+			'</trk></gpx>';
+
+		assert.deepEqual( importer.fromGpx( gpx ).features, [
+			{
+				type: 'Feature',
+				properties: { title: 'Berlin', description: 'Capital' },
+				geometry: { type: 'Point', coordinates: [ 13.4, 52.5 ] }
+			},
+			{
+				type: 'Feature',
+				properties: { title: 'Route' },
+				geometry: { type: 'LineString', coordinates: [ [ 2, 1 ], [ 4, 3 ] ] }
+			},
+			{
+				type: 'Feature',
+				properties: { title: 'Track', stroke: '#ff0000', 'stroke-width': 3 },
+				geometry: { type: 'MultiLineString', coordinates: [ [ [ 2, 1 ], [ 4, 3 ] ], [ [ 6, 5 ], [ 8, 7 ] ] ] }
+			}
+		] );
+	} );
+
+	QUnit.test( 'KML', function ( assert ) {
+		const kml = '<?xml version="1.0"?>' +
+			'<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+			'<Style id="red"><LineStyle><color>800000ff</color><width>4</width></LineStyle></Style>' +
+			'<StyleMap id="redMap"><Pair><key>normal</key><styleUrl>#red</styleUrl></Pair></StyleMap>' +
+			'<Placemark><name>Line</name><styleUrl>#redMap</styleUrl>' +
+			'<LineString><coordinates>2,1,0 4,3,0</coordinates></LineString></Placemark>' +
+			'<Placemark><name>Area</name><description>Somewhere</description>' +
+			'<Style><PolyStyle><color>ff00ff00</color></PolyStyle></Style>' +
+			'<Polygon><outerBoundaryIs><LinearRing><coordinates>0,0 0,1 1,1 0,0</coordinates></LinearRing></outerBoundaryIs></Polygon>' +
+			'</Placemark>' +
+			'</Document></kml>';
+
+		assert.deepEqual( importer.fromKml( kml ).features, [
+			{
+				type: 'Feature',
+				properties: { title: 'Line', stroke: '#ff0000', 'stroke-opacity': 0.5, 'stroke-width': 4 },
+				geometry: { type: 'LineString', coordinates: [ [ 2, 1 ], [ 4, 3 ] ] }
+			},
+			{
+				type: 'Feature',
+				properties: { title: 'Area', description: 'Somewhere', fill: '#00ff00', 'fill-opacity': 1 },
+				geometry: { type: 'Polygon', coordinates: [ [ [ 0, 0 ], [ 0, 1 ], [ 1, 1 ], [ 0, 0 ] ] ] }
+			}
+		] );
+	} );
+
+	QUnit.test( 'CSV', function ( assert ) {
+		const csv = 'Name;Latitude;Longitude;marker-color;Population\n' +
+			'"Berlin; Germany";52.5;13.4;#f00;3600000\n' +
+			'\n' +
+			'Nowhere;;;;\n' +
+			'"Say ""hi""";1;2;;\n';
+
+		assert.deepEqual( importer.fromCsv( csv ).features, [
+			{
+				type: 'Feature',
+				properties: { title: 'Berlin; Germany', 'marker-color': '#f00' },
+				geometry: { type: 'Point', coordinates: [ 13.4, 52.5 ] }
+			},
+			{
+				type: 'Feature',
+				properties: { title: 'Say "hi"' },
+				geometry: { type: 'Point', coordinates: [ 2, 1 ] }
+			}
+		] );
+	} );
+
+	QUnit.test( 'fromText() errors', function ( assert ) {
+		assert.throws( () => importer.fromText( 'map.png', '' ), ( e ) => e.code === 'format' );
+		assert.throws( () => importer.fromText( 'track.gpx', '<gpx>' ), ( e ) => e.code === 'parse' );
+		assert.throws( () => importer.fromText( 'places.csv', 'name,city\nfoo,bar' ), ( e ) => e.code === 'parse' );
+		assert.throws( () => importer.fromText( 'track.gpx', '<gpx></gpx>' ), ( e ) => e.code === 'empty' );
+		assert.strictEqual(
+			importer.fromText( 'export.xml', '<kml><Placemark><Point><coordinates>1,2</coordinates></Point></Placemark></kml>' ).features.length,
+			1,
+			'format detected from the content'
+		);
+	} );
+}() );
@@ -0,0 +1,79 @@
+( function () {
+	const Box = require( 'ext.kartographer.box' ),
+		TileLayers = Box.TileLayers;
+
+	QUnit.module( 'ext.kartographer.box.TileLayers', QUnit.newMwEnvironment( {
+		config: {
+			wgKartographerMapServer: 'https://maps.example'
+		}
+	} ) );
+
+	QUnit.test( 'register()', function ( assert ) {
+		assert.throws( () => TileLayers.register( 'test-invalid', { name: 'No URL' } ) );
+		assert.strictEqual( TileLayers.get( 'test-invalid' ), undefined );
+		assert.strictEqual( TileLayers.create( 'test-invalid' ), null );
+
+		TileLayers.register( 'test-topo', {
+			name: 'Topo',
+			url: 'https://{s}.topo.example/{z}/{x}/{y}.png',
+			attribution: '© Example',
+			maxZoom: 17,
+			subdomains: 'ab'
+		} );
+		const layer = TileLayers.create( 'test-topo' );
+		assert.strictEqual( layer.options.maxZoom, 17 );
+		assert.strictEqual( layer.options.attribution, '© Example' );
+		assert.deepEqual( layer.options.subdomains, [ 'a', 'b' ] );
+		assert.notStrictEqual( TileLayers.getIds().indexOf( 'test-topo' ), -1 );
+	} );
+
+	QUnit.test( 'Maps offer the registered layers', function ( assert ) {
+		TileLayers.register( 'test-satellite', { name: 'Satellite', url: 'https://satellite.example/{z}/{x}/{y}.jpg' } );
+		TileLayers.register( 'test-trails', { name: 'Trails', url: 'https://trails.example/{z}/{x}/{y}.png', overlay: true } );
+
+		const map = Box.map( {
+			container: $( '<div>' ).css( { width: 300, height: 200 } ).appendTo( '#qunit-fixture' )[ 0 ],
+			center: [ 0, 0 ],
+			zoom: 2,
+			alwaysInteractive: true
+		} );
+
+		assert.true( !!map.layersControl, 'layers control is added' );
+		assert.true( map.hasLayer( map.wikimediaLayer ) );
+		assert.strictEqual( map.baseLayerId, 'wikimedia' );
+		assert.false( map.hasLayer( map.tileLayers[ 'test-satellite' ] ), 'other base layers are only offered' );
+		assert.false( map.hasLayer( map.tileLayers[ 'test-trails' ] ), 'overlays are only offered' );
+
+		assert.true( map.setBaseLayer( 'test-satellite' ) );
+		assert.true( map.hasLayer( map.tileLayers[ 'test-satellite' ] ) );
+		assert.false( map.hasLayer( map.wikimediaLayer ) );
+		assert.strictEqual( map.baseLayerId, 'test-satellite' );
+
+		assert.false( map.setBaseLayer( 'test-trails' ), 'overlays are not base layers' );
+		assert.false( map.setBaseLayer( 'test-unknown' ) );
+
+		const layer = map.addOverlay( 'test-hillshading', { name: 'Hillshading', url: 'https://hills.example/{z}/{x}/{y}.png' } );
+		assert.strictEqual( map.tileLayers[ 'test-hillshading' ], layer );
+		assert.strictEqual( map.addOverlay( 'test-hillshading' ), layer, 'added only once' );
+
+		map.remove();
+	} );
+
+	QUnit.test( 'LayersControl.replaceLayer()', function ( assert ) {
+		const map = L.map( $( '<div>' ).css( { width: 300, height: 200 } ).appendTo( '#qunit-fixture' )[ 0 ] )
+				.setView( [ 0, 0 ], 2 ),
+			raster = L.tileLayer( 'https://raster.example/{z}/{x}/{y}.png' ),
+			replacement = L.tileLayer( 'https://replacement.example/{z}/{x}/{y}.png' ),
+			control = new Box.LayersControl().addTo( map );
+
+		control.addBaseLayer( raster, 'Base' ).addBaseLayer( L.tileLayer( 'https://other.example/{z}/{x}/{y}.png' ), 'Other' );
+		control.replaceLayer( raster, replacement );
+		map.addLayer( replacement );
+
+		const $inputs = $( control.getContainer() ).find( 'input' );
+		assert.strictEqual( $inputs.length, 2, 'no layer is added' );
+		assert.true( $inputs[ 0 ].checked, 'the replacement has the place of the layer' );
+
+		map.remove();
+	} );
+}() );
@@ -0,0 +1,77 @@
+( function () {
+	const Box = require( 'ext.kartographer.box' );
+
+	function createMap() {
+		return L.map( $( '<div>' ).css( { width: 300, height: 200 } ).appendTo( '#qunit-fixture' )[ 0 ] )
+			.setView( [ 0, 0 ], 2 );
+	}
+
+	function createLayer( rendering ) {
+		const layer = L.featureGroup();
+		layer.rendering = Box.Rendering.normalize( rendering );
+		return layer;
+	}
+
+	QUnit.module( 'ext.kartographer.box.LegendControl', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'Choropleth', function ( assert ) {
+		const map = createMap(),
+			control = new Box.LegendControl().addTo( map ),
+			layer = createLayer( {
+				mode: 'choropleth',
+				property: 'population',
+				colors: [ '#eeeeee', '#999999', '#333333' ],
+				breaks: [ 10, 100.125 ]
+			} ).addTo( map );
+
+		control.addLayer( layer );
+
+		const $items = $( control.getContainer() ).find( 'li' );
+		assert.strictEqual( $( control.getContainer() ).find( 'strong' ).text(), 'population', 'titled by the property' );
+		assert.deepEqual( $items.map( ( i, item ) => $( item ).text().trim() ).get(), [
+			'(kartographer-legend-below: 10)',
+			'(kartographer-legend-range: 10, 100.13)',
+			'(kartographer-legend-above: 100.13)'
+		] );
+		assert.strictEqual( $items.find( '.mw-kartographer-legend-swatch' ).length, 3 );
+
+		map.remove();
+	} );
+
+	QUnit.test( 'Heatmap', function ( assert ) {
+		const map = createMap(),
+			control = new Box.LegendControl().addTo( map );
+
+		control.addLayer( createLayer( { mode: 'heatmap', title: 'Visitors' } ).addTo( map ) );
+
+		const $container = $( control.getContainer() );
+		assert.strictEqual( $container.find( 'strong' ).text(), 'Visitors' );
+		assert.strictEqual( $container.find( '.mw-kartographer-legend-gradient' ).length, 1 );
+		assert.strictEqual( $container.find( '.mw-kartographer-legend-scale' ).text(),
+			'(kartographer-legend-low)(kartographer-legend-high)' );
+
+		map.remove();
+	} );
+
+	QUnit.test( 'Only layers on the map are listed', function ( assert ) {
+		const map = createMap(),
+			control = new Box.LegendControl().addTo( map ),
+			layer = createLayer( 'heatmap' ).addTo( map ),
+			$container = $( control.getContainer() );
+
+		assert.strictEqual( $container.css( 'display' ), 'none', 'hidden without layers' );
+
+		control.addLayer( layer );
+		assert.strictEqual( $container.find( '.mw-kartographer-legend-item' ).length, 1 );
+		assert.strictEqual( $container.find( 'strong' ).text(), '(kartographer-legend-density)' );
+
+		map.removeLayer( layer );
+		assert.strictEqual( $container.find( '.mw-kartographer-legend-item' ).length, 0 );
+		assert.strictEqual( $container.css( 'display' ), 'none' );
+
+		map.addLayer( layer );
+		assert.strictEqual( $container.find( '.mw-kartographer-legend-item' ).length, 1 );
+
+		map.remove();
+	} );
+}() );
@@ -0,0 +1,64 @@
+( function () {
+	const LocateControl = require( 'ext.kartographer.box' ).LocateControl;
+
+	function position( lat, lng ) {
+		return { coords: { latitude: lat, longitude: lng, accuracy: 20 } };
+	}
+
+	QUnit.module( 'ext.kartographer.box.LocateControl', QUnit.newMwEnvironment( {
+		beforeEach() {
+			const container = $( '<div>' ).css( { width: 400, height: 300 } ).appendTo( '#qunit-fixture' )[ 0 ];
+			this.map = L.map( container, { center: [ 0, 0 ], zoom: 2 } );
+			this.control = new LocateControl().addTo( this.map );
+			this.watchPosition = this.sandbox.stub( navigator.geolocation, 'watchPosition' ).returns( 7 );
+			this.clearWatch = this.sandbox.stub( navigator.geolocation, 'clearWatch' );
+		},
+		afterEach() {
+			this.map.remove();
+		}
+	} ) );
+
+	QUnit.test( 'Follows the position until the map is dragged', function ( assert ) {
+		const map = this.map,
+			control = this.control,
+			fitBounds = this.sandbox.spy( map, 'fitBounds' ),
+			panTo = this.sandbox.spy( map, 'panTo' );
+
+		control.link.click();
+		assert.true( this.watchPosition.calledOnce, 'started watching' );
+		assert.strictEqual( control.link.getAttribute( 'aria-pressed' ), 'true' );
+
+		const onLocationFound = this.watchPosition.firstCall.args[ 0 ];
+		onLocationFound( position( 52.5, 13.4 ) );
+		assert.true( map.hasLayer( control.layer ), 'position is shown' );
+		assert.true( fitBounds.calledOnce, 'zoomed to the position' );
+		assert.strictEqual( fitBounds.firstCall.args[ 1 ].maxZoom, LocateControl.zoom );
+
+		onLocationFound( position( 52.6, 13.4 ) );
+		assert.deepEqual( panTo.firstCall.args[ 0 ], L.latLng( 52.6, 13.4 ), 'follows the position' );
+
+		map.fire( 'dragstart' );
+		onLocationFound( position( 52.7, 13.4 ) );
+		assert.true( panTo.calledOnce, 'stopped following' );
+
+		control.link.click();
+		assert.true( fitBounds.calledTwice, 'centered again' );
+		assert.false( this.clearWatch.called );
+
+		control.link.click();
+		assert.true( this.clearWatch.calledWith( 7 ), 'stopped watching' );
+		assert.false( map.hasLayer( control.layer ), 'position is removed' );
+		assert.strictEqual( control.link.getAttribute( 'aria-pressed' ), 'false' );
+	} );
+
+	QUnit.test( 'Stops on errors', function ( assert ) {
+		const notify = this.sandbox.stub( mw, 'notify' );
+
+		this.control.start();
+		this.watchPosition.firstCall.args[ 1 ]( { code: 1 } );
+
+		assert.true( this.clearWatch.calledWith( 7 ) );
+		assert.strictEqual( notify.firstCall.args[ 0 ], mw.msg( 'kartographer-locate-denied' ) );
+		assert.strictEqual( notify.firstCall.args[ 1 ].type, 'error' );
+	} );
+}() );
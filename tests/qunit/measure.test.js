@@ -0,0 +1,42 @@
+( function () {
+	const MeasureControl = require( 'ext.kartographer.dialog' ).private.MeasureControl;
+
+	QUnit.module( 'ext.kartographer.dialog.MeasureControl', QUnit.newMwEnvironment( {
+		messages: {
+			'kartographer-measure-meters': '$1 m',
+			'kartographer-measure-kilometers': '$1 km',
+			'kartographer-measure-feet': '$1 ft',
+			'kartographer-measure-miles': '$1 mi',
+			'kartographer-measure-square-meters': '$1 m²',
+			'kartographer-measure-square-kilometers': '$1 km²',
+			'kartographer-measure-square-feet': '$1 sq ft',
+			'kartographer-measure-acres': '$1 acres',
+			'kartographer-measure-square-miles': '$1 sq mi'
+		}
+	} ) );
+
+	QUnit.test( 'getArea()', function ( assert ) {
+		// One degree of latitude on Leaflet's earth is 111195 m
+		const square = [ L.latLng( 0, 0 ), L.latLng( 0, 1 ), L.latLng( 1, 1 ), L.latLng( 1, 0 ) ],
+			area = MeasureControl.getArea( square );
+
+		assert.true( Math.abs( area / 111195 / 111195 - 1 ) < 0.001, 'about one square degree' );
+		assert.strictEqual( MeasureControl.getArea( square.slice().reverse() ), area, 'direction doesn\'t matter' );
+		assert.strictEqual( MeasureControl.getArea( square.slice( 0, 2 ) ), 0, 'no area' );
+	} );
+
+	QUnit.test( 'formatDistance()', function ( assert ) {
+		assert.strictEqual( MeasureControl.formatDistance( 850.4, true ), '850 m' );
+		assert.strictEqual( MeasureControl.formatDistance( 12345, true ), '12.3 km' );
+		assert.strictEqual( MeasureControl.formatDistance( 1000, false ), '3,281 ft' );
+		assert.strictEqual( MeasureControl.formatDistance( 16093.44, false ), '10 mi' );
+	} );
+
+	QUnit.test( 'formatArea()', function ( assert ) {
+		assert.strictEqual( MeasureControl.formatArea( 2500, true ), '2,500 m²' );
+		assert.strictEqual( MeasureControl.formatArea( 1.5e6, true ), '1.5 km²' );
+		assert.strictEqual( MeasureControl.formatArea( 2000, false ), '21,528 sq ft' );
+		assert.strictEqual( MeasureControl.formatArea( 40468.564224, false ), '10 acres' );
+		assert.strictEqual( MeasureControl.formatArea( 2589988.110336 * 2, false ), '2 sq mi' );
+	} );
+}() );
@@ -0,0 +1,45 @@
+( function () {
+	const OfflineStore = require( 'ext.kartographer.box' ).OfflineStore;
+
+	QUnit.module( 'ext.kartographer.box.OfflineStore', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'getTileUrls()', function ( assert ) {
+		const world = L.latLngBounds( [ -85, -180 ], [ 85, 180 ] ),
+			berlin = L.latLngBounds( [ 52.4, 13.2 ], [ 52.6, 13.6 ] );
+
+		assert.deepEqual(
+			OfflineStore.getTileUrls( 'https://maps.example/osm/{z}/{x}/{y}.png?lang=en', world, 0, 1 ),
+			[
+				'https://maps.example/osm/0/0/0.png?lang=en',
+				'https://maps.example/osm/1/0/0.png?lang=en',
+				'https://maps.example/osm/1/0/1.png?lang=en',
+				'https://maps.example/osm/1/1/0.png?lang=en',
+				'https://maps.example/osm/1/1/1.png?lang=en'
+			]
+		);
+		assert.deepEqual(
+			OfflineStore.getTileUrls( '{z}/{x}/{y}', berlin, 10, 11 ),
+			[
+				'10/549/335', '10/549/336', '10/550/335', '10/550/336',
+				'11/1099/670', '11/1099/671', '11/1099/672',
+				'11/1100/670', '11/1100/671', '11/1100/672',
+				'11/1101/670', '11/1101/671', '11/1101/672'
+			]
+		);
+	} );
+
+	QUnit.test( 'estimate()', function ( assert ) {
+		const berlin = L.latLngBounds( [ 52.4, 13.2 ], [ 52.6, 13.6 ] );
+
+		assert.deepEqual( OfflineStore.estimate( berlin, 10, 11 ), {
+			tiles: 13,
+			size: 13 * OfflineStore.AVERAGE_TILE_SIZE,
+			tooLarge: false
+		} );
+		assert.strictEqual(
+			OfflineStore.estimate( berlin, 10, 15 ).tiles,
+			OfflineStore.getTileUrls( '{z}/{x}/{y}', berlin, 10, 15 ).length
+		);
+		assert.true( OfflineStore.estimate( berlin, 10, 18 ).tooLarge );
+	} );
+}() );
@@ -0,0 +1,96 @@
+( function () {
+	const Box = require( 'ext.kartographer.box' ),
+		Rendering = Box.Rendering;
+
+	function feature( type, coordinates, properties ) {
+		return { type: 'Feature', properties: properties || {}, geometry: { type: type, coordinates: coordinates } };
+	}
+
+	function square( x, properties ) {
+		return feature( 'Polygon', [ [ [ x, 0 ], [ x + 1, 0 ], [ x + 1, 1 ], [ x, 1 ], [ x, 0 ] ] ], properties );
+	}
+
+	QUnit.module( 'ext.kartographer.box.Rendering', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'normalize()', function ( assert ) {
+		assert.strictEqual( Rendering.normalize().mode, 'points' );
+		assert.strictEqual( Rendering.normalize( 'heatmap' ).mode, 'heatmap', 'only the mode' );
+		assert.strictEqual( Rendering.normalize( 'heatmap' ).colors.length, 5, 'default ramp' );
+
+		const config = Rendering.normalize( {
+			mode: 'choropleth',
+			property: 'population',
+			colors: [ '#eee', '#999', '#333' ],
+			breaks: [ 10, 100 ]
+		} );
+		assert.deepEqual( config.breaks, [ 10, 100 ] );
+		assert.deepEqual( config.colors, [ '#eee', '#999', '#333' ] );
+
+		assert.deepEqual( Rendering.normalize( {
+			mode: 'choropleth',
+			property: 'population',
+			colors: [ '#eee', '#999', '#333' ]
+		}, [ square( 0, { population: 0 } ), square( 1, { population: '300' } ), square( 2 ) ] ).breaks, [ 100, 200 ], 'equal intervals' );
+
+		assert.throws( () => Rendering.normalize( 'dots' ), /Unknown rendering mode/ );
+		assert.throws( () => Rendering.normalize( 'choropleth' ), /needs a property/ );
+		assert.throws( () => Rendering.normalize( {
+			mode: 'choropleth', property: 'population', colors: [ '#eee', '#333' ], breaks: [ 10, 100 ]
+		} ), /one color more than breaks/ );
+		assert.throws( () => Rendering.normalize( {
+			mode: 'choropleth', property: 'population', colors: [ '#eee', '#999', '#333' ], breaks: [ 100, 10 ]
+		} ), /ascending/ );
+	} );
+
+	QUnit.test( 'getClass()', function ( assert ) {
+		const config = { breaks: [ 10, 100 ] };
+
+		assert.strictEqual( Rendering.getClass( config, 5 ), 0 );
+		assert.strictEqual( Rendering.getClass( config, 10 ), 1, 'breaks start the upper class' );
+		assert.strictEqual( Rendering.getClass( config, 99 ), 1 );
+		assert.strictEqual( Rendering.getClass( config, 1000 ), 2 );
+	} );
+
+	QUnit.test( 'Choropleth', function ( assert ) {
+		const layer = Rendering.createLayer( {
+			type: 'FeatureCollection',
+			features: [
+				square( 0, { population: 5 } ),
+				square( 1, { population: 50, 'fill-opacity': 0.2 } ),
+				square( 2, { fill: '#00ff00' } )
+			]
+		}, {
+			rendering: { mode: 'choropleth', property: 'population', colors: [ '#eee', '#333' ], breaks: [ 10 ] }
+		} );
+		const styles = layer.getLayers().map( ( polygon ) => polygon.options );
+
+		assert.strictEqual( layer.rendering.mode, 'choropleth' );
+		assert.strictEqual( styles[ 0 ].fillColor, '#eee' );
+		assert.strictEqual( styles[ 0 ].fillOpacity, 0.7 );
+		assert.strictEqual( styles[ 1 ].fillColor, '#333' );
+		assert.strictEqual( styles[ 1 ].fillOpacity, 0.2, 'own opacity' );
+		assert.strictEqual( styles[ 2 ].fillColor, '#00ff00', 'simplestyle without a value' );
+	} );
+
+	QUnit.test( 'Heatmap', function ( assert ) {
+		const layer = Rendering.createLayer( [
+			feature( 'Point', [ 1, 2 ], { visitors: 10 } ),
+			feature( 'MultiPoint', [ [ 3, 4 ], [ 5, 6 ] ], { visitors: '20' } ),
+			feature( 'Point', [ 7, 8 ] ),
+			square( 0 )
+		], {
+			rendering: { mode: 'heatmap', property: 'visitors' }
+		} );
+		const children = layer.getLayers(),
+			heatmap = children.filter( ( child ) => child instanceof Box.HeatmapLayer )[ 0 ];
+
+		assert.strictEqual( children.length, 2, 'the polygon and the heatmap' );
+		assert.deepEqual( heatmap.points, [ [ 2, 1, 10 ], [ 4, 3, 20 ], [ 6, 5, 20 ] ], 'points without a weight are left out' );
+
+		const map = L.map( $( '<div>' ).css( { width: 300, height: 200 } ).appendTo( '#qunit-fixture' )[ 0 ] )
+			.setView( [ 4, 3 ], 4 );
+		layer.addTo( map );
+		assert.strictEqual( $( map.getPane( 'overlayPane' ) ).find( 'canvas.mw-kartographer-heatmap' ).length, 1 );
+		map.remove();
+	} );
+}() );
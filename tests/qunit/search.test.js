@@ -0,0 +1,80 @@
+( function () {
+	const Search = require( 'ext.kartographer.dialog' ).private.Search;
+
+	function point( lng, lat, properties ) {
+		return { type: 'Feature', properties: properties, geometry: { type: 'Point', coordinates: [ lng, lat ] } };
+	}
+
+	QUnit.module( 'ext.kartographer.dialog.search', QUnit.newMwEnvironment( {
+		beforeEach() {
+			this.server = this.sandbox.useFakeServer();
+			this.server.respondImmediately = true;
+		}
+	} ) );
+
+	QUnit.test( 'search() asks all backends in order', function ( assert ) {
+		const done = assert.async(),
+			first = {
+				name: 'first',
+				search: ( query ) => $.Deferred().resolve( [ { title: query + ' 1' } ] ).promise()
+			},
+			failing = {
+				name: 'failing',
+				search: () => $.Deferred().reject().promise()
+			},
+			second = {
+				name: 'second',
+				search: ( query ) => $.Deferred().resolve( [ { title: query + ' 2' } ] ).promise()
+			};
+
+		new Search( [ first, failing, second ] ).search( ' Berlin ', {} ).then( ( results ) => {
+			assert.deepEqual( results, [
+				{ backend: 'first', title: 'Berlin 1' },
+				{ backend: 'second', title: 'Berlin 2' }
+			] );
+			done();
+		} );
+	} );
+
+	QUnit.test( 'dataLayerBackend searches titles before descriptions', function ( assert ) {
+		const done = assert.async(),
+			map = {
+				dataLayers: [ L.mapbox.featureLayer( [
+					point( 1, 2, { title: 'Museum', description: 'Next to the <b>Tower</b>' } ),
+					point( 3, 4, { title: '<i>Tower</i>' } ),
+					point( 5, 6, { title: 'Station' } )
+				] ) ]
+			};
+
+		Search.dataLayerBackend.search( 'tower', map ).then( ( results ) => {
+			assert.deepEqual(
+				results.map( ( result ) => [ result.title, result.description, result.latLng.lng ] ),
+				[ [ 'Tower', '', 3 ], [ 'Museum', 'Next to the Tower', 1 ] ]
+			);
+			done();
+		} );
+	} );
+
+	QUnit.test( 'wikiBackend only returns articles with coordinates', function ( assert ) {
+		const done = assert.async();
+
+		this.server.respond( [ 200, { 'Content-Type': 'application/json' }, JSON.stringify( {
+			query: {
+				pages: [
+					{ title: 'Monaco', index: 2, coordinates: [ { lat: 43.7, lon: 7.4 } ] },
+					{ title: 'No Coordinates', index: 0 },
+					{ title: 'La Condamine', index: 1, description: 'Ward of Monaco', coordinates: [ { lat: 43.73, lon: 7.42 } ] }
+				]
+			}
+		} ) ] );
+
+		Search.wikiBackend.search( 'Monaco' ).then( ( results ) => {
+			assert.deepEqual(
+				results.map( ( result ) => [ result.title, result.description, result.latLng.lat ] ),
+				[ [ 'La Condamine', 'Ward of Monaco', 43.73 ], [ 'Monaco', '', 43.7 ] ]
+			);
+			assert.true( this.server.requests[ 0 ].url.indexOf( '&gsrsearch=Monaco&' ) !== -1 );
+			done();
+		} );
+	} );
+}() );
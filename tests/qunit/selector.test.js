@@ -0,0 +1,48 @@
+( function () {
+	const FeatureSelector = require( 'ext.kartographer.box' ).FeatureSelector;
+
+	function point( title ) {
+		return { type: 'Feature', properties: { title: title }, geometry: { type: 'Point', coordinates: [ 1, 2 ] } };
+	}
+
+	function createDataLayers() {
+		return [
+			L.mapbox.featureLayer( [ point( 'Museum' ), point( '<b>Main</b> station' ) ], { name: 'Sights' } ),
+			L.mapbox.featureLayer( [ point( 'Museum' ), point( 'Café/Bar' ), point( '' ) ] )
+		];
+	}
+
+	QUnit.module( 'ext.kartographer.box.FeatureSelector', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'find()', function ( assert ) {
+		const dataLayers = createDataLayers(),
+			sights = dataLayers[ 0 ].getLayers(),
+			others = dataLayers[ 1 ].getLayers();
+
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'feature/Museum' ), sights[ 0 ], 'first feature with the title' );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'feature/Main%20station' ), sights[ 1 ], 'plain text title' );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'feature/Caf%C3%A9%2FBar' ), others[ 1 ] );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'group/1' ), dataLayers[ 1 ] );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'group/Sights' ), dataLayers[ 0 ], 'group by name' );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'group/1/0' ), others[ 0 ] );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'group/Sights/1' ), sights[ 1 ] );
+
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'feature/Zoo' ), null );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'feature/' ), null );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'group/2' ), null );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'group/1/3' ), null );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'group/1/x' ), null );
+		assert.strictEqual( FeatureSelector.find( dataLayers, 'feature/%E0' ), null, 'invalid encoding' );
+	} );
+
+	QUnit.test( 'getSelector()', function ( assert ) {
+		const dataLayers = createDataLayers(),
+			others = dataLayers[ 1 ].getLayers();
+
+		assert.strictEqual( FeatureSelector.getSelector( dataLayers, dataLayers[ 0 ].getLayers()[ 1 ] ), 'feature/Main%20station' );
+		assert.strictEqual( FeatureSelector.getSelector( dataLayers, others[ 0 ] ), 'group/1/0', 'title is taken' );
+		assert.strictEqual( FeatureSelector.getSelector( dataLayers, others[ 1 ] ), 'feature/Caf%C3%A9%2FBar' );
+		assert.strictEqual( FeatureSelector.getSelector( dataLayers, others[ 2 ] ), 'group/1/2', 'no title' );
+		assert.strictEqual( FeatureSelector.getSelector( dataLayers, L.marker( [ 0, 0 ] ) ), null );
+	} );
+}() );
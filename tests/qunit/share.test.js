@@ -0,0 +1,43 @@
+( function () {
+	const Share = require( 'ext.kartographer.dialog' ).private.Share;
+
+	function createMap( options ) {
+		return $.extend( {
+			fullScreenRoute: '/map/0',
+			options: {},
+			captionText: '',
+			getMapPosition: () => ( { center: L.latLng( 52.51627, 13.37769 ), zoom: 13 } ),
+			getZoom: () => 13,
+			getScaleLatLng: ( lat, lng ) => [ lat.toFixed( 4 ), lng.toFixed( 4 ) ],
+			getHash: () => '/map/0/13/52.5163/13.3777'
+		}, options );
+	}
+
+	QUnit.module( 'ext.kartographer.dialog.share', QUnit.newMwEnvironment( {
+		config: {
+			wgKartographerDfltStyle: 'osm-intl'
+		}
+	} ) );
+
+	QUnit.test( 'getUrl()', function ( assert ) {
+		const url = location.href.replace( /#.*$/, '' );
+
+		assert.strictEqual( Share.getUrl( createMap() ), url + '#/map/0/13/52.5163/13.3777' );
+		assert.strictEqual( Share.getUrl( createMap( { fullScreenRoute: null } ) ), url, 'map without a route' );
+	} );
+
+	QUnit.test( 'getWikitext()', function ( assert ) {
+		assert.strictEqual(
+			Share.getWikitext( createMap() ),
+			'<mapframe latitude="52.5163" longitude="13.3777" zoom="13" width="400" height="300" />'
+		);
+		assert.strictEqual(
+			Share.getWikitext( createMap( { options: { style: 'osm' }, captionText: 'Brandenburger "Tor"' } ) ),
+			'<mapframe latitude="52.5163" longitude="13.3777" zoom="13" width="400" height="300" mapstyle="osm" text="Brandenburger &quot;Tor&quot;" />'
+		);
+	} );
+
+	QUnit.test( 'getGeoUri()', function ( assert ) {
+		assert.strictEqual( Share.getGeoUri( createMap() ), 'geo:52.5163,13.3777?z=13' );
+	} );
+}() );
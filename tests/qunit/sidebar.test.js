@@ -0,0 +1,37 @@
+( function () {
+	const SideBar = require( 'ext.kartographer.dialog.sidebar' );
+
+	function createSideBar() {
+		const sidebar = Object.create( SideBar.prototype );
+		sidebar.dialog = { map: { lang: 'de' } };
+		sidebar.initialMapPosition = { center: L.latLng( 52.5, 13.4 ), zoom: 12 };
+		sidebar.destination = null;
+		return sidebar;
+	}
+
+	QUnit.module( 'ext.kartographer.dialog.sidebar', QUnit.newMwEnvironment( {
+		config: {
+			wgTitle: 'Berlin'
+		}
+	} ) );
+
+	QUnit.test( 'formatLink()', function ( assert ) {
+		const sidebar = createSideBar();
+
+		assert.strictEqual(
+			sidebar.formatLink( 'https://example.org/?ll={latitude},{longitude}&z={zoom}&hl={language}&q={title}' ),
+			'https://example.org/?ll=52.5,13.4&z=12&hl=de&q=Berlin'
+		);
+		assert.strictEqual(
+			sidebar.formatLink( 'https://example.org/route?to={destLatitude},{destLongitude}&name={destTitle}' ),
+			'https://example.org/route?to=52.5,13.4&name=Berlin',
+			'the map center is the default destination'
+		);
+
+		sidebar.destination = { latLng: L.latLng( 52.52, 13.37 ), title: 'Reichstag & Tor' };
+		assert.strictEqual(
+			sidebar.formatLink( 'https://example.org/route?to={destLatitude},{destLongitude}&name={destTitle}' ),
+			'https://example.org/route?to=52.52,13.37&name=Reichstag%20%26%20Tor'
+		);
+	} );
+}() );
@@ -0,0 +1,89 @@
+( function () {
+	const simplifier = require( 'ext.kartographer.editing' ).simplifier;
+
+	// Zigzag along the equator, deviating about 1 m and 100 m from a straight line
+	const line = {
+		type: 'LineString',
+		coordinates: [ [ 0, 0 ], [ 0.001, 0.00001 ], [ 0.002, 0 ], [ 0.003, 0.001 ], [ 0.004, 0 ] ]
+	};
+
+	QUnit.module( 'ext.kartographer.editing.simplify', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'Douglas–Peucker', function ( assert ) {
+		assert.deepEqual(
+			simplifier.simplify( line, { tolerance: 10 } ).coordinates,
+			[ [ 0, 0 ], [ 0.002, 0 ], [ 0.003, 0.001 ], [ 0.004, 0 ] ]
+		);
+		assert.deepEqual(
+			simplifier.simplify( line, { tolerance: 1000 } ).coordinates,
+			[ [ 0, 0 ], [ 0.004, 0 ] ]
+		);
+		assert.deepEqual( simplifier.simplify( line, { tolerance: 0 } ), line, 'nothing removed' );
+	} );
+
+	QUnit.test( 'Visvalingam–Whyatt', function ( assert ) {
+		assert.deepEqual(
+			// The triangle at the 1 m bump is about 120 m², the threshold is 20² / 2 m²
+			simplifier.simplify( line, { method: 'visvalingam', tolerance: 20 } ).coordinates,
+			[ [ 0, 0 ], [ 0.002, 0 ], [ 0.003, 0.001 ], [ 0.004, 0 ] ]
+		);
+		assert.deepEqual(
+			simplifier.simplify( line, { method: 'visvalingam', tolerance: 1000 } ).coordinates,
+			[ [ 0, 0 ], [ 0.004, 0 ] ]
+		);
+	} );
+
+	QUnit.test( 'Rounding', function ( assert ) {
+		assert.deepEqual(
+			simplifier.simplify( {
+				type: 'Feature',
+				properties: { title: 'Kept' },
+				geometry: {
+					type: 'GeometryCollection',
+					geometries: [
+						{ type: 'Point', coordinates: [ 13.123456, 52.987654 ] },
+						{ type: 'LineString', coordinates: [ [ 1.01, 1 ], [ 1.02, 1 ], [ 2, 2 ] ] }
+					]
+				}
+			}, { decimals: 1 } ),
+			{
+				type: 'Feature',
+				properties: { title: 'Kept' },
+				geometry: {
+					type: 'GeometryCollection',
+					geometries: [
+						{ type: 'Point', coordinates: [ 13.1, 53 ] },
+						{ type: 'LineString', coordinates: [ [ 1, 1 ], [ 2, 2 ] ] }
+					]
+				}
+			}
+		);
+	} );
+
+	QUnit.test( 'Geometries are not broken', function ( assert ) {
+		const polygon = {
+			type: 'Polygon',
+			coordinates: [ [ [ 0, 0 ], [ 0.001, 0 ], [ 0.001, 0.001 ], [ 0, 0.001 ], [ 0, 0 ] ] ]
+		};
+
+		assert.deepEqual(
+			simplifier.simplify( polygon, { tolerance: 1000 } ),
+			polygon,
+			'rings keep at least 4 positions'
+		);
+		assert.deepEqual(
+			simplifier.simplify( line, { decimals: 0 } ),
+			line,
+			'lines keep at least 2 positions'
+		);
+	} );
+
+	QUnit.test( 'countVertices() and getByteLength()', function ( assert ) {
+		assert.strictEqual( simplifier.countVertices( [
+			{ type: 'Feature', geometry: line },
+			{ type: 'FeatureCollection', features: [ { type: 'Feature', geometry: { type: 'Point', coordinates: [ 1, 2 ] } } ] },
+			{ type: 'MultiPolygon', coordinates: [ [ [ [ 0, 0 ], [ 1, 0 ], [ 1, 1 ], [ 0, 0 ] ] ] ] }
+		] ), 10 );
+		assert.strictEqual( simplifier.getByteLength( 'a–ü😀' ), 1 + 3 + 2 + 4 );
+	} );
+}() );
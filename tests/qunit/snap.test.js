@@ -0,0 +1,50 @@
+( function () {
+	const snap = require( 'ext.kartographer.editing' ).snap;
+
+	function polygon( ring ) {
+		return { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [ ring ] } };
+	}
+
+	QUnit.module( 'ext.kartographer.editing.snap', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'mergeVertices() closes gaps between neighbors', function ( assert ) {
+		// About 5 m apart at the equator
+		const left = polygon( [ [ 0, 0 ], [ 0.001, 0 ], [ 0.001, 0.001 ], [ 0, 0.001 ], [ 0, 0 ] ] ),
+			right = polygon( [ [ 0.00104, 0 ], [ 0.002, 0 ], [ 0.002, 0.001 ], [ 0.00104, 0.001 ], [ 0.00104, 0 ] ] ),
+			result = snap.mergeVertices( [ left, right ], 10 );
+
+		assert.strictEqual( result.merged, 3, 'the closing vertex counts as well' );
+		assert.deepEqual(
+			result.features[ 1 ].geometry.coordinates[ 0 ],
+			[ [ 0.001, 0 ], [ 0.002, 0 ], [ 0.002, 0.001 ], [ 0.001, 0.001 ], [ 0.001, 0 ] ]
+		);
+		assert.deepEqual( result.features[ 0 ], left, 'first feature unchanged' );
+		assert.strictEqual( right.geometry.coordinates[ 0 ][ 0 ][ 0 ], 0.00104, 'input not modified' );
+	} );
+
+	QUnit.test( 'mergeVertices() drops duplicates, but keeps geometries valid', function ( assert ) {
+		const line = {
+				type: 'Feature',
+				properties: {},
+				geometry: { type: 'LineString', coordinates: [ [ 0, 0 ], [ 0.00001, 0 ], [ 0.001, 0 ] ] }
+			},
+			tiny = {
+				type: 'Feature',
+				properties: {},
+				geometry: { type: 'LineString', coordinates: [ [ 1, 1 ], [ 1.00001, 1 ] ] }
+			},
+			result = snap.mergeVertices( [ line, tiny ], 10 );
+
+		assert.deepEqual( result.features[ 0 ].geometry.coordinates, [ [ 0, 0 ], [ 0.001, 0 ] ] );
+		assert.deepEqual( result.features[ 1 ].geometry.coordinates, [ [ 1, 1 ], [ 1, 1 ] ] );
+	} );
+
+	QUnit.test( 'mergeVertices() filter', function ( assert ) {
+		const a = { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [ 0, 0 ] } },
+			b = { type: 'Feature', properties: { skip: true }, geometry: { type: 'Point', coordinates: [ 0.00001, 0 ] } },
+			result = snap.mergeVertices( [ a, b ], 10, ( feature ) => !feature.properties.skip );
+
+		assert.strictEqual( result.merged, 0 );
+		assert.strictEqual( result.features[ 1 ], b );
+	} );
+}() );
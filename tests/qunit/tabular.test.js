@@ -0,0 +1,59 @@
+( function () {
+	const Tabular = require( 'ext.kartographer.box' ).Tabular;
+
+	function createResponse( fields, data ) {
+		return {
+			jsondata: {
+				license: { code: 'CC0-1.0' },
+				schema: { fields: fields },
+				data: data
+			}
+		};
+	}
+
+	QUnit.module( 'ext.kartographer.box.Tabular', QUnit.newMwEnvironment( {
+		config: { wgUserLanguage: 'de' }
+	} ) );
+
+	QUnit.test( 'isTabular()', function ( assert ) {
+		assert.true( Tabular.isTabular( createResponse( [], [] ) ) );
+		assert.false( Tabular.isTabular( { jsondata: { data: { type: 'FeatureCollection', features: [] } } } ), 'map data' );
+		assert.false( Tabular.isTabular( null ) );
+	} );
+
+	QUnit.test( 'decode()', function ( assert ) {
+		const response = createResponse( [
+			{ name: 'title', type: 'localized' },
+			{ name: 'Lat', type: 'number' },
+			{ name: 'Lon', type: 'number' },
+			{ name: 'population', type: 'number' }
+		], [
+			[ { en: 'Berlin <b>', de: 'Berlin (DE)' }, 52.52, 13.405, 3645000 ],
+			[ { en: 'Munich' }, 48.137, 11.575, null ],
+			[ { en: 'Nowhere' }, null, null, 0 ]
+		] );
+
+		assert.deepEqual( Tabular.decode( response ), {
+			type: 'FeatureCollection',
+			features: [
+				{
+					type: 'Feature',
+					properties: { title: 'Berlin (DE)', population: 3645000 },
+					geometry: { type: 'Point', coordinates: [ 13.405, 52.52 ] }
+				},
+				{
+					type: 'Feature',
+					properties: { title: 'Munich' },
+					geometry: { type: 'Point', coordinates: [ 11.575, 48.137 ] }
+				}
+			]
+		} );
+
+		response.jsondata.data[ 0 ][ 0 ] = 'Berlin <b>';
+		assert.strictEqual( Tabular.decode( response ).features[ 0 ].properties.title, 'Berlin &lt;b&gt;', 'escaped' );
+
+		assert.throws( function () {
+			Tabular.decode( createResponse( [ { name: 'title', type: 'string' } ], [ [ 'Berlin' ] ] ) );
+		}, /latitude and longitude/ );
+	} );
+}() );
@@ -0,0 +1,55 @@
+( function () {
+	const Topology = require( 'ext.kartographer.box' ).Topology;
+
+	// Two squares that share a border, and a line
+	const topology = {
+		type: 'Topology',
+		arcs: [
+			[ [ 1, 0 ], [ 1, 1 ] ],
+			[ [ 1, 1 ], [ 0, 1 ], [ 0, 0 ], [ 1, 0 ] ],
+			[ [ 1, 0 ], [ 2, 0 ], [ 2, 1 ], [ 1, 1 ] ],
+			[ [ 5, 5 ], [ 6, 6 ] ]
+		],
+		objects: {
+			data: {
+				type: 'GeometryCollection',
+				geometries: [
+					{ type: 'Polygon', arcs: [ [ 1, 0 ] ], properties: { title: 'A' } },
+					{ type: 'Polygon', arcs: [ [ 2, -1 ] ], properties: { title: 'B', stroke: '#ff0000' } },
+					{ type: 'LineString', arcs: [ 3 ], properties: { title: 'C' } }
+				]
+			}
+		}
+	};
+
+	QUnit.module( 'ext.kartographer.box.Topology', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'isTopology()', function ( assert ) {
+		assert.true( Topology.isTopology( topology ) );
+		assert.false( Topology.isTopology( { type: 'FeatureCollection', features: [] } ) );
+		assert.false( Topology.isTopology( null ) );
+	} );
+
+	QUnit.test( 'decode()', function ( assert ) {
+		const features = Topology.decode( topology ).features;
+
+		assert.deepEqual( features.slice( 0, 3 ).map( ( feature ) => feature.properties ), [
+			{ title: 'A', 'stroke-width': 0 },
+			{ title: 'B', stroke: '#ff0000', 'stroke-width': 0 },
+			{ title: 'C' }
+		], 'polygons are not stroked' );
+		assert.deepEqual( features[ 2 ].geometry, { type: 'LineString', coordinates: [ [ 5, 5 ], [ 6, 6 ] ] } );
+		assert.deepEqual( features.slice( 3 ), [
+			{
+				type: 'Feature',
+				properties: {},
+				geometry: { type: 'MultiLineString', coordinates: [ [ [ 1, 0 ], [ 1, 1 ], [ 0, 1 ], [ 0, 0 ], [ 1, 0 ] ] ] }
+			},
+			{
+				type: 'Feature',
+				properties: { stroke: '#ff0000' },
+				geometry: { type: 'MultiLineString', coordinates: [ [ [ 1, 0 ], [ 2, 0 ], [ 2, 1 ], [ 1, 1 ] ] ] }
+			}
+		], 'the shared border is drawn once' );
+	} );
+}() );
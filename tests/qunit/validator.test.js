@@ -0,0 +1,70 @@
+( function () {
+	const validator = require( 'ext.kartographer.editing' ).validator;
+
+	function getCodes( problems ) {
+		return problems.map( ( problem ) => problem.severity + ':' + problem.code );
+	}
+
+	QUnit.module( 'ext.kartographer.editing.validator', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'Accepts valid GeoJSON', function ( assert ) {
+		assert.deepEqual( validator.validate( '' ), [], 'empty text' );
+		assert.deepEqual( validator.validate( JSON.stringify( {
+			type: 'Feature',
+			geometry: { type: 'Point', coordinates: [ 13.4, 52.5 ] },
+			properties: { title: 'Berlin', 'marker-color': '#f00' }
+		} ) ), [], 'single feature' );
+		assert.deepEqual( validator.validate( JSON.stringify( [
+			{ type: 'ExternalData', service: 'geoshape', ids: 'Q64' },
+			{ type: 'LineString', coordinates: [ [ 0, 0 ], [ 1, 1 ] ] }
+		] ) ), [], 'array of objects' );
+	} );
+
+	QUnit.test( 'Reports syntax errors with their position', function ( assert ) {
+		const problems = validator.validate( '{\n\t"type": "Point",\n\t"coordinates": [ 1, 2 ]]\n}' );
+
+		assert.deepEqual( getCodes( problems ), [ 'error:json-syntax' ] );
+		assert.strictEqual( problems[ 0 ].line, 3 );
+		assert.strictEqual( problems[ 0 ].column, 25 );
+	} );
+
+	QUnit.test( 'Reports schema errors at the offending member', function ( assert ) {
+		const problems = validator.validate( '{\n\t"type": "Feature",\n\t"geometry": null,\n\t"properties": {\n\t\t"stroke-width": -1\n\t}\n}' );
+
+		assert.deepEqual( getCodes( problems ), [ 'error:minimum' ] );
+		assert.strictEqual( problems[ 0 ].pointer, '/properties/stroke-width' );
+		assert.strictEqual( problems[ 0 ].line, 5 );
+	} );
+
+	QUnit.test( 'Lints coordinates and properties', function ( assert ) {
+		assert.deepEqual(
+			getCodes( validator.validate( JSON.stringify( { type: 'Point', coordinates: [ 52.5, 13.4 ] } ) ) ),
+			[],
+			'plausible coordinates'
+		);
+		assert.deepEqual(
+			getCodes( validator.validate( JSON.stringify( { type: 'Point', coordinates: [ 52.5, 113.4 ] } ) ) ),
+			[ 'error:coordinates-swapped' ]
+		);
+		assert.deepEqual(
+			getCodes( validator.validate( JSON.stringify( {
+				type: 'Polygon',
+				coordinates: [ [ [ 0, 0 ], [ 0, 1 ], [ 1, 1 ], [ 1, 0 ] ] ]
+			} ) ) ),
+			[ 'warning:ring-unclosed' ]
+		);
+		assert.deepEqual(
+			getCodes( validator.validate( JSON.stringify( {
+				type: 'Feature',
+				geometry: null,
+				properties: { colour: '#fff' }
+			} ) ) ),
+			[ 'warning:unknown-property' ]
+		);
+	} );
+
+	QUnit.test( 'hasErrors()', function ( assert ) {
+		assert.false( validator.hasErrors( [ { severity: 'warning' } ] ) );
+		assert.true( validator.hasErrors( [ { severity: 'warning' }, { severity: 'error' } ] ) );
+	} );
+}() );
@@ -0,0 +1,57 @@
+( function () {
+	const VectorLayer = require( 'ext.kartographer.box' ).VectorLayer;
+
+	function createStyle() {
+		return {
+			version: 8,
+			sources: {
+				osm: { type: 'vector' },
+				hillshading: { type: 'raster', tiles: [ 'https://hills.example/{z}/{x}/{y}.png' ] },
+				other: { type: 'vector', url: 'https://other.example/tiles.json' }
+			},
+			layers: [
+				{ id: 'water', type: 'fill', source: 'osm', 'source-layer': 'water' },
+				{ id: 'place', type: 'symbol', source: 'osm', 'source-layer': 'place', layout: { 'text-field': '{name}' } },
+				{ id: 'road', type: 'symbol', source: 'osm', 'source-layer': 'road', layout: { 'text-field': [ 'get', 'name' ] } },
+				{ id: 'housenumber', type: 'symbol', source: 'osm', 'source-layer': 'housenumber', layout: { 'text-field': '{housenumber}' } }
+			]
+		};
+	}
+
+	QUnit.module( 'ext.kartographer.box.VectorLayer', QUnit.newMwEnvironment() );
+
+	QUnit.test( 'setDefaultTiles()', function ( assert ) {
+		const style = VectorLayer.setDefaultTiles( createStyle(), 'https://maps.example/osm-intl/{z}/{x}/{y}.pbf' );
+
+		assert.deepEqual( style.sources.osm.tiles, [ 'https://maps.example/osm-intl/{z}/{x}/{y}.pbf' ] );
+		assert.deepEqual( style.sources.hillshading.tiles, [ 'https://hills.example/{z}/{x}/{y}.png' ], 'raster source is kept' );
+		assert.strictEqual( style.sources.other.tiles, undefined, 'source with a TileJSON URL is kept' );
+	} );
+
+	QUnit.test( 'Labels follow the language', function ( assert ) {
+		const layer = new VectorLayer( { style: createStyle(), lang: 'de' } ),
+			setLayoutProperty = this.sandbox.spy();
+
+		layer.glMap = {
+			isStyleLoaded: () => true,
+			getStyle: createStyle,
+			setLayoutProperty: setLayoutProperty
+		};
+		layer.localizeLabels();
+		assert.deepEqual( setLayoutProperty.args, [
+			[ 'place', 'text-field', [ 'coalesce', [ 'get', 'name:de' ], [ 'get', 'name' ] ] ],
+			[ 'road', 'text-field', [ 'coalesce', [ 'get', 'name:de' ], [ 'get', 'name' ] ] ]
+		], 'only labels with names are localized' );
+
+		setLayoutProperty.resetHistory();
+		layer.setLang( 'local' );
+		assert.deepEqual( setLayoutProperty.args, [
+			[ 'place', 'text-field', '{name}' ],
+			[ 'road', 'text-field', [ 'get', 'name' ] ]
+		], 'local names are the ones of the style' );
+
+		setLayoutProperty.resetHistory();
+		layer.localizeLabels();
+		assert.true( setLayoutProperty.notCalled, 'style is only inspected once' );
+	} );
+}() );